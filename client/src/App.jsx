@@ -3,7 +3,7 @@ import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { Billboard, CameraControls, Line, Sparkles, Stars, Text } from '@react-three/drei';
 import { EffectComposer, Bloom, Noise, Vignette, ChromaticAberration } from '@react-three/postprocessing';
 import * as THREE from 'three';
-import { API_BASE } from './lib/api';
+import { API_BASE, authHeaders, hasRole, loadSession, saveSession } from './lib/api';
 
 const promptSeeds = [
   'A memory that still vibrates in my body is...',
@@ -13,6 +13,36 @@ const promptSeeds = [
   'A story I never told because I was afraid is...'
 ];
 
+const ARCHIVE_PAGE_SIZE = 250;
+const SEARCH_DEBOUNCE_MS = 300;
+const DRAFT_POLL_MS = 5000;
+
+const TRANSCRIPTION_LABELS = {
+  queued: 'Transcribing…',
+  transcribed: 'Ready to review',
+  failed: 'Could not transcribe. Type it in below.'
+};
+
+// First one the browser can record wins; the server accepts all of them
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+function recordingFileName(blob) {
+  if (blob.type.includes('mp4')) return 'memory.m4a';
+  return blob.type.includes('ogg') ? 'memory.ogg' : 'memory.webm';
+}
+
+// Uploaded voice notes play from the API; older memories may carry an external URL
+function voiceNoteSource(memory) {
+  if (memory?.voiceNote) return `${API_BASE}/voice-notes/${memory.voiceNote}/audio`;
+  return /^https?:\/\//.test(memory?.voiceNoteUrl || '') ? memory.voiceNoteUrl : null;
+}
+
+// Seconds from a 429's Retry-After header (or body), for "slow down" messages
+function retryAfterSeconds(res, body) {
+  const header = Number.parseInt(res.headers.get('Retry-After'), 10);
+  if (Number.isFinite(header) && header > 0) return header;
+  return Number.isFinite(body?.retryAfter) ? body.retryAfter : null;
+}
 
 function normalizeMood(mood) {
   if (!mood || typeof mood !== 'string') return 'Fragment';
@@ -47,21 +77,18 @@ function moodAnchor(mood) {
   return new THREE.Vector3((rand(11) - 0.5) * 70, (rand(12) - 0.5) * 70, (rand(13) - 0.5) * 70);
 }
 
-function hasUsableEmbedding(embedding) {
-  if (!Array.isArray(embedding) || embedding.length !== 3) return false;
-  if (!embedding.every((val) => Number.isFinite(val))) return false;
-  return embedding.some((val) => Math.abs(val) > 0.0001);
+function hasUsablePosition(position) {
+  if (!Array.isArray(position) || position.length !== 3) return false;
+  if (!position.every((val) => Number.isFinite(val))) return false;
+  return position.some((val) => Math.abs(val) > 0.0001);
 }
 
+// position3d is the server's projection of the embedding, mostly within -1..1
 function getMemoryPosition(memory) {
-  if (hasUsableEmbedding(memory.embedding)) {
-    const base = new THREE.Vector3(...memory.embedding);
-    const length = base.length();
-    if (length > 0.0001) {
-      base.normalize().multiplyScalar(45);
-      const drift = seededPosition(memory._id || memory.text || 'seed').multiplyScalar(0.15);
-      return base.add(drift);
-    }
+  if (hasUsablePosition(memory.position3d)) {
+    const base = new THREE.Vector3(...memory.position3d).multiplyScalar(45);
+    const drift = seededPosition(memory._id || memory.text || 'seed').multiplyScalar(0.04);
+    return base.add(drift);
   }
   return seededPosition(memory._id || memory.text || 'seed');
 }
@@ -220,10 +247,20 @@ function LinkArcs({ links, nodesById, selectedId }) {
             ? 0.28
             : link.type === 'directional'
             ? 0.22
+            : link.type === 'semantic'
+            ? 0.16
             : 0.12;
         const opacity = isActive ? Math.max(0.32, baseOpacity * 1.6) : baseOpacity;
         const lineWidth =
-          link.type === 'family' ? 1.0 : link.type === 'curated' ? 0.9 : link.type === 'directional' ? 0.75 : 0.55;
+          link.type === 'family'
+            ? 1.0
+            : link.type === 'curated'
+            ? 0.9
+            : link.type === 'directional'
+            ? 0.75
+            : link.type === 'semantic'
+            ? 0.65
+            : 0.55;
         return {
           id: link.id || `${link.fromId}-${link.toId}`,
           points: buildArcPoints(a.position.clone(), b.position.clone(), link.id),
@@ -375,17 +412,93 @@ export default function App() {
   const [timeScrub, setTimeScrub] = useState(1);
   const [familyBrief, setFamilyBrief] = useState(null);
   const [familyBriefStatus, setFamilyBriefStatus] = useState('idle');
+  const [briefRetryAfter, setBriefRetryAfter] = useState(null);
+  const [briefHistory, setBriefHistory] = useState([]);
   const [selectedFamily, setSelectedFamily] = useState('NONE');
   const [memoryQuery, setMemoryQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [echoes, setEchoes] = useState([]);
+  const [session, setSession] = useState(loadSession);
+  const [loginForm, setLoginForm] = useState({ username: '', password: '' });
+  const [loginStatus, setLoginStatus] = useState('idle');
+  const [loginMode, setLoginMode] = useState('signin');
+  const [linkSourceId, setLinkSourceId] = useState(null);
+  const [linkDraft, setLinkDraft] = useState({ type: 'curated', note: '' });
+  const [noteEdits, setNoteEdits] = useState({});
+  const [responses, setResponses] = useState([]);
+  const [responseTypes, setResponseTypes] = useState([]);
+  const [responseForm, setResponseForm] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [voiceDraft, setVoiceDraft] = useState(null);
+  const [transcriptDrafts, setTranscriptDrafts] = useState([]);
+  const [transcriptEdits, setTranscriptEdits] = useState({});
+  const [draftsVersion, setDraftsVersion] = useState(0);
+  const [draftAudio, setDraftAudio] = useState(null);
 
   const controlsRef = useRef();
   const toastTimerRef = useRef(null);
+  const recorderRef = useRef(null);
+  const uploadedVoiceRef = useRef(null);
 
+  const voiceDraftUrl = voiceDraft?.url;
   useEffect(() => {
-    fetch(`${API_BASE}/memories`)
-      .then((res) => res.json())
-      .then((data) => setMemories(data))
-      .catch((err) => console.error('Database Offline', err));
+    uploadedVoiceRef.current = null;
+    return () => {
+      if (voiceDraftUrl) URL.revokeObjectURL(voiceDraftUrl);
+    };
+  }, [voiceDraftUrl]);
+
+  const draftAudioUrl = draftAudio?.url;
+  useEffect(() => () => {
+    if (draftAudioUrl) URL.revokeObjectURL(draftAudioUrl);
+  }, [draftAudioUrl]);
+
+  // Voice-only submissions come back as drafts; poll while any is still being transcribed
+  useEffect(() => {
+    if (activeView !== 'SUBMIT' || !session) return undefined;
+    let cancelled = false;
+    let timer = null;
+    const loadDrafts = async () => {
+      try {
+        const res = await fetch(`${API_BASE}/memories/drafts`, { headers: authHeaders(session) });
+        if (!res.ok || cancelled) return;
+        const drafts = await res.json();
+        if (cancelled) return;
+        setTranscriptDrafts(drafts);
+        if (drafts.some((draft) => draft.transcription?.status === 'queued')) {
+          timer = setTimeout(loadDrafts, DRAFT_POLL_MS);
+        }
+      } catch {
+        // Tried again next time the panel opens
+      }
+    };
+    loadDrafts();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeView, session, draftsVersion]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadArchive = async () => {
+      let cursor = null;
+      do {
+        const params = new URLSearchParams({ limit: String(ARCHIVE_PAGE_SIZE) });
+        if (cursor) params.set('cursor', cursor);
+        const res = await fetch(`${API_BASE}/memories?${params}`);
+        const data = await res.json();
+        if (cancelled) return;
+        const page = Array.isArray(data?.memories) ? data.memories : [];
+        const isFirstPage = !cursor;
+        setMemories((prev) => (isFirstPage ? page : [...prev, ...page]));
+        cursor = data?.nextCursor || null;
+      } while (cursor);
+    };
+    loadArchive().catch((err) => console.error('Database Offline', err));
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   useEffect(() => {
@@ -411,6 +524,41 @@ export default function App() {
     }
   }, [selectedMemory]);
 
+  const selectedId = selectedMemory?._id;
+  useEffect(() => {
+    if (!selectedId) {
+      setEchoes([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    fetch(`${API_BASE}/memories/${selectedId}/similar?k=5`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => setEchoes(Array.isArray(data?.results) ? data.results : []))
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Echoes Offline', err);
+      });
+    return () => controller.abort();
+  }, [selectedId]);
+
+  useEffect(() => {
+    setResponseForm(null);
+    if (!selectedId) {
+      setResponses([]);
+      return undefined;
+    }
+    const controller = new AbortController();
+    fetch(`${API_BASE}/responses?memoryId=${selectedId}`, { signal: controller.signal })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        setResponses(Array.isArray(data?.responses) ? data.responses : []);
+        if (Array.isArray(data?.types)) setResponseTypes(data.types);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') console.error('Responses Offline', err);
+      });
+    return () => controller.abort();
+  }, [selectedId]);
+
   useEffect(() => {
     return () => {
       if (toastTimerRef.current) clearTimeout(toastTimerRef.current);
@@ -480,28 +628,206 @@ export default function App() {
     setInputText((prev) => (prev ? `${prev}\n${seed}` : seed));
   };
 
-  const handleFamilyBrief = async (mood) => {
+  const loadBriefHistory = async (mood) => {
+    try {
+      const res = await fetch(`${API_BASE}/briefs?mood=${encodeURIComponent(mood)}`, { headers: authHeaders(session) });
+      const data = await res.json();
+      setBriefHistory(res.ok && Array.isArray(data) ? data : []);
+    } catch {
+      setBriefHistory([]);
+    }
+  };
+
+  // Shows the saved brief straight away; only generates when there is none or on request
+  const handleFamilyBrief = async (mood, { regenerate = false } = {}) => {
     if (!mood || mood === 'NONE') return;
     setFamilyBriefStatus('loading');
     setFamilyBrief(null);
     try {
-      const res = await fetch(`${API_BASE}/memories/family/brief`, {
+      if (!regenerate) {
+        const cachedRes = await fetch(`${API_BASE}/briefs/latest?mood=${encodeURIComponent(mood)}`, {
+          headers: authHeaders(session)
+        });
+        if (cachedRes.status === 401) endSession();
+        if (cachedRes.ok) {
+          setFamilyBrief(await cachedRes.json());
+          setFamilyBriefStatus('ready');
+          loadBriefHistory(mood);
+          return;
+        }
+      }
+      const res = await fetch(`${API_BASE}/briefs/regenerate`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders(session) },
         body: JSON.stringify({ mood })
       });
       const data = await res.json();
+      if (res.status === 401) endSession();
+      if (res.status === 429) {
+        setBriefRetryAfter(retryAfterSeconds(res, data));
+        setFamilyBriefStatus('throttled');
+        return;
+      }
       if (!res.ok) throw new Error(data.error || 'Brief failed');
       setFamilyBrief(data);
       setFamilyBriefStatus('ready');
+      loadBriefHistory(mood);
     } catch (error) {
       setFamilyBriefStatus('error');
     }
   };
 
+  const handleBriefVersion = async (briefId) => {
+    try {
+      const res = await fetch(`${API_BASE}/briefs/${briefId}`, { headers: authHeaders(session) });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Brief failed');
+      setFamilyBrief(data);
+      setFamilyBriefStatus('ready');
+    } catch {
+      showToast('That version is unavailable.', 'error');
+    }
+  };
+
+  const endSession = () => {
+    saveSession(null);
+    setSession(null);
+  };
+
+  const handleLogin = async (event) => {
+    event.preventDefault();
+    setLoginStatus('loading');
+    const registering = loginMode === 'register';
+    try {
+      const res = await fetch(`${API_BASE}/auth/${registering ? 'register' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(loginForm)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || (registering ? 'Registration failed' : 'Login failed'));
+      saveSession(data);
+      setSession(data);
+      setLoginForm({ username: '', password: '' });
+      setLoginStatus('idle');
+      setLoginMode('signin');
+      showToast(registering ? `Welcome, ${data.user.username}` : `Signed in as ${data.user.username}`, 'success');
+      setActiveView('CONSTELLATION');
+    } catch (error) {
+      setLoginStatus(error.message);
+    }
+  };
+
+  const handleLogout = () => {
+    endSession();
+    setFamilyBrief(null);
+    setFamilyBriefStatus('idle');
+    setBriefHistory([]);
+    showToast('Signed out');
+  };
+
+  const curatorLinkRequest = async (path, method, body) => {
+    const res = await fetch(`${API_BASE}/links${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...authHeaders(session) },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    if (res.status === 401) endSession();
+    if (!res.ok) throw new Error(data.error || 'Link update failed');
+    return data;
+  };
+
+  const handleCreateLink = async () => {
+    if (!linkSourceId || !selectedId) return;
+    try {
+      const link = await curatorLinkRequest('', 'POST', {
+        fromId: linkSourceId,
+        toId: selectedId,
+        type: linkDraft.type,
+        note: linkDraft.note
+      });
+      setLinks((prev) => [link, ...prev]);
+      setLinkSourceId(null);
+      setLinkDraft({ type: 'curated', note: '' });
+      showToast(link.type === 'directional' ? 'Answer linked' : 'Memories linked', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleSaveLinkNote = async (link) => {
+    try {
+      const updated = await curatorLinkRequest(`/${link.linkId}`, 'PATCH', { note: noteEdits[link.linkId] });
+      setLinks((prev) => prev.map((item) => (item.linkId === updated.linkId ? updated : item)));
+      setNoteEdits((prev) => {
+        const next = { ...prev };
+        delete next[link.linkId];
+        return next;
+      });
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleDeleteLink = async (link) => {
+    try {
+      await curatorLinkRequest(`/${link.linkId}`, 'DELETE');
+      setLinks((prev) => prev.filter((item) => item.linkId !== link.linkId));
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleSubmitResponse = async () => {
+    if (!selectedId || !responseForm?.url) return;
+    try {
+      const res = await fetch(`${API_BASE}/responses`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(session) },
+        body: JSON.stringify({ memoryId: selectedId, ...responseForm })
+      });
+      const data = await res.json();
+      if (res.status === 401) {
+        endSession();
+        showToast('Sign in to add a response.', 'error');
+        return;
+      }
+      if (res.status === 429) {
+        showToast(`Slow down. Try again in ${retryAfterSeconds(res, data) || 60}s.`, 'error');
+        return;
+      }
+      if (!res.ok) throw new Error(data.error || 'Response failed');
+      setResponseForm(null);
+      if (data.status === 'approved') {
+        setResponses((prev) => [data, ...prev]);
+        showToast('Response added', 'success');
+      } else {
+        showToast('Received. It will appear once a curator has looked at it.', 'info');
+      }
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleRemoveResponse = async (response) => {
+    try {
+      const res = await fetch(`${API_BASE}/responses/${response._id}`, {
+        method: 'DELETE',
+        headers: authHeaders(session)
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Removal failed');
+      setResponses((prev) => prev.filter((item) => item._id !== response._id));
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
   const handleBriefClose = () => {
     setFamilyBrief(null);
     setFamilyBriefStatus('idle');
+    setBriefHistory([]);
     setSelectedFamily('NONE');
   };
 
@@ -511,20 +837,110 @@ export default function App() {
     toastTimerRef.current = setTimeout(() => setToast(null), 3500);
   };
 
+  const startRecording = async () => {
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+      showToast('This browser cannot record audio.', 'error');
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+      const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      const chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        const blob = new Blob(chunks, { type: recorder.mimeType || mimeType || 'audio/webm' });
+        setVoiceDraft({ blob, url: URL.createObjectURL(blob) });
+        setIsRecording(false);
+      };
+      recorderRef.current = recorder;
+      recorder.start();
+      setIsRecording(true);
+    } catch {
+      showToast('Microphone access was blocked.', 'error');
+    }
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+  };
+
+  // 401 and 429 answers from the upload or the submission; true when a message was shown
+  const explainRefusal = (res, body) => {
+    if (res.status === 401) {
+      endSession();
+      showToast('Sign in to share a memory.', 'error');
+      setActiveView('LOGIN');
+      return true;
+    }
+    if (res.status === 429) {
+      const wait = retryAfterSeconds(res, body);
+      showToast(
+        wait ? `Slow down. You can transmit again in ${wait}s. Your words are still here.` : 'Slow down. Try again in a moment.',
+        'error'
+      );
+      return true;
+    }
+    return false;
+  };
+
+  // Uploads the recording once; a retried submission reuses the same voice note.
+  // Resolves { id, uploadToken }: anonymous uploads get a token that proves they're ours when submitting.
+  const uploadVoiceDraft = async () => {
+    if (uploadedVoiceRef.current) return uploadedVoiceRef.current;
+    const form = new FormData();
+    form.append('audio', voiceDraft.blob, recordingFileName(voiceDraft.blob));
+    const res = await fetch(`${API_BASE}/voice-notes`, { method: 'POST', headers: authHeaders(session), body: form });
+    const uploaded = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      if (!explainRefusal(res, uploaded)) showToast(uploaded.error || 'The voice note could not be uploaded.', 'error');
+      return null;
+    }
+    uploadedVoiceRef.current = { id: uploaded.id, uploadToken: uploaded.uploadToken };
+    return uploadedVoiceRef.current;
+  };
+
+  // A recording on its own needs an account: the transcript comes back as a draft to review
   const handleDeposit = async () => {
-    if (!inputText.trim()) return;
+    if (isRecording || (!inputText.trim() && !voiceDraft)) return;
+    if (!inputText.trim() && !session) {
+      showToast('Sign in or create an account to send a voice note without text, so you can review its transcript.', 'error');
+      setActiveView('LOGIN');
+      return;
+    }
     setIsProcessing(true);
     try {
+      const voiceNote = voiceDraft ? await uploadVoiceDraft() : undefined;
+      if (voiceNote === null) return;
       const res = await fetch(`${API_BASE}/memories`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: inputText, location: 'Web' })
+        headers: { 'Content-Type': 'application/json', ...authHeaders(session) },
+        body: JSON.stringify({
+          text: inputText,
+          voiceNoteId: voiceNote?.id,
+          voiceNoteToken: voiceNote?.uploadToken,
+          location: 'Web'
+        })
       });
       const newMem = await res.json();
+      if (explainRefusal(res, newMem)) return;
       if (!res.ok) throw new Error(newMem.error || 'Ingestion Failed');
 
-      setMemories((prev) => [newMem, ...prev]);
       setInputText('');
+      setVoiceDraft(null);
+      if (newMem.status === 'draft') {
+        showToast('Transcribing your voice note. Review the words below before they go public.', 'info');
+        setDraftsVersion((version) => version + 1);
+        return;
+      }
+      if (newMem.status === 'pending') {
+        showToast('Received. It will appear once a moderator has read it.', 'info');
+        return;
+      }
+      setMemories((prev) => [newMem, ...prev]);
       showToast(`Classified: ${normalizeMood(newMem.mood)}`, 'success');
       setActiveView('CONSTELLATION');
     } catch (e) {
@@ -534,6 +950,53 @@ export default function App() {
     }
   };
 
+  const handleListenDraft = async (draft) => {
+    const res = await fetch(`${API_BASE}/voice-notes/${draft.voiceNote}/audio`, { headers: authHeaders(session) });
+    if (!res.ok) {
+      showToast('The recording could not be loaded.', 'error');
+      return;
+    }
+    setDraftAudio({ id: draft._id, url: URL.createObjectURL(await res.blob()) });
+  };
+
+  const handleReviewDraft = async (draft, publish) => {
+    setIsProcessing(true);
+    try {
+      const res = await fetch(`${API_BASE}/memories/${draft._id}/transcript`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...authHeaders(session) },
+        body: JSON.stringify({ text: transcriptEdits[draft._id] ?? draft.text, publish })
+      });
+      const reviewed = await res.json();
+      if (explainRefusal(res, reviewed)) return;
+      if (!res.ok) {
+        showToast(reviewed.error || 'The transcript could not be saved.', 'error');
+        return;
+      }
+      setTranscriptEdits((prev) => {
+        const next = { ...prev };
+        delete next[draft._id];
+        return next;
+      });
+      if (!publish) {
+        setTranscriptDrafts((prev) => prev.map((item) => (item._id === draft._id ? reviewed : item)));
+        showToast('Transcript saved.', 'success');
+        return;
+      }
+      setTranscriptDrafts((prev) => prev.filter((item) => item._id !== draft._id));
+      showToast(
+        reviewed.status === 'pending'
+          ? 'Received. It will appear once a moderator has read it.'
+          : 'Published. It will find its family in a moment.',
+        'success'
+      );
+    } catch {
+      showToast('The transcript could not be saved. Check the server.', 'error');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
   const timeBounds = useMemo(() => {
     const dates = memories
       .map((mem) => new Date(mem.createdAt))
@@ -560,6 +1023,15 @@ export default function App() {
 
   const activeLinks = useMemo(() => links, [links]);
 
+  const selectedCuratorLinks = useMemo(
+    () =>
+      links.filter(
+        (link) => link.origin === 'curator' && selectedId && (link.fromId === selectedId || link.toId === selectedId)
+      ),
+    [links, selectedId]
+  );
+  const isCurator = hasRole(session, 'curator');
+
   const visibleLinks = useMemo(() => {
     const idSet = new Set(filteredMemories.map((mem) => mem._id));
     return activeLinks.filter((link) => idSet.has(link.fromId) && idSet.has(link.toId));
@@ -586,6 +1058,7 @@ export default function App() {
 
   const allowDrift = activeView === 'CONSTELLATION' && !selectedMemory && !isInteracting;
   const selectedTags = selectedMemory?.tags?.length ? selectedMemory.tags : [];
+  const selectedVoiceSrc = voiceNoteSource(selectedMemory);
   const familyOptions = useMemo(() => {
     const set = new Set();
     memories.forEach((mem) => {
@@ -600,6 +1073,33 @@ export default function App() {
     }
   }, [filteredMemories, selectedMemory]);
 
+  useEffect(() => {
+    const query = memoryQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      fetch(`${API_BASE}/memories/search?${new URLSearchParams({ q: query, limit: '50' })}`, {
+        headers: authHeaders(session),
+        signal: controller.signal
+      })
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => {
+          if (!data || !Array.isArray(data.results)) return;
+          setSearchResults({ query, ids: data.results.map((result) => result.memory._id) });
+        })
+        .catch((err) => {
+          if (err.name !== 'AbortError') console.error('Search Offline', err);
+        });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [memoryQuery, session]);
+
   const navigableMemories = useMemo(() => {
     const query = memoryQuery.trim().toLowerCase();
     const sorted = [...filteredMemories].sort((a, b) => {
@@ -608,13 +1108,17 @@ export default function App() {
       return bTime - aTime;
     });
     if (!query) return sorted;
+    if (searchResults && searchResults.query.toLowerCase() === query) {
+      const byId = new Map(filteredMemories.map((mem) => [mem._id, mem]));
+      return searchResults.ids.map((id) => byId.get(id)).filter(Boolean);
+    }
     return sorted.filter((mem) => {
       const text = (mem.text || '').toLowerCase();
       const mood = (mem.mood || '').toLowerCase();
       const tags = Array.isArray(mem.tags) ? mem.tags.join(' ').toLowerCase() : '';
       return text.includes(query) || mood.includes(query) || tags.includes(query);
     });
-  }, [filteredMemories, memoryQuery]);
+  }, [filteredMemories, memoryQuery, searchResults]);
 
   const selectedIndex = useMemo(
     () => navigableMemories.findIndex((mem) => mem._id === selectedMemory?._id),
@@ -728,6 +1232,18 @@ export default function App() {
             <button onClick={handleResetView} className="v8-pill">
               Recenter
             </button>
+            {session ? (
+              <button onClick={handleLogout} className="v8-pill" title="Sign out">
+                {session.user.username} · {session.user.role}
+              </button>
+            ) : (
+              <button
+                onClick={() => setActiveView('LOGIN')}
+                className={`v8-pill ${activeView === 'LOGIN' ? 'is-active' : ''}`}
+              >
+                Sign in
+              </button>
+            )}
           </nav>
         </header>
 
@@ -761,23 +1277,27 @@ export default function App() {
               {filteredMemories.length} memories • Drag to orbit • Right-click to pan • Scroll to fly
             </div>
             <div className="v8-console">
-              <div className="v8-console-title">Family Brief</div>
-              <select
-                className="v8-select"
-                value={selectedFamily}
-                onChange={(event) => {
-                  const mood = event.target.value;
-                  setSelectedFamily(mood);
-                  handleFamilyBrief(mood);
-                }}
-              >
-                <option value="NONE">Select a family</option>
-                {familyOptions.map((mood) => (
-                  <option key={mood} value={mood}>
-                    {mood}
-                  </option>
-                ))}
-              </select>
+              {isCurator && (
+                <>
+                  <div className="v8-console-title">Family Brief</div>
+                  <select
+                    className="v8-select"
+                    value={selectedFamily}
+                    onChange={(event) => {
+                      const mood = event.target.value;
+                      setSelectedFamily(mood);
+                      handleFamilyBrief(mood);
+                    }}
+                  >
+                    <option value="NONE">Select a family</option>
+                    {familyOptions.map((mood) => (
+                      <option key={mood} value={mood}>
+                        {mood}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
               <div className="v8-console-title">Temporal Scrubber</div>
               <input
                 className="v8-range"
@@ -844,6 +1364,9 @@ export default function App() {
                   </div>
                 </div>
                 <div className="v8-focus-text">{selectedMemory.text}</div>
+                {selectedVoiceSrc && (
+                  <audio key={selectedVoiceSrc} className="v8-audio" controls preload="none" src={selectedVoiceSrc} />
+                )}
                 {selectedTags.length > 0 && (
                   <div className="v8-focus-tags">
                     {selectedTags.slice(0, 6).map((tag) => (
@@ -853,6 +1376,181 @@ export default function App() {
                     ))}
                   </div>
                 )}
+                {echoes.length > 0 && (
+                  <div className="v8-focus-section">
+                    <div className="v8-panel-label">Echoes</div>
+                    {echoes.map((echo) => (
+                      <button
+                        key={echo.memory._id}
+                        className="v8-nav-item"
+                        onClick={() =>
+                          setSelectedMemory(memories.find((mem) => mem._id === echo.memory._id) || echo.memory)
+                        }
+                      >
+                        <div className="v8-nav-title">
+                          {normalizeMood(echo.memory.mood)}
+                          <span className="v8-focus-score">{Math.round(echo.score * 100)}%</span>
+                        </div>
+                        <div className="v8-nav-text">
+                          {echo.memory.text?.length > 80 ? `${echo.memory.text.slice(0, 80)}…` : echo.memory.text}
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {(responses.length > 0 || session) && (
+                  <div className="v8-focus-section">
+                    <div className="v8-panel-label">Responses</div>
+                    {responses.map((response) => (
+                      <div key={response._id} className="v8-nav-item">
+                        <a className="v8-nav-title" href={response.url} target="_blank" rel="noopener noreferrer">
+                          {response.label}
+                          <span className="v8-focus-score">{response.type}</span>
+                        </a>
+                        {response.notes && <div className="v8-nav-text">{response.notes}</div>}
+                        {(isCurator || response.submittedBy === session?.user?.username) && (
+                          <button className="v8-link-btn" onClick={() => handleRemoveResponse(response)}>
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    {session && !responseForm && (
+                      <button
+                        className="v8-link-btn"
+                        onClick={() => setResponseForm({ url: '', label: '', type: responseTypes[0] || 'film', notes: '' })}
+                      >
+                        Add a response
+                      </button>
+                    )}
+                    {responseForm && (
+                      <div className="v8-nav-item">
+                        <input
+                          className="v8-input"
+                          value={responseForm.url}
+                          placeholder="https://… (film, artwork, reply)"
+                          onChange={(e) => setResponseForm((prev) => ({ ...prev, url: e.target.value }))}
+                        />
+                        <input
+                          className="v8-input"
+                          value={responseForm.label}
+                          placeholder="Title"
+                          onChange={(e) => setResponseForm((prev) => ({ ...prev, label: e.target.value }))}
+                        />
+                        <div className="v8-seeds">
+                          {responseTypes.map((type) => (
+                            <button
+                              key={type}
+                              className={`v8-tag ${responseForm.type === type ? 'is-active' : ''}`}
+                              onClick={() => setResponseForm((prev) => ({ ...prev, type }))}
+                            >
+                              {type}
+                            </button>
+                          ))}
+                        </div>
+                        <input
+                          className="v8-input"
+                          value={responseForm.notes}
+                          placeholder="Notes (optional)"
+                          onChange={(e) => setResponseForm((prev) => ({ ...prev, notes: e.target.value }))}
+                        />
+                        <div className="v8-panel-footer">
+                          <button className="v8-link-btn" onClick={() => setResponseForm(null)}>
+                            Cancel
+                          </button>
+                          <button className="v8-link-btn" disabled={!responseForm.url} onClick={handleSubmitResponse}>
+                            Submit
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {isCurator && (
+                  <div className="v8-focus-section">
+                    <div className="v8-panel-label">Curated links</div>
+                    {selectedCuratorLinks.map((link) => {
+                      const otherId = link.fromId === selectedId ? link.toId : link.fromId;
+                      const other = memories.find((mem) => mem._id === otherId);
+                      const relation =
+                        link.type === 'curated' ? 'Linked' : link.fromId === selectedId ? 'Answers' : 'Answered by';
+                      const draftNote = noteEdits[link.linkId];
+                      return (
+                        <div key={link.linkId} className="v8-nav-item">
+                          <button className="v8-nav-title" onClick={() => other && setSelectedMemory(other)}>
+                            {relation} · {other ? normalizeMood(other.mood) : 'Hidden memory'}
+                          </button>
+                          <input
+                            className="v8-input"
+                            value={draftNote ?? link.note}
+                            placeholder="Curator note"
+                            onChange={(e) => setNoteEdits((prev) => ({ ...prev, [link.linkId]: e.target.value }))}
+                          />
+                          <div className="v8-panel-footer">
+                            <button
+                              className="v8-link-btn"
+                              disabled={draftNote === undefined}
+                              onClick={() => handleSaveLinkNote(link)}
+                            >
+                              Save note
+                            </button>
+                            <button className="v8-link-btn" onClick={() => handleDeleteLink(link)}>
+                              Remove
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                    {!linkSourceId && (
+                      <button className="v8-link-btn" onClick={() => setLinkSourceId(selectedId)}>
+                        Link from here
+                      </button>
+                    )}
+                    {linkSourceId === selectedId && (
+                      <div className="v8-panel-note">
+                        Select another memory to link it.{' '}
+                        <button className="v8-link-btn" onClick={() => setLinkSourceId(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    )}
+                    {linkSourceId && linkSourceId !== selectedId && (
+                      <div className="v8-nav-item">
+                        <div className="v8-nav-text">
+                          From “{memories.find((mem) => mem._id === linkSourceId)?.text?.slice(0, 60) || 'memory'}…”
+                        </div>
+                        <div className="v8-seeds">
+                          <button
+                            className={`v8-tag ${linkDraft.type === 'curated' ? 'is-active' : ''}`}
+                            onClick={() => setLinkDraft((prev) => ({ ...prev, type: 'curated' }))}
+                          >
+                            Related
+                          </button>
+                          <button
+                            className={`v8-tag ${linkDraft.type === 'directional' ? 'is-active' : ''}`}
+                            onClick={() => setLinkDraft((prev) => ({ ...prev, type: 'directional' }))}
+                          >
+                            Answers this
+                          </button>
+                        </div>
+                        <input
+                          className="v8-input"
+                          value={linkDraft.note}
+                          placeholder="Why these belong together"
+                          onChange={(e) => setLinkDraft((prev) => ({ ...prev, note: e.target.value }))}
+                        />
+                        <div className="v8-panel-footer">
+                          <button className="v8-link-btn" onClick={() => setLinkSourceId(null)}>
+                            Cancel
+                          </button>
+                          <button className="v8-link-btn" onClick={handleCreateLink}>
+                            Create link
+                          </button>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </>
@@ -883,6 +1581,26 @@ export default function App() {
               }}
             />
 
+            <div className="v8-voice">
+              {isRecording ? (
+                <button onClick={stopRecording} className="v8-tag is-active">
+                  ● Stop recording
+                </button>
+              ) : (
+                <button onClick={startRecording} disabled={isProcessing} className="v8-tag">
+                  {voiceDraft ? 'Record again' : 'Record a voice note'}
+                </button>
+              )}
+              {voiceDraft && !isRecording && (
+                <>
+                  <audio className="v8-audio" controls src={voiceDraft.url} />
+                  <button onClick={() => setVoiceDraft(null)} disabled={isProcessing} className="v8-link-btn">
+                    Discard
+                  </button>
+                </>
+              )}
+            </div>
+
             <div className="v8-seeds">
               {promptSeeds.map((seed) => (
                 <button key={seed} onClick={() => handleSeed(seed)} className="v8-tag">
@@ -892,14 +1610,126 @@ export default function App() {
             </div>
 
             <div className="v8-panel-footer">
-              <div className="v8-panel-note">Ctrl/⌘+Enter to transmit</div>
-              <button onClick={handleDeposit} disabled={isProcessing} className="v8-primary">
+              <div className="v8-panel-note">
+                {voiceDraft && !inputText.trim()
+                  ? 'No text? The recording will be transcribed for you to review.'
+                  : 'Ctrl/⌘+Enter to transmit'}
+              </div>
+              <button onClick={handleDeposit} disabled={isProcessing || isRecording} className="v8-primary">
                 {isProcessing ? 'Processing...' : 'Transmit'}
               </button>
             </div>
+
+            {session && transcriptDrafts.length > 0 && (
+              <div className="v8-focus-section">
+                <div className="v8-panel-label">Voice drafts</div>
+                {transcriptDrafts.map((draft) => {
+                  const status = draft.transcription?.status;
+                  const text = transcriptEdits[draft._id] ?? draft.text;
+                  return (
+                    <div key={draft._id} className="v8-draft">
+                      <div className="v8-nav-title">
+                        {TRANSCRIPTION_LABELS[status] || status}
+                        <span className="v8-focus-score">{new Date(draft.createdAt).toLocaleString()}</span>
+                      </div>
+                      {draftAudio?.id === draft._id ? (
+                        <audio className="v8-audio" controls autoPlay src={draftAudio.url} />
+                      ) : (
+                        <button onClick={() => handleListenDraft(draft)} className="v8-link-btn">
+                          Listen
+                        </button>
+                      )}
+                      {status !== 'queued' && (
+                        <>
+                          <textarea
+                            value={text}
+                            onChange={(e) => setTranscriptEdits((prev) => ({ ...prev, [draft._id]: e.target.value }))}
+                            placeholder="Write down what you said."
+                            className="v8-textarea v8-draft-text"
+                          />
+                          <div className="v8-panel-footer">
+                            <button
+                              onClick={() => handleReviewDraft(draft, false)}
+                              disabled={isProcessing || !text.trim()}
+                              className="v8-link-btn"
+                            >
+                              Save draft
+                            </button>
+                            <button
+                              onClick={() => handleReviewDraft(draft, true)}
+                              disabled={isProcessing || !text.trim()}
+                              className="v8-primary"
+                            >
+                              Publish
+                            </button>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
           </div>
         )}
 
+        {activeView === 'LOGIN' && (
+          <form className="v8-panel" onSubmit={handleLogin}>
+            <div className="v8-panel-header">
+              <div>
+                <div className="v8-panel-label">{loginMode === 'register' ? 'New Contributor' : 'Curator Access'}</div>
+                <div className="v8-panel-title">
+                  {loginMode === 'register' ? 'Create an account to contribute' : 'Sign in to tend the archive'}
+                </div>
+              </div>
+              <button type="button" onClick={() => setActiveView('CONSTELLATION')} className="v8-link-btn">
+                Close
+              </button>
+            </div>
+
+            <input
+              className="v8-input"
+              autoComplete="username"
+              placeholder="Username"
+              value={loginForm.username}
+              onChange={(e) => setLoginForm((prev) => ({ ...prev, username: e.target.value }))}
+            />
+            <input
+              className="v8-input"
+              type="password"
+              autoComplete={loginMode === 'register' ? 'new-password' : 'current-password'}
+              placeholder={loginMode === 'register' ? 'Password (10+ characters)' : 'Password'}
+              value={loginForm.password}
+              onChange={(e) => setLoginForm((prev) => ({ ...prev, password: e.target.value }))}
+            />
+
+            <div className="v8-panel-footer">
+              <div className={`v8-panel-note ${loginStatus !== 'idle' && loginStatus !== 'loading' ? 'is-error' : ''}`}>
+                {loginStatus !== 'idle' && loginStatus !== 'loading'
+                  ? loginStatus
+                  : loginMode === 'register'
+                    ? 'New accounts start as contributors'
+                    : 'Contributors, curators and admins'}
+              </div>
+              <button type="submit" disabled={loginStatus === 'loading'} className="v8-primary">
+                {loginMode === 'register'
+                  ? (loginStatus === 'loading' ? 'Creating...' : 'Create account')
+                  : (loginStatus === 'loading' ? 'Signing in...' : 'Sign in')}
+              </button>
+            </div>
+            <button
+              type="button"
+              className="v8-link-btn"
+              onClick={() => {
+                setLoginMode((mode) => (mode === 'register' ? 'signin' : 'register'));
+                setLoginStatus('idle');
+              }}
+            >
+              {loginMode === 'register' ? 'Already have an account? Sign in' : 'No account yet? Create one'}
+            </button>
+          </form>
+        )}
+
         {toast && (
           <div className="v8-toast">
             <div className="v8-panel-label">Transmission</div>
@@ -907,12 +1737,12 @@ export default function App() {
           </div>
         )}
 
-        {(familyBrief || familyBriefStatus === 'loading') && (
+        {(familyBrief || familyBriefStatus === 'loading' || familyBriefStatus === 'throttled') && (
           <div className="v8-brief">
             <div className="v8-brief-header">
               <div>
                 <div className="v8-panel-label">Family Brief</div>
-                <div className="v8-brief-title">{familyBrief?.title || 'Generating brief...'}</div>
+                <div className="v8-brief-title">{familyBrief?.title || (familyBriefStatus === 'throttled' ? 'Slow down' : 'Generating brief...')}</div>
               </div>
               <button className="v8-link-btn" onClick={handleBriefClose}>
                 Close
@@ -921,7 +1751,12 @@ export default function App() {
             {familyBriefStatus === 'loading' && <div className="v8-brief-text">Synthesizing the arc...</div>}
             {familyBriefStatus === 'ready' && (
               <>
-                <div className="v8-brief-meta">{familyBrief.mood} • {familyBrief.count} memories</div>
+                <div className="v8-brief-meta">
+                  {familyBrief.mood} • {familyBrief.count} memories
+                  {familyBrief.sampleMemoryIds?.length ? ` • drawn from ${familyBrief.sampleMemoryIds.length}` : ''}
+                  {familyBrief.version ? ` • v${familyBrief.version}` : ''}
+                  {familyBrief.createdAt ? ` • ${new Date(familyBrief.createdAt).toLocaleDateString()}` : ''}
+                </div>
                 <div className="v8-brief-text">{familyBrief.logline}</div>
                 <div className="v8-brief-section">
                   <div className="v8-panel-label">Visual Style</div>
@@ -935,11 +1770,46 @@ export default function App() {
                   <div className="v8-panel-label">Director Note</div>
                   <p>{familyBrief.directorNote}</p>
                 </div>
+                {briefHistory.length > 1 && (
+                  <div className="v8-brief-section">
+                    <div className="v8-panel-label">Versions</div>
+                    <div className="v8-seeds">
+                      {briefHistory.map((version) => (
+                        <button
+                          key={version.briefId}
+                          className={`v8-tag ${version.briefId === familyBrief.briefId ? 'is-active' : ''}`}
+                          title={version.title || version.logline}
+                          onClick={() => handleBriefVersion(version.briefId)}
+                        >
+                          v{version.version}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <div className="v8-panel-footer">
+                  <span className="v8-panel-note">
+                    {familyBrief.cached ? 'Saved brief' : 'Freshly generated'}
+                  </span>
+                  <button
+                    className="v8-link-btn"
+                    onClick={() => handleFamilyBrief(familyBrief.mood, { regenerate: true })}
+                  >
+                    Regenerate
+                  </button>
+                </div>
               </>
             )}
             {familyBriefStatus === 'error' && (
               <div className="v8-brief-text">Brief unavailable. Try another family.</div>
             )}
+            {familyBriefStatus === 'throttled' && (
+              <div className="v8-brief-text">
+                {briefRetryAfter
+                  ? `Too many briefs at once. Try again in ${briefRetryAfter}s.`
+                  : 'Too many briefs at once. Try again shortly.'}
+              </div>
+            )}
           </div>
         )}
       </div>
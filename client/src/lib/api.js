@@ -8,3 +8,30 @@ const apiBase = normalizedBase
   : 'http://127.0.0.1:8080/api';
 
 export const API_BASE = apiBase;
+
+// Curator/contributor session ({ token, user }) kept across reloads
+const SESSION_KEY = 'memorycloud.session';
+
+export function loadSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    return stored?.token && stored?.user ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  if (session) localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  else localStorage.removeItem(SESSION_KEY);
+}
+
+export function authHeaders(session) {
+  return session?.token ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+const ROLE_RANK = { contributor: 1, curator: 2, admin: 3 };
+
+export function hasRole(session, role) {
+  return (ROLE_RANK[session?.user?.role] || 0) >= ROLE_RANK[role];
+}
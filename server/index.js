@@ -9,11 +9,6 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
 
-if (!MONGO_URI) {
-  console.error('❌ Missing MONGO_URI environment variable');
-  process.exit(1);
-}
-
 const allowedOrigins = (process.env.CORS_ORIGIN || '')
   .split(',')
   .map((origin) => origin.trim())
@@ -29,6 +24,9 @@ const corsOptions = allowedOrigins.length
     }
   : { origin: true };
 
+// Behind Render/other proxies req.ip must come from X-Forwarded-For (TRUST_PROXY = number of hops)
+app.set('trust proxy', Number.parseInt(process.env.TRUST_PROXY, 10) || false);
+
 // MIDDLEWARE
 app.use(express.json());
 app.use(cors(corsOptions));
@@ -40,6 +38,18 @@ app.use((req, res, next) => {
 
 const memoriesRoute = require('./routes/memories');
 const linksRoute = require('./routes/links');
+const familiesRoute = require('./routes/families');
+const briefsRoute = require('./routes/briefs');
+const responsesRoute = require('./routes/responses');
+const voiceNotesRoute = require('./routes/voiceNotes');
+const moderationRoute = require('./routes/moderation');
+const authRoute = require('./routes/auth');
+const jobQueue = require('./lib/jobQueue');
+const { authenticate, ensureAdminUser, productionConfigProblems } = require('./lib/auth');
+const { ensureLinkGraph } = require('./lib/linkGraph');
+const { ensureProjection } = require('./lib/projection');
+const { migrateLegacyLinks } = require('./lib/responses');
+const { syncFamilies } = require('./lib/families');
 
 // --- NEW CODE STARTS HERE ---
 
@@ -53,28 +63,58 @@ const connectDB = async () => {
     // 2. Success message
     // conn.connection.host tells us exactly which server we reached
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    // 3. Start pulling background jobs (reprocessing etc.) from the shared queue
+    jobQueue.startWorker();
+    await ensureAdminUser();
+    // Family documents for moods that predate the collection; new moods get theirs when first used
+    await syncFamilies();
+    await ensureLinkGraph();
+    await ensureProjection();
+    await migrateLegacyLinks();
   } catch (error) {
-    // 3. Error handling
+    // 4. Error handling
     // If the internet is down or password is wrong, this runs.
     console.error(`❌ Error: ${error.message}`);
     process.exit(1); // Stop the server if DB fails
   }
 };
 
-// Call the function we just wrote
-connectDB();
-
 // --- NEW CODE ENDS HERE ---
 
-// ROUTES
+// ROUTES (every /api request is checked for a session token; role checks live on the routes)
+app.use('/api', authenticate);
+app.use('/api/auth', authRoute);
 app.use('/api/memories', memoriesRoute);
 app.use('/api/links', linksRoute);
+app.use('/api/families', familiesRoute);
+app.use('/api/briefs', briefsRoute);
+app.use('/api/responses', responsesRoute);
+app.use('/api/voice-notes', voiceNotesRoute);
+app.use('/api/moderation', moderationRoute);
 
 
 app.get('/', (req, res) => {
   res.send('The Collective Memory Cloud API is Online ☁️');
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-});
+// Started directly: connect and listen. The tests require the app and bring their own database.
+if (require.main === module) {
+  if (!MONGO_URI) {
+    console.error('❌ Missing MONGO_URI environment variable');
+    process.exit(1);
+  }
+  const configProblems = productionConfigProblems();
+  if (configProblems.length) {
+    configProblems.forEach((problem) => console.error(`❌ ${problem}`));
+    process.exit(1);
+  }
+  connectDB();
+  app.listen(PORT, () => {
+    console.log(`🚀 Server is running on port ${PORT}`);
+    // Recurring sweeps registered by the routes and libs (reprocessing, PII backfill, pruning, analysis)
+    jobQueue.startSchedules();
+  });
+}
+
+module.exports = app;
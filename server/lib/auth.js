@@ -0,0 +1,194 @@
+// server/lib/auth.js // Local accounts, signed session tokens and role checks
+//
+// Tokens are "<payload>.<signature>", both base64url, where the payload is { sub, role, ver, exp }
+// and the signature is an HMAC-SHA256 over the payload with AUTH_SECRET. Every request still loads
+// the user, so disabling an account or bumping its tokenVersion takes effect immediately.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLE_RANK = { contributor: 1, curator: 2, admin: 3 };
+const TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MIN_PASSWORD_LENGTH = 10;
+
+const MIN_SECRET_LENGTH = 32;
+// Example values such as the "change-me-please" shipped in older copies of .env.example
+const PLACEHOLDER = /change[-_ ]?me/i;
+
+// Anyone may submit a story unless set to 'false'; then submitting needs a contributor account
+const OPEN_SUBMISSIONS = process.env.OPEN_SUBMISSIONS !== 'false';
+
+let AUTH_SECRET = process.env.AUTH_SECRET;
+if (!AUTH_SECRET) {
+  AUTH_SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ AUTH_SECRET is not set: sessions will not survive a restart');
+}
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, 64)).toString('hex');
+  return { hash, salt };
+}
+
+async function verifyPassword(password, hash, salt) {
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+function validateCredentials(username, password) {
+  const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  if (!/^[a-z0-9._-]{3,32}$/.test(name)) {
+    throw new AuthError("Username must be 3-32 letters, digits, dots, dashes or underscores", 400);
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+  return name;
+}
+
+async function createUser({ username, password, role = 'contributor' }) {
+  const name = validateCredentials(username, password);
+  if (!ROLE_RANK[role]) throw new AuthError("Unknown role", 400);
+  if (await User.exists({ username: name })) throw new AuthError("Username is taken", 409);
+  const { hash, salt } = await hashPassword(password);
+  try {
+    return await User.create({ username: name, passwordHash: hash, passwordSalt: salt, role });
+  } catch (error) {
+    if (error.code === 11000) throw new AuthError("Username is taken", 409);
+    throw error;
+  }
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(payload).digest('base64url');
+}
+
+function issueToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(user._id),
+    role: user.role,
+    ver: user.tokenVersion,
+    exp: Date.now() + TOKEN_TTL
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+function readToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+function publicUser(user) {
+  return { id: user._id, username: user.username, role: user.role };
+}
+
+async function login(username, password) {
+  const name = typeof username === 'string' ? username.trim().toLowerCase() : '';
+  const user = await User.findOne({ username: name }).select('+passwordHash +passwordSalt');
+  const valid = user && !user.disabled && typeof password === 'string'
+    && await verifyPassword(password, user.passwordHash, user.passwordSalt);
+  if (!valid) throw new AuthError("Invalid username or password");
+  user.lastLoginAt = new Date();
+  await user.save();
+  return { token: issueToken(user), user: publicUser(user) };
+}
+
+// MIDDLEWARE
+
+// Attaches req.user when a valid bearer token is present; anonymous requests pass through
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return next();
+  try {
+    const claims = readToken(header.slice(7).trim());
+    const user = claims ? await User.findById(claims.sub) : null;
+    if (!user || user.disabled || user.tokenVersion !== claims.ver) {
+      return res.status(401).json({ error: "Session expired. Please sign in again." });
+    }
+    req.user = publicUser(user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// requireRole('curator') admits curators and admins
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Sign in required" });
+    if ((ROLE_RANK[req.user.role] || 0) < ROLE_RANK[role]) {
+      return res.status(403).json({ error: `Requires ${role} access` });
+    }
+    next();
+  };
+}
+
+const requireContributor = requireRole('contributor');
+
+function allowSubmission(req, res, next) {
+  if (OPEN_SUBMISSIONS) return next();
+  return requireContributor(req, res, next);
+}
+
+function isPlaceholder(value) {
+  return !value || !value.trim() || PLACEHOLDER.test(value);
+}
+
+// Reasons the server must not start in production (NODE_ENV=production); empty when it may
+function productionConfigProblems() {
+  if (process.env.NODE_ENV !== 'production') return [];
+  const problems = [];
+  if (isPlaceholder(process.env.AUTH_SECRET)) {
+    problems.push('AUTH_SECRET is missing or still the example value');
+  } else if (process.env.AUTH_SECRET.length < MIN_SECRET_LENGTH) {
+    problems.push(`AUTH_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (isPlaceholder(process.env.ADMIN_PASSWORD)) {
+    problems.push('ADMIN_PASSWORD is missing or still the example value');
+  }
+  return problems;
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no admin exists yet
+async function ensureAdminUser() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) return null;
+  if (await User.exists({ role: 'admin' })) return null;
+  const admin = await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+  console.log(`🔑 Created admin account "${admin.username}"`);
+  return admin;
+}
+
+module.exports = {
+  ROLE_RANK,
+  OPEN_SUBMISSIONS,
+  AuthError,
+  createUser,
+  login,
+  publicUser,
+  authenticate,
+  requireRole,
+  allowSubmission,
+  ensureAdminUser,
+  productionConfigProblems,
+};
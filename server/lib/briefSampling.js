@@ -0,0 +1,99 @@
+// server/lib/briefSampling.js // Picks the stories a family brief is written from
+//
+// Members are grouped into threads by k-means on their embeddings. Each thread contributes its
+// medoid (the story closest to the thread's centre) and its nearest neighbours, and the stories
+// furthest from the family centre are kept as outliers, so a brief sees the family's range
+// instead of whichever stories happen to come first.
+const cosineSimilarity = require('cosine-similarity');
+const { isValidEmbedding } = require('./similarity');
+
+const KMEANS_ITERATIONS = 12;
+
+function mean(vectors) {
+  const sum = vectors[0].map(() => 0);
+  vectors.forEach((vector) => vector.forEach((value, index) => {
+    sum[index] += value || 0;
+  }));
+  return sum.map((value) => value / vectors.length);
+}
+
+// Farthest-first seeds: deterministic, and spread across the family
+function seedCenters(members, count, centroid) {
+  const closestSimilarity = (member, centers) => Math.max(...centers.map((center) => cosineSimilarity(member.embedding, center)));
+  const first = members.reduce((best, member) =>
+    cosineSimilarity(member.embedding, centroid) > cosineSimilarity(best.embedding, centroid) ? member : best
+  );
+  const centers = [first.embedding];
+  while (centers.length < count) {
+    const next = members.reduce((best, member) =>
+      closestSimilarity(member, centers) < closestSimilarity(best, centers) ? member : best
+    );
+    centers.push(next.embedding);
+  }
+  return centers;
+}
+
+function nearestCenter(embedding, centers) {
+  let best = 0;
+  centers.forEach((center, index) => {
+    if (cosineSimilarity(embedding, center) > cosineSimilarity(embedding, centers[best])) best = index;
+  });
+  return best;
+}
+
+function kMeans(members, count, centroid) {
+  let centers = seedCenters(members, count, centroid);
+  let assignment = [];
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration += 1) {
+    const next = members.map((member) => nearestCenter(member.embedding, centers));
+    const changed = next.some((group, index) => group !== assignment[index]);
+    assignment = next;
+    centers = centers.map((center, group) => {
+      const assigned = members.filter((_, index) => assignment[index] === group);
+      return assigned.length ? mean(assigned.map((member) => member.embedding)) : center;
+    });
+    if (!changed) break;
+  }
+  return centers
+    .map((center, group) => ({ center, members: members.filter((_, index) => assignment[index] === group) }))
+    .filter((thread) => thread.members.length);
+}
+
+// members: [{ _id, text, embedding }] -> { threads: [{ size, medoid, nearest }], outliers }
+// Members without a usable embedding can't be placed; they are only used when nothing else is.
+function pickRepresentatives(members, { threads = 4, perThread = 5, outliers = 2 } = {}) {
+  const embedded = members.filter((member) => isValidEmbedding(member.embedding));
+  const dimensions = embedded[0]?.embedding.length;
+  const usable = embedded.filter((member) => member.embedding.length === dimensions);
+  if (usable.length < 2) {
+    const nearest = members.slice(0, perThread);
+    return { threads: nearest.length ? [{ size: members.length, medoid: nearest[0], nearest }] : [], outliers: [] };
+  }
+
+  const centroid = mean(usable.map((member) => member.embedding));
+  const count = Math.max(1, Math.min(threads, Math.floor(usable.length / Math.max(perThread, 1)) || 1));
+  const picked = kMeans(usable, count, centroid)
+    .sort((a, b) => b.members.length - a.members.length)
+    .map((thread) => {
+      const nearest = thread.members
+        .map((member) => ({ member, similarity: cosineSimilarity(member.embedding, thread.center) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, perThread)
+        .map(({ member }) => member);
+      return { size: thread.members.length, medoid: nearest[0], nearest };
+    });
+
+  const used = new Set(picked.flatMap((thread) => thread.nearest.map((member) => String(member._id))));
+  const edge = usable
+    .filter((member) => !used.has(String(member._id)))
+    .map((member) => ({ member, similarity: cosineSimilarity(member.embedding, centroid) }))
+    .sort((a, b) => a.similarity - b.similarity)
+    .slice(0, outliers)
+    .map(({ member }) => member);
+
+  return { threads: picked, outliers: edge };
+}
+
+module.exports = {
+  pickRepresentatives,
+};
@@ -0,0 +1,267 @@
+// server/lib/briefs.js // Filmmaker's briefs: generated on demand, stored as numbered versions per family or memory
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Brief = require('../models/Brief');
+const Family = require('../models/Family');
+const Memory = require('../models/Memory');
+const ThreadSummary = require('../models/ThreadSummary');
+const ai = require('../providers');
+const quota = require('./quota');
+const { VISIBLE_FILTER, isVisible } = require('./moderation');
+const { redactPII } = require('./pii');
+const { pickRepresentatives } = require('./briefSampling');
+
+// Families this small go to the prompt whole; larger ones are sampled and summarised in stages
+const DIRECT_SAMPLE_LIMIT = 8;
+const MAX_SAMPLED_MEMBERS = 2000;
+const THREADS = 4;
+const STORIES_PER_THREAD = 5;
+const OUTLIERS = 2;
+const EXCERPT_LENGTH = 600;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+const SAVE_RETRIES = 3;
+const SUMMARY_TTL = 24 * 60 * 60 * 1000;
+
+// Carries the HTTP status the route should answer with (429s also carry retryAfterMs)
+class BriefError extends Error {
+  constructor(message, status = 400, retryAfterMs = null) {
+    super(message);
+    this.name = 'BriefError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// { mood } or { memoryId } -> { kind, key, family | memory }
+async function resolveSubject({ mood, memoryId } = {}) {
+  if (memoryId !== undefined && memoryId !== null && memoryId !== '') {
+    if (!mongoose.isValidObjectId(memoryId)) throw new BriefError("Invalid memory id");
+    const memory = await Memory.findById(memoryId);
+    if (!memory || !isVisible(memory)) throw new BriefError("Memory not found", 404);
+    return { kind: 'memory', key: { kind: 'memory', family: null, memory: memory._id }, memory };
+  }
+  if (typeof mood === 'string' && mood.trim()) {
+    const family = await Family.findOne({ name: mood.trim() }).select('name');
+    if (!family) throw new BriefError("Family not found", 404);
+    return { kind: 'family', key: { kind: 'family', family: family._id, memory: null }, family };
+  }
+  throw new BriefError("Mood family or memoryId required");
+}
+
+// Older memories may predate redaction, so scrub again before anything leaves for the provider
+function excerpt(memory) {
+  const text = redactPII(memory.text).text;
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+}
+
+async function withBriefQuota(call) {
+  const reservation = await quota.reserve('generation', 'brief');
+  if (!reservation.granted) throw new BriefError("AI quota exhausted", 429, reservation.retryAfterMs);
+  try {
+    return await call();
+  } catch (error) {
+    if (quota.isQuotaError(error)) {
+      await quota.markExhausted('generation');
+      throw new BriefError("AI quota exhausted", 429);
+    }
+    throw error;
+  }
+}
+
+async function loadFamilyMembers(filter, memberCount) {
+  if (memberCount > MAX_SAMPLED_MEMBERS) {
+    return Memory.aggregate([
+      { $match: filter },
+      { $sample: { size: MAX_SAMPLED_MEMBERS } },
+      { $project: { text: 1, embedding: 1 } }
+    ]);
+  }
+  return Memory.find(filter).select('text embedding').sort({ createdAt: 1 }).lean();
+}
+
+// Same provider, prompt, family and stories -> same summary, whichever attempt asks for it
+function threadSummaryKey(mood, thread) {
+  const parts = [ai.name, ai.briefPromptVersions?.family || '', mood, thread.size, ...thread.nearest.map((memory) => String(memory._id))];
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+// Each summary is stored as soon as it arrives, so a brief that runs out of quota halfway through
+// spends nothing on the threads it already summarised when it is retried
+async function summarizeThread(mood, thread) {
+  const key = threadSummaryKey(mood, thread);
+  const stored = await ThreadSummary.findById(key).lean();
+  if (stored) return stored.summary;
+  const summary = await withBriefQuota(() =>
+    ai.summarize(thread.nearest.map(excerpt), { mood, size: thread.size })
+  );
+  await ThreadSummary.updateOne(
+    { _id: key },
+    { $set: { summary, expiresAt: new Date(Date.now() + SUMMARY_TTL) } },
+    { upsert: true }
+  );
+  return summary;
+}
+
+// Stage one for large families: summarise each thread, then hand the brief prompt the summaries,
+// each thread's medoid and the outliers instead of raw stories
+async function sampleThreads(mood, members) {
+  const { threads, outliers } = pickRepresentatives(members, {
+    threads: THREADS,
+    perThread: STORIES_PER_THREAD,
+    outliers: OUTLIERS
+  });
+  const placed = threads.reduce((sum, thread) => sum + thread.size, 0) || 1;
+
+  const summarised = [];
+  for (const thread of threads) {
+    summarised.push({ ...thread, summary: await summarizeThread(mood, thread) });
+  }
+
+  const lines = ['Threads running through the family:'];
+  summarised.forEach((thread) => {
+    lines.push(`- About ${Math.round((thread.size / placed) * 100)}% of the stories: ${thread.summary}`);
+    lines.push(`  Representative story: "${excerpt(thread.medoid)}"`);
+  });
+  if (outliers.length) {
+    lines.push('Stories at the edges of the family:');
+    outliers.forEach((memory) => lines.push(`- "${excerpt(memory)}"`));
+  }
+
+  const threadIds = summarised.flatMap((thread) => thread.nearest.map((memory) => memory._id));
+  return {
+    storySample: lines.join('\n'),
+    sampleMemoryIds: [...threadIds, ...outliers.map((memory) => memory._id)],
+    sampling: {
+      method: 'threads',
+      threads: summarised.map((thread) => ({
+        size: thread.size,
+        medoid: thread.medoid._id,
+        memoryIds: thread.nearest.map((memory) => memory._id),
+        summary: thread.summary
+      })),
+      outlierIds: outliers.map((memory) => memory._id)
+    }
+  };
+}
+
+async function gatherContext(subject) {
+  if (subject.kind === 'memory') {
+    const { memory } = subject;
+    return {
+      mood: memory.mood,
+      sampleMemoryIds: [memory._id],
+      memberCount: 1,
+      sampling: { method: 'single' },
+      context: { text: redactPII(memory.text).text, mood: memory.mood, tags: memory.tags }
+    };
+  }
+  const mood = subject.family.name;
+  const filter = { mood, ...VISIBLE_FILTER };
+  const memberCount = await Memory.countDocuments(filter);
+  if (!memberCount) throw new BriefError("No memories found for this mood", 404);
+  const members = await loadFamilyMembers(filter, memberCount);
+
+  const sample = memberCount <= DIRECT_SAMPLE_LIMIT
+    ? {
+        storySample: members.map((memory) => `- "${excerpt(memory)}"`).join('\n'),
+        sampleMemoryIds: members.map((memory) => memory._id),
+        sampling: { method: 'direct' }
+      }
+    : await sampleThreads(mood, members);
+
+  return {
+    mood,
+    sampleMemoryIds: sample.sampleMemoryIds,
+    memberCount,
+    sampling: sample.sampling,
+    context: { mood, storySample: sample.storySample, count: memberCount }
+  };
+}
+
+// Generate and store the next version
+async function createBrief(subject, actor) {
+  const { mood, sampleMemoryIds, memberCount, sampling, context } = await gatherContext(subject);
+  const output = await withBriefQuota(() => ai.generateBrief(subject.kind, context));
+
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await Brief.findOne(subject.key).sort({ version: -1 }).select('version').lean();
+    try {
+      return await Brief.create({
+        ...subject.key,
+        mood,
+        version: (latest?.version || 0) + 1,
+        provider: ai.name,
+        promptVersion: ai.briefPromptVersions?.[subject.kind] || '',
+        sampleMemoryIds,
+        memberCount,
+        sampling,
+        output,
+        createdBy: actor || null
+      });
+    } catch (error) {
+      // Someone else saved the same version number first
+      if (error.code !== 11000 || attempt >= SAVE_RETRIES) throw error;
+    }
+  }
+}
+
+function latestBrief(subject) {
+  return Brief.findOne(subject.key).sort({ version: -1 });
+}
+
+// Cached unless asked to regenerate; resolves { brief, cached }
+async function getOrCreateBrief(subject, actor, { regenerate = false } = {}) {
+  if (!regenerate) {
+    const cached = await latestBrief(subject);
+    if (cached) return { brief: cached, cached: true };
+  }
+  return { brief: await createBrief(subject, actor), cached: false };
+}
+
+// Newest first, without the output bodies
+function listBriefs(subject, limit) {
+  const requested = Number.parseInt(limit, 10);
+  const capped = Number.isFinite(requested) && requested > 0 ? Math.min(requested, MAX_HISTORY_LIMIT) : DEFAULT_HISTORY_LIMIT;
+  return Brief.find(subject.key)
+    .sort({ version: -1 })
+    .limit(capped)
+    .select('kind family memory mood version provider promptVersion memberCount createdBy createdAt output.title output.logline');
+}
+
+async function getBrief(id) {
+  if (!mongoose.isValidObjectId(id)) throw new BriefError("Invalid brief id");
+  const brief = await Brief.findById(id);
+  if (!brief) throw new BriefError("Brief not found", 404);
+  return brief;
+}
+
+// The shape the client's brief panel reads: the output fields at the top level plus the version details
+function toResponse(brief, { cached = false } = {}) {
+  return {
+    ...(brief.output || {}),
+    mood: brief.mood,
+    count: brief.memberCount,
+    briefId: String(brief._id),
+    kind: brief.kind,
+    version: brief.version,
+    provider: brief.provider,
+    promptVersion: brief.promptVersion,
+    sampleMemoryIds: (brief.sampleMemoryIds || []).map(String),
+    sampling: brief.sampling,
+    createdBy: brief.createdBy,
+    createdAt: brief.createdAt,
+    cached
+  };
+}
+
+module.exports = {
+  BriefError,
+  resolveSubject,
+  createBrief,
+  latestBrief,
+  getOrCreateBrief,
+  listBriefs,
+  getBrief,
+  toResponse,
+};
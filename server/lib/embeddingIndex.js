@@ -0,0 +1,80 @@
+// server/lib/embeddingIndex.js // In-process copy of the ranking fields of every visible memory
+//
+// Search, echoes and linking score a memory against the whole archive, so they read from here
+// instead of pulling every embedding out of Mongo each time. The first call loads the archive; later calls only fetch
+// memories whose updatedAt moved since the last sync (new, edited, reclassified or hidden ones).
+// Deletes made by this process are dropped straight away; deletes made elsewhere are caught by
+// the periodic full reload, or when a ranked id no longer comes back from Mongo (see forget).
+const Memory = require('../models/Memory');
+const { VISIBLE_FILTER, isVisible } = require('./moderation');
+
+const RANKING_FIELDS = 'text mood tags themeVector embedding createdAt';
+const FULL_RELOAD_INTERVAL = 10 * 60 * 1000;
+// Other instances stamp updatedAt with their own clocks; re-reading a few seconds is harmless
+const CLOCK_SKEW = 5 * 1000;
+
+const entries = new Map();
+let syncedAt = null;
+let reloadedAt = 0;
+let pending = null;
+
+function toEntry(memory) {
+  const { status, ...entry } = memory;
+  return entry;
+}
+
+async function reload() {
+  const startedAt = new Date();
+  const memories = await Memory.find(VISIBLE_FILTER).select(RANKING_FIELDS).lean();
+  entries.clear();
+  memories.forEach((memory) => entries.set(String(memory._id), toEntry(memory)));
+  syncedAt = startedAt;
+  reloadedAt = startedAt.getTime();
+}
+
+async function refresh() {
+  const startedAt = new Date();
+  const changed = await Memory.find({ updatedAt: { $gt: new Date(syncedAt.getTime() - CLOCK_SKEW) } })
+    .select(`${RANKING_FIELDS} status`)
+    .lean();
+  changed.forEach((memory) => {
+    if (isVisible(memory)) entries.set(String(memory._id), toEntry(memory));
+    else entries.delete(String(memory._id));
+  });
+  syncedAt = startedAt;
+}
+
+// Concurrent searches share one sync
+async function sync() {
+  if (!pending) {
+    const stale = !syncedAt || Date.now() - reloadedAt >= FULL_RELOAD_INTERVAL;
+    pending = (stale ? reload() : refresh()).finally(() => {
+      pending = null;
+    });
+  }
+  await pending;
+}
+
+// Ranking fields ({ _id, text, mood, tags, themeVector, embedding, createdAt }) of every visible memory
+async function visibleEntries() {
+  await sync();
+  return Array.from(entries.values());
+}
+
+// For memories deleted here, or ranked ids Mongo no longer returns
+function forget(ids) {
+  (Array.isArray(ids) ? ids : [ids]).forEach((id) => entries.delete(String(id)));
+}
+
+// Tests and tools that rewrite the collection underneath the index
+function reset() {
+  entries.clear();
+  syncedAt = null;
+  reloadedAt = 0;
+}
+
+module.exports = {
+  visibleEntries,
+  forget,
+  reset
+};
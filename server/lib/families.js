@@ -0,0 +1,414 @@
+// server/lib/families.js // Family documents: incremental profiles, rename, merge and split
+//
+// Each Family keeps running sums (embeddingSum, themeWeights, tagCounts) that are adjusted
+// whenever a member joins or leaves, and the derived centroid/themeVector/tags are written
+// next to them. Classification therefore reads complete profiles with one query instead of
+// rebuilding them from a sample of memories.
+const mongoose = require('mongoose');
+const Memory = require('../models/Memory');
+const Family = require('../models/Family');
+const Brief = require('../models/Brief');
+const FamilySuggestion = require('../models/FamilySuggestion');
+const {
+  THEME_AXES,
+  normalizeThemeVector,
+  normalizeTags,
+  isValidEmbedding,
+  axisToMap,
+  memberWeight,
+} = require('./similarity');
+const { VISIBLE_FILTER, isVisible } = require('./moderation');
+const { queueLinkRebuild } = require('./linkGraph');
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const PROFILE_RETRIES = 5;
+const EPSILON = 1e-9;
+
+// Internal bookkeeping that API responses leave out
+const PUBLIC_FIELDS = '-centroid -embeddingSum -embeddingWeight -themeWeights -tagCounts';
+
+// Carries the HTTP status the route should answer with
+class FamilyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FamilyError';
+    this.status = status;
+  }
+}
+
+async function ensureFamily(name, { color, createdAt } = {}) {
+  const update = {
+    $setOnInsert: {
+      name,
+      color: HEX_COLOR.test(color || '') ? color : '#FFFFFF',
+      createdAt: createdAt || new Date()
+    }
+  };
+  try {
+    return await Family.findOneAndUpdate({ name }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Two ingests raced to create the same family
+    if (error.code === 11000) return Family.findOne({ name });
+    throw error;
+  }
+}
+
+// PROFILE MATHS
+
+function mapToEntries(map, key, valueKey) {
+  return Array.from(map.entries())
+    .filter(([, value]) => value > EPSILON)
+    .map(([label, value]) => ({ [key]: label, [valueKey]: value }));
+}
+
+// sign = 1 adds the memory to the sums, -1 takes it back out
+function applyContribution(family, memory, sign) {
+  const weight = memberWeight(memory) * sign;
+
+  const embedding = memory.embedding;
+  if (isValidEmbedding(embedding)) {
+    const sum = family.embeddingSum.length ? family.embeddingSum : embedding.map(() => 0);
+    if (sum.length === embedding.length) {
+      family.embeddingSum = sum.map((value, index) => value + (embedding[index] || 0) * weight);
+      family.embeddingWeight += weight;
+    }
+  }
+
+  THEME_AXES.forEach((axis) => {
+    const totals = axisToMap(family.themeWeights?.[axis]);
+    axisToMap(memory.themeVector?.[axis]).forEach((value, label) => {
+      totals.set(label, (totals.get(label) || 0) + value * weight);
+    });
+    family.themeWeights[axis] = mapToEntries(totals, 'label', 'weight');
+  });
+
+  const tagTotals = new Map((family.tagCounts || []).map((entry) => [entry.tag, entry.count]));
+  normalizeTags(memory.tags).forEach((tag) => {
+    tagTotals.set(tag, (tagTotals.get(tag) || 0) + weight);
+  });
+  family.tagCounts = mapToEntries(tagTotals, 'tag', 'count');
+
+  family.memberCount = Math.max(0, family.memberCount + sign);
+}
+
+function combineProfiles(target, source) {
+  if (source.embeddingWeight > EPSILON) {
+    const sum = target.embeddingSum.length ? target.embeddingSum : source.embeddingSum.map(() => 0);
+    if (sum.length === source.embeddingSum.length) {
+      target.embeddingSum = sum.map((value, index) => value + source.embeddingSum[index]);
+      target.embeddingWeight += source.embeddingWeight;
+    }
+  }
+  THEME_AXES.forEach((axis) => {
+    const totals = axisToMap(target.themeWeights?.[axis]);
+    axisToMap(source.themeWeights?.[axis]).forEach((value, label) => {
+      totals.set(label, (totals.get(label) || 0) + value);
+    });
+    target.themeWeights[axis] = mapToEntries(totals, 'label', 'weight');
+  });
+  const tagTotals = new Map((target.tagCounts || []).map((entry) => [entry.tag, entry.count]));
+  (source.tagCounts || []).forEach((entry) => {
+    tagTotals.set(entry.tag, (tagTotals.get(entry.tag) || 0) + entry.count);
+  });
+  target.tagCounts = mapToEntries(tagTotals, 'tag', 'count');
+  target.memberCount += source.memberCount;
+}
+
+function resetProfile(family) {
+  family.embeddingSum = [];
+  family.embeddingWeight = 0;
+  THEME_AXES.forEach((axis) => {
+    family.themeWeights[axis] = [];
+  });
+  family.tagCounts = [];
+  family.memberCount = 0;
+}
+
+// Write centroid / themeVector / tags from the running sums
+function deriveProfile(family) {
+  family.centroid = family.embeddingWeight > EPSILON
+    ? family.embeddingSum.map((value) => value / family.embeddingWeight)
+    : [];
+  const strongestFirst = {};
+  THEME_AXES.forEach((axis) => {
+    strongestFirst[axis] = (family.themeWeights?.[axis] || []).slice().sort((a, b) => b.weight - a.weight);
+  });
+  family.themeVector = normalizeThemeVector(strongestFirst);
+  family.tags = (family.tagCounts || [])
+    .slice()
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 12)
+    .map((entry) => entry.tag);
+  family.updatedAt = new Date();
+}
+
+async function updateProfile(name, mutate, { color } = {}) {
+  for (let attempt = 0; attempt < PROFILE_RETRIES; attempt += 1) {
+    const family = await ensureFamily(name, { color });
+    mutate(family);
+    deriveProfile(family);
+    try {
+      await family.save();
+      return family;
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+    }
+  }
+  throw new Error(`Family profile for "${name}" kept changing underneath us`);
+}
+
+// MEMBERSHIP CHANGES
+
+// Pending and rejected memories are not part of any family profile
+function addMemberToFamily(memory, { color } = {}) {
+  if (!memory?.mood || !isVisible(memory)) return null;
+  return updateProfile(memory.mood, (family) => applyContribution(family, memory, 1), { color });
+}
+
+function removeMemberFromFamily(memory) {
+  if (!memory?.mood || !isVisible(memory)) return null;
+  return updateProfile(memory.mood, (family) => applyContribution(family, memory, -1));
+}
+
+// Recompute the sums from every member; used after bulk moves and to repair drift
+async function rebuildFamilyProfile(name, session = null) {
+  const family = await Family.findOne({ name }).session(session);
+  if (!family) return null;
+  resetProfile(family);
+  const members = await Memory.find({ mood: name, ...VISIBLE_FILTER })
+    .select('mood embedding themeVector tags pinned')
+    .session(session)
+    .lean();
+  members.forEach((member) => applyContribution(family, member, 1));
+  deriveProfile(family);
+  await family.save({ session });
+  return family;
+}
+
+// Create Family documents (with full profiles) for moods that predate the collection
+async function syncFamilies(moods = null) {
+  const [names, families] = await Promise.all([
+    moods ? Promise.resolve(moods) : Memory.distinct('mood', VISIBLE_FILTER),
+    Family.find().select('name')
+  ]);
+  const known = new Set(families.map((family) => family.name));
+  const missing = names.filter((mood) => mood && !known.has(mood));
+  for (const mood of missing) {
+    const first = await Memory.findOne({ mood }).sort({ createdAt: 1 }).select('color createdAt');
+    await ensureFamily(mood, { color: first?.color, createdAt: first?.createdAt });
+    await rebuildFamilyProfile(mood);
+  }
+  return missing.length;
+}
+
+async function rebuildAllFamilyProfiles() {
+  await syncFamilies();
+  const families = await Family.find().select('name');
+  for (const family of families) {
+    await rebuildFamilyProfile(family.name);
+  }
+  return families.length;
+}
+
+// Profiles in the shape scoreFamilyMatch expects: { mood, embedding, themeVector, tags }
+async function loadFamilyProfiles(names) {
+  await syncFamilies(names);
+  const families = await Family.find({ name: { $in: names }, memberCount: { $gt: 0 } })
+    .select('name centroid themeVector tags memberCount')
+    .lean();
+  return families.map((family) => ({
+    mood: family.name,
+    embedding: family.centroid?.length ? family.centroid : null,
+    themeVector: family.themeVector,
+    tags: family.tags,
+    memberCount: family.memberCount
+  }));
+}
+
+// CURATOR OPERATIONS
+
+function cleanName(name) {
+  return typeof name === 'string' ? name.trim() : '';
+}
+
+// Same shape as the keys lib/familySuggestions.js writes: "merge:a|b" (sorted) or "split:a"
+function suggestionKey(kind, families) {
+  return `${kind}:${families.slice().sort().join('|')}`;
+}
+
+// Briefs and open or dismissed suggestions refer to families by name
+async function renameFamilyReferences(oldName, newName, session) {
+  await Brief.updateMany({ mood: oldName }, { $set: { mood: newName } }, { session });
+  const suggestions = await FamilySuggestion.find({ families: oldName }).session(session);
+  for (const suggestion of suggestions) {
+    suggestion.families = suggestion.families.map((name) => (name === oldName ? newName : name));
+    suggestion.key = suggestionKey(suggestion.kind, suggestion.families);
+    await suggestion.save({ session });
+  }
+}
+
+// The merge counterpart: the sources' briefs join the target's history, renumbered by creation time
+// (versions are per family), and their suggestions are renamed to the target
+async function mergeFamilyReferences(sources, target, session) {
+  const briefs = await Brief.find({ kind: 'family', family: { $in: [target._id, ...sources.map((source) => source._id)] } })
+    .sort({ createdAt: 1, version: 1 })
+    .select('_id')
+    .session(session);
+  const renumber = (version) => briefs.map((brief, index) => ({
+    updateOne: {
+      filter: { _id: brief._id },
+      update: { $set: { family: target._id, mood: target.name, version: version(index) } }
+    }
+  }));
+  if (briefs.length) {
+    // Negative versions first, so no write collides with a number another brief still holds
+    await Brief.bulkWrite(renumber((index) => -(index + 1)), { session });
+    await Brief.bulkWrite(renumber((index) => index + 1), { session });
+  }
+
+  const sourceNames = sources.map((source) => source.name);
+  const suggestions = await FamilySuggestion.find({ families: { $in: sourceNames } }).session(session);
+  for (const suggestion of suggestions) {
+    const families = [...new Set(suggestion.families.map((name) => (sourceNames.includes(name) ? target.name : name)))];
+    // A suggested merge of families that are now one has been carried out
+    if (suggestion.kind === 'merge' && families.length < 2) {
+      if (suggestion.status === 'pending') {
+        suggestion.status = 'accepted';
+        suggestion.resolvedAt = new Date();
+        await suggestion.save({ session });
+      }
+      continue;
+    }
+    suggestion.families = families;
+    suggestion.key = suggestionKey(suggestion.kind, families);
+    // The target may already carry the same suggestion
+    const duplicate = await FamilySuggestion.exists({
+      _id: { $ne: suggestion._id },
+      key: suggestion.key,
+      status: suggestion.status
+    }).session(session);
+    if (duplicate) await suggestion.deleteOne({ session });
+    else await suggestion.save({ session });
+  }
+}
+
+// Rename plus colour/description edits. Member memories, briefs and suggestions are rewritten in the same transaction.
+async function updateFamily(id, { name, color, description } = {}) {
+  if (color !== undefined && !HEX_COLOR.test(color)) {
+    throw new FamilyError("Color must be a hex code like #A78BFA");
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    throw new FamilyError("Description must be a string");
+  }
+  const nextName = name === undefined ? null : cleanName(name);
+  if (name !== undefined && !nextName) {
+    throw new FamilyError("Family name cannot be empty");
+  }
+
+  let updated = null;
+  await mongoose.connection.transaction(async (session) => {
+    const family = await Family.findById(id).session(session);
+    if (!family) throw new FamilyError("Family not found", 404);
+
+    if (nextName && nextName !== family.name) {
+      if (await Family.exists({ name: nextName }).session(session)) {
+        throw new FamilyError(`Family "${nextName}" already exists. Merge the families instead.`, 409);
+      }
+      await Memory.updateMany({ mood: family.name }, { $set: { mood: nextName } }, { session });
+      await renameFamilyReferences(family.name, nextName, session);
+      family.name = nextName;
+    }
+    if (color !== undefined) family.color = color;
+    if (description !== undefined) family.description = description.trim();
+    family.updatedAt = new Date();
+    await family.save({ session });
+    updated = family;
+  });
+  return updated;
+}
+
+// Fold every source family into the target: members (taking the target's colour), briefs and
+// suggestions move over and the sources are removed
+async function mergeFamilies(sourceIds, targetId) {
+  const ids = (Array.isArray(sourceIds) ? sourceIds : [])
+    .map(String)
+    .filter((id) => id !== String(targetId));
+  if (!ids.length) throw new FamilyError("At least one source family is required");
+  if (![targetId, ...ids].every((id) => mongoose.isValidObjectId(id))) {
+    throw new FamilyError("Invalid family id");
+  }
+
+  let result = null;
+  await mongoose.connection.transaction(async (session) => {
+    const target = await Family.findById(targetId).session(session);
+    if (!target) throw new FamilyError("Target family not found", 404);
+    const sources = await Family.find({ _id: { $in: ids } }).session(session);
+    if (sources.length !== ids.length) throw new FamilyError("Source family not found", 404);
+
+    const sourceNames = sources.map((family) => family.name);
+    const moved = await Memory.updateMany(
+      { mood: { $in: sourceNames } },
+      { $set: { mood: target.name, color: target.color } },
+      { session }
+    );
+    await mergeFamilyReferences(sources, target, session);
+    // Sums are additive, so the merged profile needs no member scan
+    sources.forEach((source) => combineProfiles(target, source));
+    deriveProfile(target);
+    await target.save({ session });
+    await Family.deleteMany({ _id: { $in: ids } }, { session });
+
+    result = { targetId: target._id, mergedFamilies: sourceNames, movedMemories: moved.modifiedCount };
+  });
+  result.family = await Family.findById(targetId).select(PUBLIC_FIELDS);
+  // Family arcs depend on shared moods, which just changed for every moved memory
+  await queueLinkRebuild();
+  return result;
+}
+
+// Move the given members out into a new family, leaving the rest where they are
+async function splitFamily(id, memoryIds, newName) {
+  const name = cleanName(newName);
+  if (!name) throw new FamilyError("A name for the new family is required");
+  const ids = (Array.isArray(memoryIds) ? memoryIds : []).map(String);
+  if (!ids.length || !ids.every((memoryId) => mongoose.isValidObjectId(memoryId))) {
+    throw new FamilyError("memoryIds must be a non-empty list of memory ids");
+  }
+
+  let result = null;
+  await mongoose.connection.transaction(async (session) => {
+    const family = await Family.findById(id).session(session);
+    if (!family) throw new FamilyError("Family not found", 404);
+    if (await Family.exists({ name }).session(session)) {
+      throw new FamilyError(`Family "${name}" already exists`, 409);
+    }
+
+    const [created] = await Family.create([{ name, color: family.color }], { session });
+    const moved = await Memory.updateMany(
+      { _id: { $in: ids }, mood: family.name },
+      { $set: { mood: name } },
+      { session }
+    );
+    await rebuildFamilyProfile(family.name, session);
+    await rebuildFamilyProfile(name, session);
+
+    result = { sourceId: family._id, newFamilyId: created._id, newFamily: name, movedMemories: moved.modifiedCount };
+  });
+  await queueLinkRebuild();
+  return result;
+}
+
+module.exports = {
+  PUBLIC_FIELDS,
+  FamilyError,
+  ensureFamily,
+  addMemberToFamily,
+  removeMemberFromFamily,
+  rebuildFamilyProfile,
+  rebuildAllFamilyProfiles,
+  loadFamilyProfiles,
+  syncFamilies,
+  updateFamily,
+  mergeFamilies,
+  splitFamily,
+};
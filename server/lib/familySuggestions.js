@@ -0,0 +1,201 @@
+// server/lib/familySuggestions.js // Finds families that look like duplicates or have grown too broad
+const cosineSimilarity = require('cosine-similarity');
+const Memory = require('../models/Memory');
+const Family = require('../models/Family');
+const FamilySuggestion = require('../models/FamilySuggestion');
+const jobQueue = require('./jobQueue');
+const { isValidEmbedding, themeSimilarity, buildFamilyStats } = require('./similarity');
+const { FamilyError, mergeFamilies, splitFamily, loadFamilyProfiles } = require('./families');
+const { VISIBLE_FILTER } = require('./moderation');
+
+const ANALYZE_FAMILIES_JOB = 'analyze-families';
+const ANALYSIS_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+const MERGE_THRESHOLD = 0.82;
+const SPLIT_MIN_MEMBERS = 20;
+const SPLIT_MIN_GROUP_SHARE = 0.25;
+const SPLIT_MAX_CENTROID_SIMILARITY = 0.75;
+
+function mergeKey(left, right) {
+  return `merge:${[left, right].sort().join('|')}`;
+}
+
+function scoreFamilyPair(left, right) {
+  const hasEmbedding = isValidEmbedding(left.embedding) && isValidEmbedding(right.embedding);
+  const centroidScore = hasEmbedding ? cosineSimilarity(left.embedding, right.embedding) : 0;
+  const themeScore = themeSimilarity(left.themeVector, right.themeVector);
+  const score = hasEmbedding ? centroidScore * 0.7 + themeScore * 0.3 : themeScore;
+  return { score, centroidScore, themeScore, hasEmbedding };
+}
+
+function mean(vectors) {
+  const sum = vectors[0].map(() => 0);
+  vectors.forEach((vector) => vector.forEach((value, index) => {
+    sum[index] += value || 0;
+  }));
+  return sum.map((value) => value / vectors.length);
+}
+
+// Two-way k-means on cosine similarity, seeded with the two members furthest apart from the centroid
+function bisect(members) {
+  const centroid = mean(members.map((member) => member.embedding));
+  const bySimilarity = members
+    .map((member) => ({ member, similarity: cosineSimilarity(member.embedding, centroid) }))
+    .sort((a, b) => a.similarity - b.similarity);
+  const seedA = bySimilarity[0].member;
+  const seedB = members.reduce((best, member) =>
+    cosineSimilarity(member.embedding, seedA.embedding) < cosineSimilarity(best.embedding, seedA.embedding) ? member : best
+  );
+  let centers = [seedA.embedding, seedB.embedding];
+  let assignment = [];
+
+  for (let iteration = 0; iteration < 12; iteration += 1) {
+    const next = members.map((member) =>
+      cosineSimilarity(member.embedding, centers[0]) >= cosineSimilarity(member.embedding, centers[1]) ? 0 : 1
+    );
+    const changed = next.some((group, index) => group !== assignment[index]);
+    assignment = next;
+    const groups = [0, 1].map((group) => members.filter((_, index) => assignment[index] === group));
+    if (groups.some((group) => !group.length)) return null;
+    centers = groups.map((group) => mean(group.map((member) => member.embedding)));
+    if (!changed) break;
+  }
+
+  const groups = [0, 1].map((group) => members.filter((_, index) => assignment[index] === group));
+  const cohesion = groups.map((group, index) => {
+    const total = group.reduce((sum, member) => sum + cosineSimilarity(member.embedding, centers[index]), 0);
+    return total / group.length;
+  });
+  return { groups, centroidSimilarity: cosineSimilarity(centers[0], centers[1]), cohesion };
+}
+
+function proposeSplit(family, members) {
+  const withEmbeddings = members.filter((member) => isValidEmbedding(member.embedding));
+  if (withEmbeddings.length < SPLIT_MIN_MEMBERS) return null;
+  const result = bisect(withEmbeddings);
+  if (!result) return null;
+
+  const smallest = Math.min(...result.groups.map((group) => group.length));
+  if (smallest / withEmbeddings.length < SPLIT_MIN_GROUP_SHARE) return null;
+  if (result.centroidSimilarity > SPLIT_MAX_CENTROID_SIMILARITY) return null;
+
+  return {
+    scores: {
+      separation: 1 - result.centroidSimilarity,
+      centroidSimilarity: result.centroidSimilarity,
+      cohesion: result.cohesion,
+      memberCount: members.length
+    },
+    // Larger group first: it keeps the family name when the split is accepted
+    groups: result.groups
+      .sort((a, b) => b.length - a.length)
+      .map((group) => ({
+        memoryIds: group.map((member) => member._id),
+        size: group.length,
+        tags: buildFamilyStats(group.map((member) => ({ ...member, mood: family })))[0]?.tags.slice(0, 5) || []
+      }))
+  };
+}
+
+async function hasOpenOrDismissed(key) {
+  return FamilySuggestion.exists({ key, status: { $in: ['pending', 'dismissed'] } });
+}
+
+async function analyzeFamilies() {
+  const members = await Memory.find(VISIBLE_FILTER).select('mood embedding themeVector tags pinned').lean();
+  const familyStats = await loadFamilyProfiles([...new Set(members.map((member) => member.mood))]);
+  let created = 0;
+
+  // MERGE CANDIDATES
+  for (let i = 0; i < familyStats.length; i += 1) {
+    for (let j = i + 1; j < familyStats.length; j += 1) {
+      const left = familyStats[i];
+      const right = familyStats[j];
+      const scores = scoreFamilyPair(left, right);
+      if (scores.score < MERGE_THRESHOLD) continue;
+      const key = mergeKey(left.mood, right.mood);
+      if (await hasOpenOrDismissed(key)) continue;
+      await FamilySuggestion.create({ kind: 'merge', families: [left.mood, right.mood], scores, key });
+      created += 1;
+    }
+  }
+
+  // SPLIT CANDIDATES
+  const byFamily = new Map();
+  members.forEach((member) => {
+    if (!byFamily.has(member.mood)) byFamily.set(member.mood, []);
+    byFamily.get(member.mood).push(member);
+  });
+  for (const [mood, familyMembers] of byFamily) {
+    const proposal = proposeSplit(mood, familyMembers);
+    if (!proposal) continue;
+    const key = `split:${mood}`;
+    if (await hasOpenOrDismissed(key)) continue;
+    await FamilySuggestion.create({ kind: 'split', families: [mood], ...proposal, key });
+    created += 1;
+  }
+
+  console.log(`🧪 Family analysis complete: ${created} new suggestions`);
+  return created;
+}
+
+jobQueue.registerHandler(ANALYZE_FAMILIES_JOB, () => analyzeFamilies());
+
+function queueFamilyAnalysis() {
+  return jobQueue.enqueue(ANALYZE_FAMILIES_JOB, {}, { dedupeKey: ANALYZE_FAMILIES_JOB });
+}
+
+jobQueue.schedule('Family analysis scheduling', queueFamilyAnalysis, { everyMs: ANALYSIS_INTERVAL });
+
+async function loadPendingSuggestion(id) {
+  const suggestion = await FamilySuggestion.findById(id);
+  if (!suggestion) throw new FamilyError("Suggestion not found", 404);
+  if (suggestion.status !== 'pending') throw new FamilyError(`Suggestion already ${suggestion.status}`, 409);
+  return suggestion;
+}
+
+// merge: options.targetName picks which family survives (defaults to the larger one)
+// split: options.name names the family the second group moves into (required)
+async function acceptSuggestion(id, options = {}) {
+  const suggestion = await loadPendingSuggestion(id);
+  let resolution;
+
+  if (suggestion.kind === 'merge') {
+    const families = await Family.find({ name: { $in: suggestion.families } });
+    if (families.length !== suggestion.families.length) {
+      throw new FamilyError("One of these families no longer exists", 409);
+    }
+    const target = options.targetName
+      ? families.find((family) => family.name === options.targetName)
+      : families.slice().sort((a, b) => b.memberCount - a.memberCount)[0];
+    if (!target) throw new FamilyError("targetName must be one of the suggested families");
+    const sources = families.filter((family) => String(family._id) !== String(target._id));
+    const { family, ...summary } = await mergeFamilies(sources.map((source) => source._id), target._id);
+    resolution = summary;
+  } else {
+    const family = await Family.findOne({ name: suggestion.families[0] });
+    if (!family) throw new FamilyError("This family no longer exists", 409);
+    resolution = await splitFamily(family._id, suggestion.groups[1]?.memoryIds || [], options.name);
+  }
+
+  suggestion.status = 'accepted';
+  suggestion.resolution = resolution;
+  suggestion.resolvedAt = new Date();
+  await suggestion.save();
+  return suggestion;
+}
+
+async function dismissSuggestion(id) {
+  const suggestion = await loadPendingSuggestion(id);
+  suggestion.status = 'dismissed';
+  suggestion.resolvedAt = new Date();
+  await suggestion.save();
+  return suggestion;
+}
+
+module.exports = {
+  analyzeFamilies,
+  queueFamilyAnalysis,
+  acceptSuggestion,
+  dismissSuggestion,
+};
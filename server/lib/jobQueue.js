@@ -0,0 +1,253 @@
+// server/lib/jobQueue.js // Mongo-backed job queue with leases, retries, backoff and dead-lettering
+// Any number of server instances can run a worker: a job is only handed to the
+// instance that wins the atomic lease, and an expired lease makes it available again.
+// The lease is renewed while the handler runs, so only a crashed or stalled worker lets it lapse.
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const DEFAULT_LEASE_MS = 2 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+const handlers = new Map();
+
+// Thrown by a handler to put its job back without spending an attempt (e.g. quota exhausted)
+class DeferJobError extends Error {
+  constructor(message, delayMs = 60 * 1000) {
+    super(message);
+    this.name = 'DeferJobError';
+    this.delayMs = delayMs;
+  }
+}
+
+function backoffDelay(attempts) {
+  const exponential = BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  const jitter = Math.floor(Math.random() * BACKOFF_BASE_MS);
+  return Math.min(exponential, BACKOFF_MAX_MS) + jitter;
+}
+
+async function enqueue(type, payload = {}, options = {}) {
+  const { dedupeKey, runAt = new Date(), maxAttempts } = options;
+  try {
+    return await Job.create({
+      type,
+      payload,
+      runAt,
+      ...(dedupeKey ? { dedupeKey } : {}),
+      ...(maxAttempts ? { maxAttempts } : {})
+    });
+  } catch (error) {
+    // Same work is already queued or running
+    if (error.code === 11000 && dedupeKey) return null;
+    throw error;
+  }
+}
+
+function leaseMsFor(type) {
+  return handlers.get(type)?.leaseMs || DEFAULT_LEASE_MS;
+}
+
+async function leaseNext(types) {
+  const now = new Date();
+  const job = await Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'leased', leaseExpiresAt: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'leased', leaseOwner: WORKER_ID, leaseExpiresAt: new Date(now.getTime() + DEFAULT_LEASE_MS) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+  if (job && leaseMsFor(job.type) !== DEFAULT_LEASE_MS) await renewLease(job);
+  return job;
+}
+
+// Pushes the lease out by another full term; false once another worker has taken the job over
+async function renewLease(job) {
+  const leaseExpiresAt = new Date(Date.now() + leaseMsFor(job.type));
+  const result = await Job.updateOne(
+    { _id: job._id, status: 'leased', leaseOwner: WORKER_ID },
+    { $set: { leaseExpiresAt } }
+  );
+  if (result.modifiedCount) job.leaseExpiresAt = leaseExpiresAt;
+  return result.modifiedCount > 0;
+}
+
+// Renews the lease at a third of its term until stop() is called
+function keepLeased(job) {
+  const timer = setInterval(() => {
+    renewLease(job)
+      .then((held) => {
+        if (held) return;
+        console.warn(`⚠️ Job ${job.type} ${job._id} lost its lease while running`);
+        clearInterval(timer);
+      })
+      .catch((error) => console.error(`Lease renewal error for job ${job._id}:`, error));
+  }, Math.floor(leaseMsFor(job.type) / 3));
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+async function complete(job) {
+  await Job.updateOne(
+    { _id: job._id, leaseOwner: WORKER_ID },
+    {
+      $set: { status: 'done', completedAt: new Date(), leaseOwner: null, leaseExpiresAt: null },
+      $unset: { dedupeKey: 1 }
+    }
+  );
+}
+
+async function defer(job, delayMs) {
+  await Job.updateOne(
+    { _id: job._id, leaseOwner: WORKER_ID },
+    {
+      $set: { status: 'queued', runAt: new Date(Date.now() + delayMs), leaseOwner: null, leaseExpiresAt: null },
+      $inc: { attempts: -1 }
+    }
+  );
+}
+
+async function fail(job, error) {
+  const message = error?.message || String(error);
+  if (job.attempts >= job.maxAttempts) {
+    await Job.updateOne(
+      { _id: job._id, leaseOwner: WORKER_ID },
+      {
+        $set: { status: 'dead', lastError: message, completedAt: new Date(), leaseOwner: null, leaseExpiresAt: null },
+        $unset: { dedupeKey: 1 }
+      }
+    );
+    console.error(`💀 Job ${job.type} ${job._id} dead-lettered after ${job.attempts} attempts: ${message}`);
+    return;
+  }
+  const delayMs = backoffDelay(job.attempts);
+  await Job.updateOne(
+    { _id: job._id, leaseOwner: WORKER_ID },
+    {
+      $set: {
+        status: 'queued',
+        lastError: message,
+        runAt: new Date(Date.now() + delayMs),
+        leaseOwner: null,
+        leaseExpiresAt: null
+      }
+    }
+  );
+  console.warn(`🔁 Job ${job.type} ${job._id} failed (attempt ${job.attempts}), retrying in ${Math.round(delayMs / 1000)}s`);
+}
+
+// options.leaseMs: how long a silent worker keeps the job before another may take it over (default 2 minutes)
+function registerHandler(type, handler, { leaseMs } = {}) {
+  handlers.set(type, { handler, leaseMs });
+}
+
+async function runJob(job) {
+  const { handler } = handlers.get(job.type);
+  const stopRenewing = keepLeased(job);
+  try {
+    await handler(job);
+    stopRenewing();
+    await complete(job);
+    return true;
+  } catch (error) {
+    stopRenewing();
+    if (error instanceof DeferJobError) {
+      await defer(job, error.delayMs);
+      console.log(`⏸️ Job ${job.type} ${job._id} deferred: ${error.message}`);
+      return false;
+    }
+    await fail(job, error);
+    return true;
+  }
+}
+
+// Work through every due job this instance can lease, one at a time
+let isDraining = false;
+
+async function drain({ delayBetweenMs = 0 } = {}) {
+  if (isDraining) return;
+  isDraining = true;
+  try {
+    const types = Array.from(handlers.keys());
+    let job = types.length ? await leaseNext(types) : null;
+    while (job) {
+      const keepGoing = await runJob(job);
+      // A deferral means the resource is exhausted; stop until the next tick
+      if (!keepGoing) break;
+      if (delayBetweenMs) await new Promise((resolve) => setTimeout(resolve, delayBetweenMs));
+      job = await leaseNext(types);
+    }
+  } catch (error) {
+    console.error("Job queue error:", error);
+  } finally {
+    isDraining = false;
+  }
+}
+
+function startWorker({ intervalMs = 15 * 1000, delayBetweenMs = 1000 } = {}) {
+  console.log(`👷 Job worker ${WORKER_ID} started`);
+  const tick = () => drain({ delayBetweenMs });
+  setInterval(tick, intervalMs).unref();
+  tick();
+}
+
+// RECURRING TASKS - modules register them when loaded, but no timer runs until index.js calls
+// startSchedules() once the server is listening, so requiring a module (e.g. in tests) starts nothing.
+// Without everyMs a task runs once, firstRunMs after the start.
+const schedules = [];
+let schedulesStarted = false;
+
+function schedule(name, task, { everyMs = null, firstRunMs = everyMs } = {}) {
+  schedules.push({ name, task, everyMs, firstRunMs });
+}
+
+function startSchedules() {
+  if (schedulesStarted) return;
+  schedulesStarted = true;
+  schedules.forEach(({ name, task, everyMs, firstRunMs }) => {
+    const run = () => Promise.resolve()
+      .then(task)
+      .catch((error) => console.error(`${name} error:`, error));
+    setTimeout(() => {
+      run();
+      if (everyMs) setInterval(run, everyMs).unref();
+    }, firstRunMs || 0).unref();
+  });
+}
+
+async function getQueueStats(type) {
+  const [counts, oldestQueued, deadLetters] = await Promise.all([
+    Job.aggregate([{ $match: { type } }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+    Job.findOne({ type, status: 'queued' }).sort({ runAt: 1 }).select('runAt createdAt'),
+    Job.find({ type, status: 'dead' }).sort({ completedAt: -1 }).limit(10).select('payload attempts lastError completedAt')
+  ]);
+  const byStatus = { queued: 0, leased: 0, done: 0, dead: 0 };
+  counts.forEach((entry) => {
+    byStatus[entry._id] = entry.count;
+  });
+  return {
+    ...byStatus,
+    nextRunAt: oldestQueued?.runAt || null,
+    deadLetters
+  };
+}
+
+module.exports = {
+  WORKER_ID,
+  DeferJobError,
+  enqueue,
+  registerHandler,
+  drain,
+  startWorker,
+  schedule,
+  startSchedules,
+  getQueueStats,
+};
@@ -0,0 +1,395 @@
+// server/lib/linkGraph.js // The persisted link graph: scores a memory against the archive once and stores its arcs
+const mongoose = require('mongoose');
+const cosineSimilarity = require('cosine-similarity');
+const Memory = require('../models/Memory');
+const Link = require('../models/Link');
+const jobQueue = require('./jobQueue');
+const embeddingIndex = require('./embeddingIndex');
+const { VISIBLE_FILTER, isVisible } = require('./moderation');
+const { isValidEmbedding } = require('./similarity');
+const { DEFAULT_LINK_RULES, getLinkRules } = require('./linkRules');
+
+const LINK_FIELDS = 'mood tags themeVector embedding createdAt';
+const WRITE_BATCH = 500;
+const HEURISTIC_TYPES = ['family', 'idea'];
+const PREVIEW_SAMPLE = 20;
+// Puts cosine similarity on roughly the same scale as scorePair, so minScore and sorting treat both alike
+const SEMANTIC_SCORE_SCALE = 5;
+// Curator-made links always outrank automatic ones
+const CURATED_SCORE = 10;
+// Links from before curated links existed have no origin field
+const AUTO_LINKS = { origin: { $ne: 'curator' } };
+const REBUILD_LINKS_JOB = 'rebuild-links';
+
+// { type, score, reason } for a pair worth an arc, or null
+function scorePair(a, b, rules = DEFAULT_LINK_RULES) {
+  const points = rules.scores;
+  const absenceTags = new Set(rules.absenceTags);
+  let score = 0;
+  let reason = '';
+  const aMood = String(a.mood || '').toLowerCase();
+  const bMood = String(b.mood || '').toLowerCase();
+  const sameMood = aMood && bMood && aMood === bMood;
+  const hasContradiction = rules.contradictions.some(
+    ([left, right]) => (aMood.includes(left) && bMood.includes(right)) || (aMood.includes(right) && bMood.includes(left))
+  );
+  if (hasContradiction) {
+    score += points.contradiction;
+    reason = 'shared contradiction';
+  }
+  if (sameMood) {
+    score += points.sameMood;
+    reason = reason || 'shared mood';
+  }
+  const aCore = (a.themeVector?.emotionalCore || []).map((entry) => String(entry.label || '').toLowerCase());
+  const bCore = (b.themeVector?.emotionalCore || []).map((entry) => String(entry.label || '').toLowerCase());
+  const sharedCore = aCore.filter((label) => label && bCore.includes(label));
+  if (sharedCore.length) {
+    score += points.sharedCore;
+    reason = reason || 'shared emotional core';
+  }
+  const sharedTags = (a.tags || []).filter((tag) => (b.tags || []).includes(tag));
+  if (sharedTags.length) {
+    score += Math.min(sharedTags.length, points.maxSharedTags) * points.sharedTag;
+    reason = reason || 'shared image';
+  }
+  const aAbsence = (a.tags || []).some((tag) => absenceTags.has(String(tag).toLowerCase()));
+  const bAbsence = (b.tags || []).some((tag) => absenceTags.has(String(tag).toLowerCase()));
+  if (aAbsence && bAbsence) {
+    score += points.sharedAbsence;
+    reason = reason || 'shared absence';
+  }
+  if (sameMood && score < rules.minScore) {
+    return { type: 'family', score: 1, reason: 'shared family' };
+  }
+  if (score < rules.minScore || score <= 0) return null;
+  return { type: sameMood ? 'family' : 'idea', score, reason };
+}
+
+function orderedPair(leftId, rightId) {
+  return String(leftId) < String(rightId) ? [leftId, rightId] : [rightId, leftId];
+}
+
+// Strongest arcs from one memory to the given candidates (ties go to the most recent)
+function bestLinks(memory, candidates, rules) {
+  return candidates
+    .filter((other) => String(other._id) !== String(memory._id))
+    .map((other) => ({ other, scored: scorePair(memory, other, rules) }))
+    .filter(({ scored }) => scored)
+    .sort((a, b) => b.scored.score - a.scored.score || new Date(b.other.createdAt) - new Date(a.other.createdAt))
+    .slice(0, rules.maxLinksPerMemory)
+    .map(({ other, scored }) => {
+      const [from, to] = orderedPair(memory._id, other._id);
+      return { from, to, ...scored };
+    });
+}
+
+// Top-k neighbours by meaning, skipping pairs the heuristics already connect
+function semanticLinks(memory, candidates, heuristicLinks, rules) {
+  const { threshold, topK } = rules.semantic;
+  if (!topK || !isValidEmbedding(memory.embedding)) return [];
+  const linked = new Set(heuristicLinks.map((link) => `${link.from}-${link.to}`));
+  return candidates
+    .filter((other) => String(other._id) !== String(memory._id) && isValidEmbedding(other.embedding))
+    .filter((other) => other.embedding.length === memory.embedding.length)
+    .map((other) => ({ other, similarity: cosineSimilarity(memory.embedding, other.embedding) }))
+    .filter(({ similarity }) => Number.isFinite(similarity) && similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(({ other, similarity }) => {
+      const [from, to] = orderedPair(memory._id, other._id);
+      return {
+        from,
+        to,
+        type: 'semantic',
+        score: Number((similarity * SEMANTIC_SCORE_SCALE).toFixed(3)),
+        reason: `similar meaning (${similarity.toFixed(2)})`
+      };
+    })
+    .filter((link) => !linked.has(`${link.from}-${link.to}`))
+    .slice(0, topK);
+}
+
+// Every link is tagged with the memory that picked it (see Link.chosenBy)
+function linksFor(memory, candidates, rules) {
+  const heuristic = bestLinks(memory, candidates, rules);
+  return [...heuristic, ...semanticLinks(memory, candidates, heuristic, rules)]
+    .map((link) => ({ ...link, chosenBy: memory._id }));
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Same as linking every memory in arrival order: each one is scored against those before it.
+// The whole pass is quadratic, so it lets requests through between memories.
+async function* planLinkGraph(memories, rules) {
+  for (let index = 1; index < memories.length; index += 1) {
+    yield linksFor(memories[index], memories.slice(0, index), rules);
+    await yieldToEventLoop();
+  }
+}
+
+function loadLinkableMemories() {
+  return Memory.find(VISIBLE_FILTER).select(LINK_FIELDS).sort({ createdAt: 1, _id: 1 }).lean();
+}
+
+// Upserts in place, so readers never see the arcs missing. The picking memory is added to the
+// link's chosenBy, or becomes its only entry with { replaceChoosers: true } (rebuilds).
+async function writeLinks(links, { replaceChoosers = false } = {}) {
+  if (!links.length) return;
+  const now = new Date();
+  await Link.bulkWrite(links.map((link) => ({
+    updateOne: {
+      // A pair can hold one heuristic arc (family or idea) and, separately, one semantic arc
+      filter: {
+        from: link.from,
+        to: link.to,
+        type: link.type === 'semantic' ? 'semantic' : { $in: HEURISTIC_TYPES },
+        ...AUTO_LINKS
+      },
+      update: {
+        $set: {
+          type: link.type,
+          score: link.score,
+          reason: link.reason,
+          updatedAt: now,
+          ...(replaceChoosers ? { chosenBy: [link.chosenBy] } : {})
+        },
+        ...(replaceChoosers ? {} : { $addToSet: { chosenBy: link.chosenBy } }),
+        $setOnInsert: { origin: 'auto', createdAt: now }
+      },
+      upsert: true
+    }
+  })));
+}
+
+function endpointFilter(memoryId) {
+  return { $or: [{ from: memoryId }, { to: memoryId }] };
+}
+
+// Links no memory picks any more; links from before chosenBy was recorded count as unpicked
+const UNCHOSEN = { $or: [{ chosenBy: { $size: 0 } }, { chosenBy: { $exists: false } }] };
+
+// Removes every automatic link touching a memory that is leaving the graph, then relinks the other
+// memories that had picked one of them, so they can pick their next best arcs instead
+async function detachMemory(memoryId, extraFilter = AUTO_LINKS) {
+  const touching = await Link.find({ ...endpointFilter(memoryId), ...extraFilter }).select('chosenBy').lean();
+  await Link.deleteMany({ ...endpointFilter(memoryId), ...extraFilter });
+  const choosers = new Set(touching.flatMap((link) => (link.chosenBy || []).map(String)));
+  choosers.delete(String(memoryId));
+  const neighbours = await Memory.find({ _id: { $in: [...choosers] } }).select(`${LINK_FIELDS} status`).lean();
+  for (const neighbour of neighbours) await linkMemory(neighbour);
+}
+
+// Every link touching the memory, curated ones included (the memory is being deleted)
+function unlinkMemory(memoryId) {
+  return detachMemory(memoryId, {});
+}
+
+// Flags every link touching the memory as hidden while it is, and clears the flag once both ends are visible
+async function syncLinkVisibility(memory) {
+  if (!isVisible(memory)) {
+    await Link.updateMany({ ...endpointFilter(memory._id), hidden: { $ne: true } }, { $set: { hidden: true } });
+    return;
+  }
+  const flagged = await Link.find({ ...endpointFilter(memory._id), hidden: true }).select('from to').lean();
+  if (!flagged.length) return;
+  const others = flagged.map((link) => (String(link.from) === String(memory._id) ? link.to : link.from));
+  const stillHidden = await Memory.distinct('_id', { _id: { $in: others }, $nor: [VISIBLE_FILTER] });
+  await Link.updateMany(
+    { ...endpointFilter(memory._id), hidden: true, from: { $nin: stillHidden }, to: { $nin: stillHidden } },
+    { $set: { hidden: false } }
+  );
+}
+
+// Links stored before the hidden flag existed: flag those touching a memory that is hidden now
+async function backfillLinkVisibility() {
+  if (!(await Link.exists({ hidden: { $exists: false } }))) return 0;
+  await Link.updateMany({ hidden: { $exists: false } }, { $set: { hidden: false } });
+  let flagged = 0;
+  for await (const memory of Memory.find({ $nor: [VISIBLE_FILTER] }).select('_id').lean().cursor()) {
+    const { modifiedCount } = await Link.updateMany(endpointFilter(memory._id), { $set: { hidden: true } });
+    flagged += modifiedCount;
+  }
+  if (flagged) console.log(`🙈 Flagged ${flagged} links to hidden memories`);
+  return flagged;
+}
+
+// (Re)compute the arcs a memory picks against the whole visible archive, as held by
+// lib/embeddingIndex.js. Arcs other memories picked to it are theirs and stay; a memory that is
+// no longer visible loses every automatic arc.
+async function linkMemory(memory) {
+  await syncLinkVisibility(memory);
+  if (!isVisible(memory)) {
+    await detachMemory(memory._id);
+    return 0;
+  }
+  const startedAt = new Date();
+  const [archive, rules] = await Promise.all([embeddingIndex.visibleEntries(), getLinkRules()]);
+  const links = linksFor(memory, archive, rules);
+  await writeLinks(links);
+  // Withdraw the picks this pass didn't repeat, then drop the links nobody picks any more
+  await Link.updateMany(
+    { ...AUTO_LINKS, chosenBy: memory._id, updatedAt: { $lt: startedAt } },
+    { $pull: { chosenBy: memory._id } }
+  );
+  await Link.deleteMany({ $and: [endpointFilter(memory._id), AUTO_LINKS, UNCHOSEN] });
+  return links.length;
+}
+
+// Rewrites the graph in place and then prunes whatever the rebuild didn't touch, so the
+// constellation keeps its arcs while it runs
+async function rebuildLinkGraph() {
+  const startedAt = new Date();
+  const [memories, rules] = await Promise.all([loadLinkableMemories(), getLinkRules()]);
+  let created = 0;
+  let batch = [];
+  for await (const links of planLinkGraph(memories, rules)) {
+    batch.push(...links);
+    created += links.length;
+    if (batch.length >= WRITE_BATCH) {
+      await writeLinks(batch, { replaceChoosers: true });
+      batch = [];
+    }
+  }
+  await writeLinks(batch, { replaceChoosers: true });
+  const { deletedCount } = await Link.deleteMany({ ...AUTO_LINKS, updatedAt: { $lt: startedAt } });
+  console.log(`🕸️ Link graph rebuilt: ${created} links across ${memories.length} memories (${deletedCount} stale removed)`);
+  return created;
+}
+
+// Dry run: the automatic links a rebuild with these rules would produce, compared to the stored ones
+async function previewLinkGraph(rules) {
+  const [memories, current] = await Promise.all([
+    loadLinkableMemories(),
+    Link.find(AUTO_LINKS).select('from to type').lean()
+  ]);
+  const linkKey = (link) => `${link.type}:${link.from}-${link.to}`;
+  const planned = [];
+  for await (const links of planLinkGraph(memories, rules)) planned.push(...links);
+  const plannedKeys = new Set(planned.map(linkKey));
+  const currentKeys = new Set(current.map(linkKey));
+
+  const byType = {};
+  planned.forEach((link) => {
+    byType[link.type] = (byType[link.type] || 0) + 1;
+  });
+  const added = planned.filter((link) => !currentKeys.has(linkKey(link)));
+  const removed = current.filter((link) => !plannedKeys.has(linkKey(link)));
+
+  return {
+    memories: memories.length,
+    current: current.length,
+    total: planned.length,
+    byType,
+    added: added.length,
+    removed: removed.length,
+    sampleAdded: added
+      .sort((a, b) => b.score - a.score)
+      .slice(0, PREVIEW_SAMPLE)
+      .map((link) => ({ fromId: String(link.from), toId: String(link.to), type: link.type, score: link.score, reason: link.reason })),
+    sampleRemoved: removed
+      .slice(0, PREVIEW_SAMPLE)
+      .map((link) => ({ fromId: String(link.from), toId: String(link.to), type: link.type }))
+  };
+}
+
+jobQueue.registerHandler(REBUILD_LINKS_JOB, () => rebuildLinkGraph());
+
+// For bulk changes (family merge/split) where relinking memory by memory isn't worth it
+function queueLinkRebuild() {
+  return jobQueue.enqueue(REBUILD_LINKS_JOB, {}, { dedupeKey: REBUILD_LINKS_JOB });
+}
+
+// First start after the Link collection was introduced: build it from the existing archive
+async function ensureLinkGraph() {
+  // Drops the old one-link-per-pair unique index so curated links can sit beside automatic ones
+  await Link.syncIndexes();
+  await backfillLinkVisibility();
+  // Links written before chosenBy was recorded: rebuild so relinking knows whose picks they are
+  if (await Link.exists({ ...AUTO_LINKS, chosenBy: { $exists: false } })) return queueLinkRebuild();
+  if (await Link.exists({})) return null;
+  if (!(await Memory.exists(VISIBLE_FILTER))) return null;
+  return queueLinkRebuild();
+}
+
+// CURATOR LINKS
+
+class LinkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LinkError';
+    this.status = status;
+  }
+}
+
+const CURATOR_TYPES = ['curated', 'directional'];
+
+function cleanNote(note) {
+  if (note === undefined) return '';
+  if (typeof note !== 'string') throw new LinkError("Note must be a string");
+  return note.trim().slice(0, 500);
+}
+
+// curated: an undirected bond; directional: fromId answers toId
+async function createCuratorLink({ fromId, toId, type, note }, actor) {
+  if (!CURATOR_TYPES.includes(type)) throw new LinkError("type must be 'curated' or 'directional'");
+  if (![fromId, toId].every((id) => mongoose.isValidObjectId(id))) throw new LinkError("Invalid memory id");
+  if (String(fromId) === String(toId)) throw new LinkError("A memory cannot link to itself");
+  // Drafts, pending and rejected memories can't be linked by hand either
+  const found = await Memory.countDocuments({ _id: { $in: [fromId, toId] }, ...VISIBLE_FILTER });
+  if (found !== 2) throw new LinkError("Memory not found", 404);
+
+  const [from, to] = type === 'curated' ? orderedPair(fromId, toId) : [fromId, toId];
+  try {
+    return await Link.create({
+      from,
+      to,
+      type,
+      origin: 'curator',
+      score: CURATED_SCORE,
+      reason: type === 'directional' ? 'answers' : 'curated',
+      note: cleanNote(note),
+      createdBy: actor
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new LinkError(`These memories already have a ${type} link`, 409);
+    throw error;
+  }
+}
+
+async function findCuratorLink(id) {
+  if (!mongoose.isValidObjectId(id)) throw new LinkError("Invalid link id");
+  const link = await Link.findById(id);
+  if (!link) throw new LinkError("Link not found", 404);
+  if (link.origin !== 'curator') throw new LinkError("Automatic links can't be edited; they follow the memories", 409);
+  return link;
+}
+
+async function annotateCuratorLink(id, note) {
+  const link = await findCuratorLink(id);
+  link.note = cleanNote(note);
+  link.updatedAt = new Date();
+  await link.save();
+  return link;
+}
+
+async function deleteCuratorLink(id) {
+  const link = await findCuratorLink(id);
+  await link.deleteOne();
+  return link;
+}
+
+module.exports = {
+  LinkError,
+  scorePair,
+  linkMemory,
+  unlinkMemory,
+  rebuildLinkGraph,
+  previewLinkGraph,
+  queueLinkRebuild,
+  ensureLinkGraph,
+  createCuratorLink,
+  annotateCuratorLink,
+  deleteCuratorLink,
+};
@@ -0,0 +1,187 @@
+// server/lib/linkRules.js // The rules that decide which memories get an automatic arc, stored in LinkConfig
+//
+// Missing fields fall back to DEFAULT_LINK_RULES, so an archive that never saved a config links
+// exactly as before. Updates are partial: send only the fields you want to change.
+const LinkConfig = require('../models/LinkConfig');
+
+const CONFIG_ID = 'link-rules';
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_LINK_RULES = {
+  contradictions: [
+    ['joy', 'grief'],
+    ['love', 'anger'],
+    ['hope', 'despair'],
+    ['fear', 'relief'],
+    ['light', 'dark'],
+    ['home', 'loss']
+  ],
+  absenceTags: ['unsaid', 'silence', 'absence', 'missing', 'hollow'],
+  scores: {
+    contradiction: 2,
+    sameMood: 2,
+    sharedCore: 2,
+    sharedTag: 1,
+    maxSharedTags: 2,
+    sharedAbsence: 1,
+  },
+  minScore: 2,
+  maxLinksPerMemory: 12,
+  // Semantic arcs: each memory keeps its closest neighbours by embedding, above a floor
+  semantic: {
+    threshold: envNumber('LINK_SEMANTIC_THRESHOLD', 0.8),
+    topK: Math.max(0, Math.floor(envNumber('LINK_SEMANTIC_TOP_K', 3))),
+  },
+};
+
+const LIST_LIMIT = 100;
+
+class LinkRulesError extends Error {
+  constructor(problems) {
+    super("Invalid link rules");
+    this.name = 'LinkRulesError';
+    this.status = 400;
+    this.problems = problems;
+  }
+}
+
+function cleanWord(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function checkNumber(problems, path, value, { min, max, integer = false }) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    problems.push(`${path} must be a number`);
+  } else if (value < min || value > max) {
+    problems.push(`${path} must be between ${min} and ${max}`);
+  } else if (integer && !Number.isInteger(value)) {
+    problems.push(`${path} must be a whole number`);
+  }
+}
+
+function checkKeys(problems, path, value, allowed) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    problems.push(`${path || 'Link rules'} must be an object`);
+    return false;
+  }
+  Object.keys(value)
+    .filter((key) => !allowed.includes(key))
+    .forEach((key) => problems.push(`Unknown field ${path ? `${path}.` : ''}${key}`));
+  return true;
+}
+
+// Merge a (partial) update onto the current rules; throws LinkRulesError listing every problem
+function validateLinkRules(update, current = DEFAULT_LINK_RULES) {
+  const problems = [];
+  if (!checkKeys(problems, '', update, Object.keys(DEFAULT_LINK_RULES))) throw new LinkRulesError(problems);
+
+  const rules = {
+    ...current,
+    scores: { ...current.scores },
+    semantic: { ...current.semantic },
+  };
+
+  if (update.contradictions !== undefined) {
+    if (!Array.isArray(update.contradictions) || update.contradictions.length > LIST_LIMIT) {
+      problems.push(`contradictions must be a list of at most ${LIST_LIMIT} pairs`);
+    } else {
+      rules.contradictions = update.contradictions.map((pair, index) => {
+        const words = Array.isArray(pair) ? pair.map(cleanWord) : [];
+        if (words.length !== 2 || !words.every(Boolean)) {
+          problems.push(`contradictions[${index}] must be two non-empty moods`);
+        }
+        return words;
+      });
+    }
+  }
+
+  if (update.absenceTags !== undefined) {
+    if (!Array.isArray(update.absenceTags) || update.absenceTags.length > LIST_LIMIT) {
+      problems.push(`absenceTags must be a list of at most ${LIST_LIMIT} tags`);
+    } else {
+      rules.absenceTags = [...new Set(update.absenceTags.map(cleanWord))];
+      if (rules.absenceTags.some((tag) => !tag)) problems.push("absenceTags can't contain empty tags");
+    }
+  }
+
+  if (update.scores !== undefined && checkKeys(problems, 'scores', update.scores, Object.keys(DEFAULT_LINK_RULES.scores))) {
+    Object.entries(update.scores).forEach(([key, value]) => {
+      checkNumber(problems, `scores.${key}`, value, { min: 0, max: 10, integer: key === 'maxSharedTags' });
+      rules.scores[key] = value;
+    });
+  }
+
+  if (update.minScore !== undefined) {
+    checkNumber(problems, 'minScore', update.minScore, { min: 0, max: 50 });
+    rules.minScore = update.minScore;
+  }
+
+  if (update.maxLinksPerMemory !== undefined) {
+    checkNumber(problems, 'maxLinksPerMemory', update.maxLinksPerMemory, { min: 0, max: 50, integer: true });
+    rules.maxLinksPerMemory = update.maxLinksPerMemory;
+  }
+
+  if (update.semantic !== undefined && checkKeys(problems, 'semantic', update.semantic, Object.keys(DEFAULT_LINK_RULES.semantic))) {
+    if (update.semantic.threshold !== undefined) {
+      checkNumber(problems, 'semantic.threshold', update.semantic.threshold, { min: 0, max: 1 });
+      rules.semantic.threshold = update.semantic.threshold;
+    }
+    if (update.semantic.topK !== undefined) {
+      checkNumber(problems, 'semantic.topK', update.semantic.topK, { min: 0, max: 20, integer: true });
+      rules.semantic.topK = update.semantic.topK;
+    }
+  }
+
+  if (problems.length) throw new LinkRulesError(problems);
+  return rules;
+}
+
+function fromDocument(doc) {
+  if (!doc) return DEFAULT_LINK_RULES;
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+  return {
+    contradictions: pick(doc.contradictions, DEFAULT_LINK_RULES.contradictions),
+    absenceTags: pick(doc.absenceTags, DEFAULT_LINK_RULES.absenceTags),
+    scores: Object.fromEntries(
+      Object.entries(DEFAULT_LINK_RULES.scores).map(([key, value]) => [key, pick(doc.scores?.[key], value)])
+    ),
+    minScore: pick(doc.minScore, DEFAULT_LINK_RULES.minScore),
+    maxLinksPerMemory: pick(doc.maxLinksPerMemory, DEFAULT_LINK_RULES.maxLinksPerMemory),
+    semantic: {
+      threshold: pick(doc.semantic?.threshold, DEFAULT_LINK_RULES.semantic.threshold),
+      topK: pick(doc.semantic?.topK, DEFAULT_LINK_RULES.semantic.topK),
+    },
+  };
+}
+
+async function getLinkRules() {
+  return fromDocument(await LinkConfig.findById(CONFIG_ID).lean());
+}
+
+// { rules, updatedBy, updatedAt } for the admin view
+async function describeLinkRules() {
+  const doc = await LinkConfig.findById(CONFIG_ID).lean();
+  return { rules: fromDocument(doc), updatedBy: doc?.updatedBy || null, updatedAt: doc?.updatedAt || null };
+}
+
+async function saveLinkRules(rules, actor) {
+  await LinkConfig.updateOne(
+    { _id: CONFIG_ID },
+    { $set: { ...rules, updatedBy: actor || null, updatedAt: new Date() } },
+    { upsert: true }
+  );
+  return rules;
+}
+
+module.exports = {
+  DEFAULT_LINK_RULES,
+  LinkRulesError,
+  validateLinkRules,
+  getLinkRules,
+  describeLinkRules,
+  saveLinkRules,
+};
@@ -0,0 +1,82 @@
+// server/lib/memoryQuery.js // Query-string parsing for GET /api/memories: filters and page cursors
+const mongoose = require('mongoose');
+const { VISIBLE_FILTER } = require('./moderation');
+
+// OFFLINE / AUTO-CLASSIFIED MEMORIES (case-insensitive tag match)
+const OFFLINE_FILTER = {
+  $or: [
+    { tags: { $regex: /^offline$/i } },
+    { tags: { $regex: /^auto-classified$/i } }
+  ]
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseList(value) {
+  const raw = Array.isArray(value) ? value.join(',') : typeof value === 'string' ? value : '';
+  return raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const date = new Date(value);
+  return Number.isFinite(date.getTime()) ? date : undefined;
+}
+
+// Cursor = base64url("<createdAt ISO>|<_id>") of the last memory on the previous page
+function encodeCursor(memory) {
+  if (!memory?.createdAt || !memory?._id) return null;
+  const createdAt = new Date(memory.createdAt).toISOString();
+  return Buffer.from(`${createdAt}|${memory._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  const [createdAtRaw, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const createdAt = new Date(createdAtRaw);
+  if (!Number.isFinite(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return undefined;
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+}
+
+function buildMemoryFilter(query) {
+  const conditions = [VISIBLE_FILTER];
+
+  const moods = parseList(query.mood);
+  if (moods.length) {
+    conditions.push({ mood: { $in: moods } });
+  }
+
+  const tags = parseList(query.tags);
+  if (tags.length) {
+    conditions.push({ tags: { $all: tags.map((tag) => new RegExp(`^${escapeRegex(tag)}$`, 'i')) } });
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) {
+    return { error: "Invalid date range" };
+  }
+  if (from || to) {
+    conditions.push({ createdAt: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } });
+  }
+
+  if (query.offline === 'true') {
+    conditions.push(OFFLINE_FILTER);
+  } else if (query.offline === 'false') {
+    conditions.push({ $nor: OFFLINE_FILTER.$or });
+  }
+
+  return { filter: { $and: conditions } };
+}
+
+module.exports = {
+  OFFLINE_FILTER,
+  encodeCursor,
+  decodeCursor,
+  buildMemoryFilter,
+};
@@ -0,0 +1,88 @@
+// server/lib/moderation.js // Memory visibility and automated pre-screening of new submissions
+const Memory = require('../models/Memory');
+
+// MODERATION_REQUIRED=true holds every submission for review; otherwise only flagged ones wait
+const MODERATION_REQUIRED = process.env.MODERATION_REQUIRED === 'true';
+
+// Memories saved before moderation existed have no status and count as approved
+const VISIBLE_FILTER = { status: { $nin: ['draft', 'pending', 'rejected'] } };
+
+function isVisible(memory) {
+  return !memory?.status || memory.status === 'approved';
+}
+
+const DUPLICATE_WINDOW = 24 * 60 * 60 * 1000;
+const FLAG_THRESHOLD = 1;
+
+const ABUSE_PATTERNS = [
+  /\bkill\s+(?:your\s*self|urself)\b/i,
+  /\bkys\b/i,
+  /\bi(?:'ll| will)\s+(?:kill|hurt|find)\s+you\b/i,
+  /\bf+u+c+k+\s+(?:you|u|off)\b/i,
+  /\b(?:go\s+die|die\s+in\s+a\s+fire)\b/i,
+];
+
+const SPAM_PATTERNS = [
+  /\b(?:buy|order)\s+now\b/i,
+  /\bclick\s+(?:here|the\s+link)\b/i,
+  /\bfree\s+(?:money|crypto|followers|gift\s*card)\b/i,
+  /\b(?:casino|viagra|promo\s+code|airdrop)\b/i,
+  /\b(?:dm|message)\s+me\s+(?:on|at)\b/i,
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Each rule adds to the score; anything at FLAG_THRESHOLD or above is held and sorted first in the queue
+function screenText(text) {
+  const reasons = [];
+  let score = 0;
+  const flag = (reason, weight) => {
+    reasons.push(reason);
+    score += weight;
+  };
+
+  if (ABUSE_PATTERNS.some((pattern) => pattern.test(text))) flag('abusive-language', 2);
+  if (SPAM_PATTERNS.some((pattern) => pattern.test(text))) flag('spam-phrases', 1);
+
+  const urls = text.match(URL_PATTERN) || [];
+  if (urls.length >= 2) flag('links', 1);
+  else if (urls.length === 1) flag('link', 0.5);
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    flag('shouting', 0.5);
+  }
+
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (/(.)\1{7,}/.test(text) || (words.length >= 10 && new Set(words).size / words.length < 0.3)) {
+    flag('repetitive', 1);
+  }
+
+  return { flagged: score >= FLAG_THRESHOLD, score, reasons };
+}
+
+// The text rules plus a check for the same memory submitted twice in a day
+// (excludeId: a draft being published, which would otherwise match itself)
+async function screenSubmission(text, { excludeId } = {}) {
+  const { score, reasons } = screenText(text);
+  const since = new Date(Date.now() - DUPLICATE_WINDOW);
+  const duplicate = { text, createdAt: { $gte: since }, ...(excludeId ? { _id: { $ne: excludeId } } : {}) };
+  if (await Memory.exists(duplicate)) {
+    reasons.push('duplicate');
+    return { flagged: score + 1 >= FLAG_THRESHOLD, score: score + 1, reasons };
+  }
+  return { flagged: score >= FLAG_THRESHOLD, score, reasons };
+}
+
+function initialStatus(screening) {
+  return MODERATION_REQUIRED || screening.flagged ? 'pending' : 'approved';
+}
+
+module.exports = {
+  MODERATION_REQUIRED,
+  VISIBLE_FILTER,
+  isVisible,
+  screenText,
+  screenSubmission,
+  initialStatus,
+};
@@ -0,0 +1,87 @@
+// server/lib/pii.js // Local PII detection: emails, phone numbers, street addresses and relatives' names
+//
+// Runs before any text reaches an AI provider or a public response. Matches are replaced with
+// a bracketed placeholder ("[email]", "[phone]", "[address]", "[name]") so the story still reads.
+
+const EMAIL = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g;
+
+// Digit runs with optional separators; the digit count is checked separately so years and dates survive
+const PHONE_CANDIDATE = /(?<![\w+])\+?\(?\d[\d\s().-]{6,}\d(?!\w)/g;
+const PHONE_DIGITS = { min: 9, max: 15 };
+
+const STREET_SUFFIXES = [
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'lane', 'ln', 'drive', 'dr',
+  'court', 'ct', 'way', 'place', 'pl', 'terrace', 'crescent', 'close', 'highway', 'hwy', 'parkway',
+];
+const suffixPattern = STREET_SUFFIXES
+  .map((suffix) => `[${suffix[0].toUpperCase()}${suffix[0]}]${suffix.slice(1)}`)
+  .join('|');
+// "42 Elm Street", "221B Baker Street", "1600 Pennsylvania Ave" - street names must be capitalised to
+// avoid "3 years on the street". Punctuation after the suffix stays in the text ("12 Oak Street." ends a sentence).
+const ADDRESS = new RegExp(`\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][\\w'-]*\\s+){1,3}(?:${suffixPattern})\\b`, 'g');
+
+const RELATIONS = [
+  'sister', 'brother', 'mother', 'mom', 'mum', 'mama', 'father', 'dad', 'papa', 'parents',
+  'grandmother', 'grandma', 'granny', 'nana', 'grandfather', 'grandpa', 'aunt', 'auntie', 'uncle',
+  'cousin', 'wife', 'husband', 'son', 'daughter', 'child', 'baby', 'friend', 'best friend',
+  'boyfriend', 'girlfriend', 'partner', 'fiancé', 'fiance', 'fiancée', 'niece', 'nephew',
+  'neighbor', 'neighbour', 'teacher', 'boss', 'ex', 'stepmother', 'stepfather', 'stepmom', 'stepdad',
+];
+// "my sister Ana", "our neighbour, Mr. Okafor", "a boy named Tomás Reyes"
+const NAME_AFTER_RELATION = new RegExp(
+  `\\b((?:(?:my|our|his|her|their)\\s+(?:late\\s+|little\\s+|big\\s+|older\\s+|younger\\s+)?(?:${RELATIONS.join('|')})|named|called)),?\\s+` +
+    `((?:(?:Mr|Mrs|Ms|Dr)\\.?\\s+)?\\p{Lu}[\\p{L}'-]+(?:\\s+\\p{Lu}[\\p{L}'-]+){0,2})`,
+  'giu'
+);
+// Capitalised words that start a clause rather than a name ("my brother When we...")
+const NOT_NAMES = new Set([
+  'i', 'and', 'but', 'or', 'so', 'the', 'a', 'an', 'when', 'who', 'was', 'is', 'had', 'has', 'would',
+  'we', 'he', 'she', 'they', 'it', 'then', 'after', 'before', 'because', 'if', 'still', 'never',
+]);
+
+function countDigits(value) {
+  return (value.match(/\d/g) || []).length;
+}
+
+function redactPII(text) {
+  if (typeof text !== 'string' || !text) return { text: text || '', types: [] };
+  const found = new Set();
+  let redacted = text;
+
+  redacted = redacted.replace(EMAIL, () => {
+    found.add('email');
+    return '[email]';
+  });
+
+  redacted = redacted.replace(ADDRESS, () => {
+    found.add('address');
+    return '[address]';
+  });
+
+  redacted = redacted.replace(PHONE_CANDIDATE, (match) => {
+    const digits = countDigits(match);
+    if (digits < PHONE_DIGITS.min || digits > PHONE_DIGITS.max) return match;
+    found.add('phone');
+    return '[phone]';
+  });
+
+  redacted = redacted.replace(NAME_AFTER_RELATION, (match, relation, name) => {
+    const words = name.split(/\s+/);
+    // The regex is case-insensitive for the relation, so re-check the name is really capitalised
+    const kept = [];
+    for (const word of words) {
+      if (NOT_NAMES.has(word.toLowerCase()) || !/^\p{Lu}/u.test(word)) break;
+      kept.push(word);
+    }
+    if (!kept.length) return match;
+    found.add('name');
+    const rest = name.slice(kept.join(' ').length);
+    return `${match.slice(0, match.length - name.length)}[name]${rest}`;
+  });
+
+  return { text: redacted, types: Array.from(found) };
+}
+
+module.exports = {
+  redactPII,
+};
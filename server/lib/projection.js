@@ -0,0 +1,235 @@
+// server/lib/projection.js // Places memories in the constellation: a 3D PCA projection of their embeddings
+//
+// The basis (mean + three principal axes) is fitted over the archive by a background job and
+// stored in models/Projection.js. New and reprocessed memories are projected with the stored
+// basis straight away; once enough of them have arrived since the last fit, a refit is queued.
+// Refits start from, and keep the orientation of, the previous axes, so the sky doesn't flip.
+const Memory = require('../models/Memory');
+const Projection = require('../models/Projection');
+const jobQueue = require('./jobQueue');
+const { isValidEmbedding } = require('./similarity');
+
+const PROJECTION_ID = 'embedding-3d';
+const PROJECT_JOB = 'project-embeddings';
+const AXES = 3;
+const MIN_FIT_MEMORIES = 6;
+const FIT_SAMPLE_SIZE = 4000;
+const MAX_ITERATIONS = 60;
+const TOLERANCE = 1e-7;
+// Refit once the archive has grown by a fifth (and at least this many memories) since the last fit
+const REFIT_GROWTH = 0.2;
+const MIN_REFIT_COUNT = 20;
+const WRITE_BATCH = 500;
+const HAS_EMBEDDING = { 'embedding.7': { $exists: true } };
+
+function dot(left, right) {
+  let sum = 0;
+  for (let index = 0; index < left.length; index += 1) sum += left[index] * right[index];
+  return sum;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(dot(vector, vector));
+  if (length < 1e-12) return null;
+  return vector.map((value) => value / length);
+}
+
+// Covariance times v, without forming the d x d matrix
+function covarianceTimes(rows, vector) {
+  const result = new Float64Array(vector.length);
+  rows.forEach((row) => {
+    const weight = dot(row, vector);
+    for (let index = 0; index < row.length; index += 1) result[index] += weight * row[index];
+  });
+  return Array.from(result, (value) => value / rows.length);
+}
+
+function orthogonalize(vector, basis) {
+  return basis.reduce((current, axis) => {
+    const overlap = dot(current, axis);
+    return current.map((value, index) => value - overlap * axis[index]);
+  }, vector);
+}
+
+function startingVector(dimensions, axis, previous) {
+  if (previous?.length === dimensions) return previous.slice();
+  return Array.from({ length: dimensions }, (_, index) => Math.sin((index + 1) * (axis + 1) * 0.7) + 0.01);
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Top principal axes by power iteration with deflation. Each iteration is a pass over every
+// sampled embedding, so the fit lets requests through between iterations.
+async function fitPCA(embeddings, previous = null) {
+  const dimensions = embeddings[0].length;
+  const mean = new Array(dimensions).fill(0);
+  embeddings.forEach((embedding) => embedding.forEach((value, index) => {
+    mean[index] += value / embeddings.length;
+  }));
+  const rows = embeddings.map((embedding) => embedding.map((value, index) => value - mean[index]));
+  const totalVariance = rows.reduce((sum, row) => sum + dot(row, row), 0) / rows.length;
+  const previousAxes = previous?.dimensions === dimensions ? previous.components : [];
+
+  const components = [];
+  const explainedVariance = [];
+  for (let axis = 0; axis < AXES; axis += 1) {
+    let vector = normalize(orthogonalize(startingVector(dimensions, axis, previousAxes[axis]), components))
+      || normalize(orthogonalize(startingVector(dimensions, axis, null), components));
+    for (let iteration = 0; vector && iteration < MAX_ITERATIONS; iteration += 1) {
+      await yieldToEventLoop();
+      const next = normalize(orthogonalize(covarianceTimes(rows, vector), components));
+      if (!next) break;
+      const change = 1 - Math.abs(dot(next, vector));
+      vector = next;
+      if (change < TOLERANCE) break;
+    }
+    if (!vector) break;
+    const eigenvalue = dot(vector, covarianceTimes(rows, vector));
+
+    // Keep the orientation of the previous fit; otherwise make the heaviest weight positive
+    const reference = previousAxes[axis];
+    const flip = reference?.length === dimensions
+      ? dot(vector, reference) < 0
+      : vector[vector.reduce((best, value, index) => (Math.abs(value) > Math.abs(vector[best]) ? index : best), 0)] < 0;
+    components.push(flip ? vector.map((value) => -value) : vector);
+    explainedVariance.push(totalVariance > 0 ? eigenvalue / totalVariance : 0);
+  }
+
+  const projection = { dimensions, mean, components, explainedVariance, scale: 1 };
+  // 95th percentile of distance from the centre becomes 1
+  const distances = embeddings
+    .map((embedding) => Math.sqrt(rawCoordinates(embedding, projection).reduce((sum, value) => sum + value * value, 0)))
+    .sort((a, b) => a - b);
+  const percentile = distances[Math.min(distances.length - 1, Math.floor(distances.length * 0.95))];
+  projection.scale = percentile > 1e-9 ? percentile : 1;
+  return projection;
+}
+
+function rawCoordinates(embedding, projection) {
+  const centered = embedding.map((value, index) => value - projection.mean[index]);
+  return projection.components.map((axis) => dot(centered, axis));
+}
+
+// [x, y, z] or null when the embedding can't be placed with this basis
+function projectEmbedding(embedding, projection) {
+  if (!projection || !isValidEmbedding(embedding) || embedding.length !== projection.dimensions) return null;
+  if (projection.components.length !== AXES) return null;
+  return rawCoordinates(embedding, projection).map((value) => Number((value / projection.scale).toFixed(4)));
+}
+
+function queueProjection() {
+  return jobQueue.enqueue(PROJECT_JOB, {}, { dedupeKey: PROJECT_JOB });
+}
+
+// Most memories share one embedding size; a provider switch can leave a few of another
+async function dominantDimensions() {
+  const [top] = await Memory.aggregate([
+    { $match: HAS_EMBEDDING },
+    { $group: { _id: { $size: '$embedding' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 1 }
+  ]);
+  return top ? { dimensions: top._id, count: top.count } : null;
+}
+
+async function fitArchive() {
+  const dominant = await dominantDimensions();
+  if (!dominant || dominant.count < MIN_FIT_MEMORIES) return null;
+  const match = { ...HAS_EMBEDDING, embedding: { $size: dominant.dimensions } };
+  const sample = dominant.count > FIT_SAMPLE_SIZE
+    ? await Memory.aggregate([{ $match: match }, { $sample: { size: FIT_SAMPLE_SIZE } }, { $project: { embedding: 1 } }])
+    : await Memory.find(match).select('embedding').lean();
+  const embeddings = sample.map((memory) => memory.embedding).filter(isValidEmbedding);
+  if (embeddings.length < MIN_FIT_MEMORIES) return null;
+
+  const previous = await Projection.findById(PROJECTION_ID).lean();
+  const fitted = await fitPCA(embeddings, previous);
+  return Projection.findOneAndReplace(
+    { _id: PROJECTION_ID },
+    { _id: PROJECTION_ID, ...fitted, fittedOn: embeddings.length, projectedSince: 0, fittedAt: new Date() },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+// Refit the basis, then rewrite every memory's position with it
+async function rebuildProjection() {
+  const projection = await fitArchive();
+  if (!projection) {
+    console.log("🌌 Projection skipped: not enough embedded memories yet");
+    return 0;
+  }
+  let placed = 0;
+  let batch = [];
+  // Positions aren't ranked on, so these writes leave updatedAt (and lib/embeddingIndex.js) alone
+  const flush = async () => {
+    if (batch.length) await Memory.bulkWrite(batch, { timestamps: false });
+    batch = [];
+  };
+  for await (const memory of Memory.find(HAS_EMBEDDING).select('embedding').lean().cursor()) {
+    const position = projectEmbedding(memory.embedding, projection);
+    batch.push({
+      updateOne: {
+        filter: { _id: memory._id },
+        update: position ? { $set: { position3d: position } } : { $unset: { position3d: 1 } }
+      }
+    });
+    if (position) placed += 1;
+    if (batch.length >= WRITE_BATCH) await flush();
+  }
+  await flush();
+  const variance = projection.explainedVariance.map((value) => `${Math.round(value * 100)}%`).join('/');
+  console.log(`🌌 Projection refitted on ${projection.fittedOn} memories (${variance} variance); ${placed} placed`);
+  return placed;
+}
+
+jobQueue.registerHandler(PROJECT_JOB, () => rebuildProjection());
+
+// Place one memory with the current basis (after ingest or reprocessing)
+async function projectMemory(memory) {
+  const projection = await Projection.findById(PROJECTION_ID).lean();
+  const position = projectEmbedding(memory.embedding, projection);
+  if (!position) {
+    // No basis yet, or it was fitted on another embedding size
+    if (isValidEmbedding(memory.embedding)) await queueProjection();
+    return null;
+  }
+  await Memory.updateOne({ _id: memory._id }, { $set: { position3d: position } }, { timestamps: false });
+  memory.position3d = position;
+
+  const counted = await Projection.findOneAndUpdate(
+    { _id: PROJECTION_ID },
+    { $inc: { projectedSince: 1 } },
+    { new: true }
+  ).lean();
+  if (counted && counted.projectedSince >= Math.max(MIN_REFIT_COUNT, counted.fittedOn * REFIT_GROWTH)) {
+    await queueProjection();
+  }
+  return position;
+}
+
+async function getProjectionStatus() {
+  const [projection, queue] = await Promise.all([
+    Projection.findById(PROJECTION_ID).select('-mean -components').lean(),
+    jobQueue.getQueueStats(PROJECT_JOB)
+  ]);
+  return { fitted: Boolean(projection), projection, queue };
+}
+
+// First start with projections: fit once if there is an archive to fit
+async function ensureProjection() {
+  if (await Projection.exists({ _id: PROJECTION_ID })) return null;
+  if ((await Memory.countDocuments(HAS_EMBEDDING)) < MIN_FIT_MEMORIES) return null;
+  return queueProjection();
+}
+
+module.exports = {
+  fitPCA,
+  projectEmbedding,
+  projectMemory,
+  queueProjection,
+  rebuildProjection,
+  getProjectionStatus,
+  ensureProjection,
+};
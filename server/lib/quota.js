@@ -0,0 +1,130 @@
+// server/lib/quota.js // Shared AI quota: per-minute and per-day budgets per model tier, reserved by priority
+//
+// Counters live in Mongo (models/QuotaCounter.js), so every API instance and restart sees the same
+// spend. Lower priorities may only fill part of each window, which keeps headroom for live
+// submissions: the background worker can never push a visitor's memory into offline mode.
+const QuotaCounter = require('../models/QuotaCounter');
+const ai = require('../providers');
+
+function envLimit(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const TIERS = {
+  generation: {
+    perMinute: envLimit('QUOTA_GENERATION_RPM', 15),
+    perDay: envLimit('QUOTA_GENERATION_RPD', 1500),
+  },
+  embedding: {
+    perMinute: envLimit('QUOTA_EMBEDDING_RPM', 100),
+    perDay: envLimit('QUOTA_EMBEDDING_RPD', 1000),
+  },
+};
+
+// Share of each window a priority may fill
+const PRIORITY_SHARE = {
+  live: 1, // visitor submissions and curators' searches
+  brief: 0.8,
+  anonymous: 0.7, // searches by visitors and contributors, so they can't starve submissions
+  background: 0.5, // reprocessing and other queued work
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const EXPIRY_GRACE = 5 * MINUTE;
+
+function currentWindows(now) {
+  const minuteStart = Math.floor(now / MINUTE) * MINUTE;
+  const dayStart = Math.floor(now / DAY) * DAY; // UTC midnight, when provider daily quotas reset
+  return [
+    { name: 'minute', limit: 'perMinute', start: minuteStart, end: minuteStart + MINUTE },
+    { name: 'day', limit: 'perDay', start: dayStart, end: dayStart + DAY },
+  ];
+}
+
+function counterKey(tier, window) {
+  const stamp = new Date(window.start).toISOString().slice(0, window.name === 'day' ? 10 : 16);
+  return `${tier}:${window.name}:${stamp}`;
+}
+
+// Atomically take one slot if the window is below cap
+async function takeSlot(key, cap, expiresAt) {
+  if (cap <= 0) return false;
+  try {
+    const counter = await QuotaCounter.findOneAndUpdate(
+      { _id: key, count: { $lt: cap } },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    );
+    return Boolean(counter);
+  } catch (error) {
+    // The window is full: the filter missed and the upsert collided with the existing counter
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Provider errors that mean the quota ran out
+function isQuotaError(error) {
+  return Boolean(error?.message?.includes('quota') || error?.message?.includes('limit'));
+}
+
+// Resolves { granted: true } or { granted: false, retryAfterMs }
+async function reserve(tier, priority = 'live') {
+  if (!ai.metered) return { granted: true };
+  const limits = TIERS[tier];
+  const share = PRIORITY_SHARE[priority];
+  if (!limits || share === undefined) throw new Error(`Unknown quota tier/priority: ${tier}/${priority}`);
+
+  const now = Date.now();
+  const taken = [];
+  for (const window of currentWindows(now)) {
+    const key = counterKey(tier, window);
+    const cap = Math.floor(limits[window.limit] * share);
+    if (!(await takeSlot(key, cap, new Date(window.end + EXPIRY_GRACE)))) {
+      // Give back what was already taken in the shorter window
+      await Promise.all(taken.map((takenKey) => QuotaCounter.updateOne({ _id: takenKey }, { $inc: { count: -1 } })));
+      return { granted: false, retryAfterMs: window.end - now };
+    }
+    taken.push(key);
+  }
+  return { granted: true };
+}
+
+// The provider said the quota is gone (e.g. a 429 we didn't predict): treat this minute as full
+async function markExhausted(tier) {
+  if (!ai.metered || !TIERS[tier]) return;
+  const [minute] = currentWindows(Date.now());
+  await QuotaCounter.updateOne(
+    { _id: counterKey(tier, minute) },
+    { $max: { count: TIERS[tier].perMinute }, $setOnInsert: { expiresAt: new Date(minute.end + EXPIRY_GRACE) } },
+    { upsert: true }
+  );
+}
+
+async function getUsage() {
+  const now = Date.now();
+  const usage = {};
+  for (const [tier, limits] of Object.entries(TIERS)) {
+    usage[tier] = {};
+    for (const window of currentWindows(now)) {
+      const counter = await QuotaCounter.findById(counterKey(tier, window)).lean();
+      usage[tier][window.name] = {
+        used: counter?.count || 0,
+        limit: limits[window.limit],
+        resetsAt: new Date(window.end)
+      };
+    }
+  }
+  return { metered: ai.metered, priorities: PRIORITY_SHARE, usage };
+}
+
+module.exports = {
+  TIERS,
+  PRIORITY_SHARE,
+  isQuotaError,
+  reserve,
+  markExhausted,
+  getUsage,
+};
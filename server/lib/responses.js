@@ -0,0 +1,217 @@
+// server/lib/responses.js // Responses to memories: validation, moderation and listing
+//
+// Responses used to live in an unvalidated `links` array on each Memory; migrateLegacyLinks()
+// moves those into the Response collection once.
+const mongoose = require('mongoose');
+const Memory = require('../models/Memory');
+const Response = require('../models/Response');
+const { ROLE_RANK } = require('./auth');
+const { VISIBLE_FILTER, isVisible, screenText } = require('./moderation');
+
+const RESPONSE_TYPES = Response.schema.path('type').enumValues;
+const MAX_URL_LENGTH = 2048;
+const MAX_LABEL_LENGTH = 120;
+const MAX_NOTES_LENGTH = 1000;
+const LIST_LIMIT = 200;
+
+// Types the old links array accepted freely
+const TYPE_ALIASES = {
+  external: 'other',
+  video: 'film',
+  movie: 'film',
+  art: 'artwork',
+  image: 'artwork',
+  illustration: 'artwork',
+  music: 'audio',
+  song: 'audio',
+  podcast: 'audio',
+  poem: 'writing',
+  essay: 'writing',
+  letter: 'reply',
+};
+
+// Carries the HTTP status the route should answer with
+class ResponseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ResponseError';
+    this.status = status;
+  }
+}
+
+function isCurator(user) {
+  return (ROLE_RANK[user?.role] || 0) >= ROLE_RANK.curator;
+}
+
+// Public http(s) URLs only; urlKey ignores case in the host, fragments and a trailing slash
+function normalizeUrl(raw) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (!text) throw new ResponseError("url required");
+  if (text.length > MAX_URL_LENGTH) throw new ResponseError("url is too long");
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch {
+    throw new ResponseError("url must be a valid link");
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new ResponseError("url must start with http:// or https://");
+  if (parsed.username || parsed.password) throw new ResponseError("url can't contain credentials");
+  const host = parsed.hostname.toLowerCase();
+  if (!host.includes('.') || host === 'localhost' || /^[\d.]+$/.test(host) || host.startsWith('[')) {
+    throw new ResponseError("url must point to a public website");
+  }
+  parsed.hash = '';
+  const url = parsed.toString();
+  return { url, urlKey: url.replace(/\/+$/, '').replace(/^https:/, 'http:') };
+}
+
+function normalizeType(type) {
+  if (type === undefined || type === null || type === '') return 'other';
+  const key = String(type).trim().toLowerCase();
+  const resolved = RESPONSE_TYPES.includes(key) ? key : TYPE_ALIASES[key];
+  if (!resolved) throw new ResponseError(`type must be one of: ${RESPONSE_TYPES.join(', ')}`);
+  return resolved;
+}
+
+function cleanText(value, field, maxLength) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw new ResponseError(`${field} must be a string`);
+  const text = value.trim();
+  if (text.length > maxLength) throw new ResponseError(`${field} must be at most ${maxLength} characters`);
+  return text;
+}
+
+// { url, label, type, notes } -> validated fields
+function normalizeResponse(payload = {}) {
+  const { url, urlKey } = normalizeUrl(payload.url);
+  return {
+    url,
+    urlKey,
+    label: cleanText(payload.label, 'label', MAX_LABEL_LENGTH) || 'Response',
+    type: normalizeType(payload.type),
+    notes: cleanText(payload.notes, 'notes', MAX_NOTES_LENGTH)
+  };
+}
+
+async function findVisibleMemory(memoryId) {
+  if (!mongoose.isValidObjectId(memoryId)) throw new ResponseError("Invalid memory id");
+  const memory = await Memory.findById(memoryId).select('status mood');
+  if (!memory || !isVisible(memory)) throw new ResponseError("Memory not found", 404);
+  return memory;
+}
+
+// Curators' responses are published straight away; everyone else's wait for review
+async function createResponse(memoryId, payload, user) {
+  const memory = await findVisibleMemory(memoryId);
+  const fields = normalizeResponse(payload);
+  const screening = screenText(`${fields.label} ${fields.notes}`);
+  try {
+    return await Response.create({
+      memory: memory._id,
+      ...fields,
+      status: isCurator(user) ? 'approved' : 'pending',
+      moderation: { flagged: screening.flagged, score: screening.score, reasons: screening.reasons },
+      submittedBy: user?.username || null
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new ResponseError("This response is already attached to the memory", 409);
+    throw error;
+  }
+}
+
+// { memoryId } or { mood }; only curators may ask for pending or rejected responses
+async function listResponses({ memoryId, mood, status }, user) {
+  const wanted = status && isCurator(user) ? status : 'approved';
+  if (!['pending', 'approved', 'rejected'].includes(wanted)) throw new ResponseError("Unknown status");
+
+  let memoryFilter;
+  if (memoryId !== undefined) {
+    memoryFilter = (await findVisibleMemory(memoryId))._id;
+  } else if (typeof mood === 'string' && mood.trim()) {
+    const members = await Memory.find({ mood: mood.trim(), ...VISIBLE_FILTER }).select('_id').lean();
+    memoryFilter = { $in: members.map((member) => member._id) };
+  } else {
+    throw new ResponseError("memoryId or mood required");
+  }
+  return Response.find({ memory: memoryFilter, status: wanted }).sort({ createdAt: -1 }).limit(LIST_LIMIT);
+}
+
+function moderationQueue() {
+  return Response.find({ status: 'pending' }).sort({ 'moderation.score': -1, createdAt: 1 }).limit(LIST_LIMIT);
+}
+
+async function findResponse(id) {
+  if (!mongoose.isValidObjectId(id)) throw new ResponseError("Invalid response id");
+  const response = await Response.findById(id);
+  if (!response) throw new ResponseError("Response not found", 404);
+  return response;
+}
+
+async function reviewResponse(id, status, actor, rejectionReason = '') {
+  const response = await findResponse(id);
+  response.status = status;
+  response.moderation.rejectionReason = rejectionReason;
+  response.moderation.reviewedBy = actor;
+  response.moderation.reviewedAt = new Date();
+  try {
+    await response.save();
+  } catch (error) {
+    // Approving a rejected response whose URL was sent again and is now pending or approved
+    if (error.code === 11000) throw new ResponseError("This response is already attached to the memory", 409);
+    throw error;
+  }
+  return response;
+}
+
+// Curators can remove any response; contributors only their own
+async function removeResponse(id, user) {
+  const response = await findResponse(id);
+  const isOwner = Boolean(user?.username) && response.submittedBy === user.username;
+  if (!isCurator(user) && !isOwner) throw new ResponseError("Only curators or the submitter can remove a response", 403);
+  await response.deleteOne();
+  return response;
+}
+
+// One-off: move the old Memory.links entries into Response documents (they were curator-added)
+async function migrateLegacyLinks() {
+  // Replaces the older unique index that also counted rejected responses
+  await Response.syncIndexes();
+  let moved = 0;
+  for await (const memory of Memory.find({ 'links.0': { $exists: true } }).select('links').cursor()) {
+    for (const link of memory.links) {
+      try {
+        const fields = normalizeResponse(typeof link === 'string' ? { url: link } : link || {});
+        await Response.updateOne(
+          { memory: memory._id, urlKey: fields.urlKey },
+          {
+            $setOnInsert: {
+              ...fields,
+              status: 'approved',
+              createdAt: link?.createdAt ? new Date(link.createdAt) : new Date()
+            }
+          },
+          { upsert: true }
+        );
+        moved += 1;
+      } catch (error) {
+        if (!(error instanceof ResponseError)) throw error;
+        console.warn(`⚠️ Dropped invalid response link on memory ${memory._id}: ${error.message}`);
+      }
+    }
+    await Memory.updateOne({ _id: memory._id }, { $set: { links: [] } });
+  }
+  if (moved) console.log(`🎬 Moved ${moved} response links into the Response collection`);
+  return moved;
+}
+
+module.exports = {
+  RESPONSE_TYPES,
+  ResponseError,
+  normalizeResponse,
+  createResponse,
+  listResponses,
+  moderationQueue,
+  reviewResponse,
+  removeResponse,
+  migrateLegacyLinks,
+};
@@ -0,0 +1,203 @@
+// server/lib/similarity.js // Theme vectors, tags and embeddings: normalisation and similarity scoring
+const cosineSimilarity = require('cosine-similarity');
+
+const THEME_AXES = ['emotionalCore', 'narrativeState', 'relationalFocus', 'temporalOrientation', 'spatialIntimacy'];
+
+function normalizeAxis(entries, fallbackLabel) {
+  if (!Array.isArray(entries)) {
+    return [{ label: fallbackLabel, weight: 1 }];
+  }
+  const cleaned = entries
+    .map((entry) => {
+      const label = typeof entry?.label === 'string' ? entry.label.trim() : '';
+      const weight = typeof entry?.weight === 'number' && Number.isFinite(entry.weight) ? entry.weight : 0;
+      return label ? { label, weight: Math.max(0, weight) } : null;
+    })
+    .filter(Boolean)
+    .slice(0, 4);
+
+  const total = cleaned.reduce((sum, item) => sum + item.weight, 0);
+  if (!cleaned.length || total <= 0) {
+    return [{ label: fallbackLabel, weight: 1 }];
+  }
+  return cleaned.map((item) => ({ label: item.label, weight: item.weight / total }));
+}
+
+function normalizeThemeVector(themeVector) {
+  return {
+    emotionalCore: normalizeAxis(themeVector?.emotionalCore, 'memory'),
+    narrativeState: normalizeAxis(themeVector?.narrativeState, 'unfinished'),
+    relationalFocus: normalizeAxis(themeVector?.relationalFocus, 'self'),
+    temporalOrientation: normalizeAxis(themeVector?.temporalOrientation, 'memory'),
+    spatialIntimacy: normalizeAxis(themeVector?.spatialIntimacy, 'private'),
+  };
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return tags
+    .map((tag) => String(tag || '').trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, 12);
+}
+
+function isValidEmbedding(embedding) {
+  if (!Array.isArray(embedding) || embedding.length < 8) return false;
+  const energy = embedding.reduce((sum, value) => sum + Math.abs(value || 0), 0);
+  return energy > 0;
+}
+
+function axisToMap(axis) {
+  const map = new Map();
+  if (!Array.isArray(axis)) return map;
+  axis.forEach((entry) => {
+    const label = typeof entry?.label === 'string' ? entry.label.trim().toLowerCase() : '';
+    const weight = typeof entry?.weight === 'number' && Number.isFinite(entry.weight) ? entry.weight : 0;
+    if (!label || weight <= 0) return;
+    map.set(label, (map.get(label) || 0) + weight);
+  });
+  return map;
+}
+
+function normalizeAxisFromMap(map) {
+  const entries = Array.from(map.entries()).map(([label, weight]) => ({ label, weight }));
+  return normalizeAxis(entries, 'memory');
+}
+
+function axisSimilarity(leftAxis, rightAxis) {
+  const leftMap = axisToMap(leftAxis);
+  const rightMap = axisToMap(rightAxis);
+  if (!leftMap.size || !rightMap.size) return 0;
+  let score = 0;
+  leftMap.forEach((weight, label) => {
+    const rightWeight = rightMap.get(label) || 0;
+    score += weight * rightWeight;
+  });
+  return score;
+}
+
+function themeSimilarity(leftVector, rightVector) {
+  const scores = THEME_AXES.map((axis) => axisSimilarity(leftVector?.[axis], rightVector?.[axis]));
+  const total = scores.reduce((sum, value) => sum + value, 0);
+  return scores.length ? total / scores.length : 0;
+}
+
+function tagSimilarity(leftTags, rightTags) {
+  const left = new Set(normalizeTags(leftTags));
+  const right = new Set(normalizeTags(rightTags));
+  if (!left.size || !right.size) return 0;
+  let intersection = 0;
+  left.forEach((tag) => {
+    if (right.has(tag)) intersection += 1;
+  });
+  const union = left.size + right.size - intersection;
+  return union ? intersection / union : 0;
+}
+
+// Curator-pinned memories count several times over, so corrections pull the family profile
+const PINNED_WEIGHT = 3;
+
+function memberWeight(memory) {
+  return memory?.pinned ? PINNED_WEIGHT : 1;
+}
+
+function buildFamilyStats(memories) {
+  const families = new Map();
+  memories.forEach((memory) => {
+    const mood = typeof memory?.mood === 'string' ? memory.mood.trim() : '';
+    if (!mood) return;
+    if (!families.has(mood)) {
+      families.set(mood, {
+        mood,
+        embeddingSum: [],
+        embeddingCount: 0,
+        themeMaps: {
+          emotionalCore: new Map(),
+          narrativeState: new Map(),
+          relationalFocus: new Map(),
+          temporalOrientation: new Map(),
+          spatialIntimacy: new Map(),
+        },
+        tagCounts: new Map(),
+      });
+    }
+    const stats = families.get(mood);
+    const memoryWeight = memberWeight(memory);
+    const embedding = Array.isArray(memory.embedding) ? memory.embedding : null;
+    if (isValidEmbedding(embedding)) {
+      if (!stats.embeddingSum.length) {
+        stats.embeddingSum = embedding.map((value) => (value || 0) * memoryWeight);
+      } else {
+        stats.embeddingSum = stats.embeddingSum.map((value, index) => value + (embedding[index] || 0) * memoryWeight);
+      }
+      stats.embeddingCount += memoryWeight;
+    }
+    const themeVector = memory.themeVector || {};
+    Object.keys(stats.themeMaps).forEach((axis) => {
+      const axisEntries = Array.isArray(themeVector[axis]) ? themeVector[axis] : [];
+      axisEntries.forEach((entry) => {
+        const label = typeof entry?.label === 'string' ? entry.label.trim().toLowerCase() : '';
+        const weight = typeof entry?.weight === 'number' && Number.isFinite(entry.weight) ? entry.weight : 0;
+        if (!label || weight <= 0) return;
+        const map = stats.themeMaps[axis];
+        map.set(label, (map.get(label) || 0) + weight * memoryWeight);
+      });
+    });
+    normalizeTags(memory.tags).forEach((tag) => {
+      stats.tagCounts.set(tag, (stats.tagCounts.get(tag) || 0) + memoryWeight);
+    });
+  });
+
+  const familyStats = [];
+  families.forEach((stats) => {
+    const embedding =
+      stats.embeddingCount > 0
+        ? stats.embeddingSum.map((value) => value / stats.embeddingCount)
+        : null;
+    const themeVector = {};
+    Object.keys(stats.themeMaps).forEach((axis) => {
+      themeVector[axis] = normalizeAxisFromMap(stats.themeMaps[axis]);
+    });
+    const tags = Array.from(stats.tagCounts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 12)
+      .map(([tag]) => tag);
+    familyStats.push({ mood: stats.mood, embedding, themeVector, tags });
+  });
+
+  return familyStats;
+}
+
+function scoreFamilyMatch(candidate, family) {
+  const hasEmbedding = isValidEmbedding(candidate.embedding) && isValidEmbedding(family.embedding);
+  const embeddingScore = hasEmbedding ? cosineSimilarity(candidate.embedding, family.embedding) : 0;
+  const themeScore = themeSimilarity(candidate.themeVector, family.themeVector);
+  const tagScore = tagSimilarity(candidate.tags, family.tags);
+
+  let weights = { embedding: 0.6, theme: 0.25, tags: 0.15 };
+  if (!hasEmbedding) {
+    weights = { embedding: 0, theme: 0.65, tags: 0.35 };
+  }
+  const totalWeight = weights.embedding + weights.theme + weights.tags || 1;
+  const score =
+    (embeddingScore * weights.embedding + themeScore * weights.theme + tagScore * weights.tags) / totalWeight;
+
+  return { score, components: { embeddingScore, themeScore, tagScore, hasEmbedding } };
+}
+
+module.exports = {
+  THEME_AXES,
+  PINNED_WEIGHT,
+  memberWeight,
+  normalizeAxis,
+  normalizeThemeVector,
+  normalizeTags,
+  isValidEmbedding,
+  axisToMap,
+  normalizeAxisFromMap,
+  axisSimilarity,
+  themeSimilarity,
+  tagSimilarity,
+  buildFamilyStats,
+  scoreFamilyMatch,
+};
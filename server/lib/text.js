@@ -0,0 +1,17 @@
+// server/lib/text.js // Small text helpers shared by search and the local AI provider
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'was', 'were', 'are', 'but', 'from', 'when', 'what',
+  'who', 'how', 'had', 'have', 'has', 'into', 'about', 'they', 'them', 'their', 'there', 'then',
+  'our', 'you', 'your', 'his', 'her', 'she', 'him', 'its', 'not', 'all', 'one', 'out', 'just'
+]);
+
+// keepStopWords: for keyword rules that look for words like "was" (see providers/local.js)
+function tokenize(text, { keepStopWords = false } = {}) {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+  return words
+    .map((word) => word.replace(/'s$/, '').replace(/'/g, ''))
+    .filter((word) => word.length > 2 && (keepStopWords || !STOP_WORDS.has(word)));
+}
+
+module.exports = { STOP_WORDS, tokenize };
@@ -0,0 +1,59 @@
+// server/lib/throttle.js // Per-client request budgets for the expensive public routes
+//
+// Signed-in requests are counted per account, anonymous ones per IP, so a single visitor
+// hammering Transmit exhausts their own budget instead of the shared AI quota.
+// Counters live in memory: each API instance enforces its own window.
+
+const SWEEP_INTERVAL = 60 * 1000;
+const buckets = new Map(); // `${name}:${client}` -> { count, resetAt }
+
+function clientKey(req, byIp) {
+  return req.user && !byIp ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+function isSignedIn(req) {
+  return Boolean(req.user);
+}
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+// limit: requests per window for trusted clients (signed-in users unless trusted(req) says otherwise);
+// anonymousLimit (defaults to limit) for everyone else. byIp counts every request per IP, signed in or not.
+function throttle({ name, windowMs, limit, anonymousLimit = limit, trusted = isSignedIn, byIp = false }) {
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = `${name}:${clientKey(req, byIp)}`;
+    let bucket = buckets.get(key);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(key, bucket);
+    }
+
+    const max = trusted(req) ? limit : anonymousLimit;
+    if (bucket.count >= max) {
+      const retryAfter = retryAfterSeconds(bucket.resetAt);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: "Too many requests. Please slow down.", retryAfter });
+    }
+
+    bucket.count += 1;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(max - bucket.count));
+    next();
+  };
+}
+
+// Drop expired windows so idle clients don't accumulate
+setInterval(() => {
+  const now = Date.now();
+  buckets.forEach((bucket, key) => {
+    if (bucket.resetAt <= now) buckets.delete(key);
+  });
+}, SWEEP_INTERVAL).unref();
+
+module.exports = {
+  throttle,
+  retryAfterSeconds,
+};
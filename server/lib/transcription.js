@@ -0,0 +1,170 @@
+// server/lib/transcription.js // Voice-only memories: draft, transcribe in the background, contributor review
+//
+// A memory submitted as a voice note alone is saved as a hidden 'draft' with placeholder
+// classification. The transcription job fills in its text; the contributor then corrects it and
+// publishes, which classifies the text and hands it to moderation (publishDraft in routes/memories.js).
+const mongoose = require('mongoose');
+const Memory = require('../models/Memory');
+const VoiceNote = require('../models/VoiceNote');
+const engine = require('../transcribers');
+const jobQueue = require('./jobQueue');
+const quota = require('./quota');
+const { ROLE_RANK } = require('./auth');
+const { redactPII } = require('./pii');
+const { readVoiceNote, playbackUrl, claimVoiceNote, releaseVoiceNote } = require('./voiceNotes');
+
+const TRANSCRIBE_JOB = 'transcribe-memory';
+const TRANSCRIBE_RETRY_DELAY = 60 * 1000;
+const MAX_TEXT_LENGTH = 10000;
+const DRAFT_LIST_LIMIT = 50;
+const DRAFT_FIELDS = 'text voiceNote voiceNoteUrl transcription status submittedBy createdAt';
+
+// Carries the HTTP status the route should answer with
+class TranscriptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TranscriptionError';
+    this.status = status;
+  }
+}
+
+function isCurator(user) {
+  return (ROLE_RANK[user?.role] || 0) >= ROLE_RANK.curator;
+}
+
+function queueTranscription(memoryId) {
+  return jobQueue.enqueue(TRANSCRIBE_JOB, { memoryId: String(memoryId) }, { dedupeKey: `${TRANSCRIBE_JOB}:${memoryId}` });
+}
+
+// placeholder: { mood, tags, color, themeVector } standing in until the memory is classified
+async function createVoiceDraft(voiceNote, user, { placeholder, metadata }) {
+  const memoryId = new mongoose.Types.ObjectId();
+  await claimVoiceNote(voiceNote, memoryId);
+  let memory;
+  try {
+    memory = await Memory.create({
+      _id: memoryId,
+      text: '',
+      pii: { types: [], checkedAt: new Date() },
+      voiceNote: voiceNote._id,
+      voiceNoteUrl: playbackUrl(voiceNote),
+      metadata,
+      location: "The Strata",
+      mood: placeholder.mood,
+      tags: placeholder.tags,
+      color: placeholder.color,
+      themeVector: placeholder.themeVector,
+      embedding: [0, 0, 0],
+      status: 'draft',
+      submittedBy: user.username,
+      transcription: { status: 'queued', engine: engine.name }
+    });
+  } catch (error) {
+    await releaseVoiceNote(voiceNote, memoryId);
+    throw error;
+  }
+  await queueTranscription(memory._id);
+  return memory;
+}
+
+async function transcribeMemory(job) {
+  const memory = await Memory.findById(job.payload.memoryId);
+  // Deleted, or already transcribed or typed in by the contributor since the job was queued
+  if (!memory || memory.status !== 'draft' || memory.transcription?.status !== 'queued') return;
+
+  const note = await VoiceNote.findById(memory.voiceNote);
+  if (!note) {
+    memory.transcription.status = 'failed';
+    memory.transcription.error = "Voice note is missing";
+    await memory.save();
+    return;
+  }
+
+  if (engine.metered) {
+    const reservation = await quota.reserve('generation', 'background');
+    if (!reservation.granted) {
+      throw new jobQueue.DeferJobError("Rate limit reached during transcription", reservation.retryAfterMs);
+    }
+  }
+
+  let transcript;
+  try {
+    transcript = (await engine.transcribe(await readVoiceNote(note), { contentType: note.contentType })).trim();
+  } catch (error) {
+    if (quota.isQuotaError(error)) {
+      await quota.markExhausted('generation');
+      throw new jobQueue.DeferJobError("Rate limit hit during transcription", TRANSCRIBE_RETRY_DELAY);
+    }
+    // Out of retries: let the contributor type the memory in themselves
+    if (job.attempts >= job.maxAttempts) {
+      memory.transcription.status = 'failed';
+      memory.transcription.error = "Transcription failed";
+      await memory.save();
+    }
+    throw error;
+  }
+
+  const { text, types } = redactPII(transcript.slice(0, MAX_TEXT_LENGTH));
+  memory.text = text;
+  if (text !== transcript) memory.originalText = transcript;
+  memory.pii = { types, checkedAt: new Date() };
+  memory.transcription.status = text ? 'transcribed' : 'failed';
+  memory.transcription.engine = engine.name;
+  memory.transcription.transcript = text;
+  memory.transcription.error = text ? '' : "No speech was recognised";
+  memory.transcription.transcribedAt = new Date();
+  await memory.save();
+  console.log(`🎙️ Transcribed ${memory._id} with ${engine.name}${text ? '' : ' (no speech)'}`);
+}
+
+jobQueue.registerHandler(TRANSCRIBE_JOB, transcribeMemory);
+
+// The contributor who recorded it, or curators
+async function findDraft(id, user) {
+  if (!mongoose.isValidObjectId(id)) throw new TranscriptionError("Invalid memory id");
+  const memory = await Memory.findOne({ _id: id, status: 'draft' });
+  const isOwner = Boolean(user?.username) && memory?.submittedBy === user.username;
+  if (!memory || (!isCurator(user) && !isOwner)) throw new TranscriptionError("Draft not found", 404);
+  return memory;
+}
+
+// Own drafts, newest first; curators may ask for everyone's
+function listDrafts(user, { all = false } = {}) {
+  const filter = all && isCurator(user) ? { status: 'draft' } : { status: 'draft', submittedBy: user.username };
+  return Memory.find(filter).select(DRAFT_FIELDS).sort({ createdAt: -1 }).limit(DRAFT_LIST_LIMIT);
+}
+
+// Saves the contributor's corrected text on a draft; publishing is up to the caller
+async function reviseTranscript(memory, rawText) {
+  if (memory.transcription?.status === 'queued') {
+    throw new TranscriptionError("The voice note is still being transcribed", 409);
+  }
+  if (typeof rawText !== 'string' || !rawText.trim()) throw new TranscriptionError("Text is required");
+  if (rawText.length > MAX_TEXT_LENGTH) throw new TranscriptionError(`Text must be at most ${MAX_TEXT_LENGTH} characters`);
+
+  const { text, types } = redactPII(rawText.trim());
+  if (text !== memory.text) {
+    memory.originalText = rawText.trim();
+    memory.pii = { types, checkedAt: new Date() };
+  }
+  memory.text = text;
+  memory.transcription.edited = text !== memory.transcription.transcript;
+  await memory.save();
+  return memory;
+}
+
+function toDraftResponse(memory) {
+  const { originalText, ...draft } = memory.toObject();
+  return draft;
+}
+
+module.exports = {
+  TRANSCRIBE_JOB,
+  TranscriptionError,
+  queueTranscription,
+  createVoiceDraft,
+  findDraft,
+  listDrafts,
+  reviseTranscript,
+  toDraftResponse,
+};
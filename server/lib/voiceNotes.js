@@ -0,0 +1,312 @@
+// server/lib/voiceNotes.js // Voice note uploads: type checks, disk/GridFS storage, ranged reads and cleanup
+//
+// VOICE_STORAGE picks where new recordings go ('disk' under VOICE_DIR, or 'gridfs' in the
+// database). Each VoiceNote remembers its own storage, so switching later doesn't orphan old audio.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Memory = require('../models/Memory');
+const VoiceNote = require('../models/VoiceNote');
+const jobQueue = require('./jobQueue');
+const { ROLE_RANK } = require('./auth');
+const { isVisible } = require('./moderation');
+
+const VOICE_STORAGE = process.env.VOICE_STORAGE === 'gridfs' ? 'gridfs' : 'disk';
+const VOICE_DIR = process.env.VOICE_DIR || path.join(__dirname, '..', 'uploads', 'voice');
+const MAX_VOICE_BYTES = (Number.parseFloat(process.env.VOICE_MAX_MB) || 10) * 1024 * 1024;
+const GRIDFS_BUCKET = 'voiceNotes';
+
+const PRUNE_VOICE_NOTES_JOB = 'prune-voice-notes';
+const PRUNE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const ORPHAN_TTL = 24 * 60 * 60 * 1000; // uploads never attached to a memory
+
+// Declared MIME type -> the container its first bytes must show
+const AUDIO_TYPES = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mpeg',
+  'audio/mp3': 'mpeg',
+  'audio/aac': 'mpeg',
+  'audio/mp4': 'mp4',
+  'audio/x-m4a': 'mp4',
+  'audio/m4a': 'mp4',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+};
+
+const EXTENSIONS = { webm: '.webm', ogg: '.ogg', mpeg: '.mp3', mp4: '.m4a', wav: '.wav' };
+
+// Carries the HTTP status the route should answer with
+class VoiceNoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VoiceNoteError';
+    this.status = status;
+  }
+}
+
+function isCurator(user) {
+  return (ROLE_RANK[user?.role] || 0) >= ROLE_RANK.curator;
+}
+
+// 'audio/webm;codecs=opus' -> 'audio/webm'
+function baseType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isAllowedType(mimeType) {
+  return Object.hasOwn(AUDIO_TYPES, baseType(mimeType));
+}
+
+// Container from magic bytes, so a renamed text file can't pass as audio
+function sniffContainer(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'mp4';
+  if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mpeg';
+  return null;
+}
+
+// STORAGE BACKENDS - save(id, buffer, contentType) -> key, openStream(key, range), remove(key)
+const diskStorage = {
+  async save(id, buffer, contentType) {
+    await fs.promises.mkdir(VOICE_DIR, { recursive: true });
+    const key = `${id}${EXTENSIONS[AUDIO_TYPES[contentType]] || ''}`;
+    await fs.promises.writeFile(path.join(VOICE_DIR, key), buffer, { flag: 'wx' });
+    return key;
+  },
+  openStream(key, range) {
+    return fs.createReadStream(path.join(VOICE_DIR, path.basename(key)), range || {});
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(VOICE_DIR, path.basename(key)), { force: true });
+  }
+};
+
+function gridfsBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+}
+
+const gridfsStorage = {
+  save(id, buffer, contentType) {
+    return new Promise((resolve, reject) => {
+      const upload = gridfsBucket().openUploadStreamWithId(id, String(id), { metadata: { contentType } });
+      upload.once('finish', () => resolve(String(id)));
+      upload.once('error', reject);
+      upload.end(buffer);
+    });
+  },
+  openStream(key, range) {
+    // GridFS ranges are end-exclusive
+    const options = range ? { start: range.start, end: range.end + 1 } : undefined;
+    return gridfsBucket().openDownloadStream(new mongoose.Types.ObjectId(key), options);
+  },
+  async remove(key) {
+    try {
+      await gridfsBucket().delete(new mongoose.Types.ObjectId(key));
+    } catch (error) {
+      if (!/not found/i.test(error.message)) throw error;
+    }
+  }
+};
+
+const STORAGES = { disk: diskStorage, gridfs: gridfsStorage };
+
+function hashUploadToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function matchesUploadToken(note, token) {
+  if (!note.uploadTokenHash || typeof token !== 'string' || !token) return false;
+  const expected = Buffer.from(note.uploadTokenHash, 'hex');
+  const candidate = Buffer.from(hashUploadToken(token), 'hex');
+  return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+// file: multer's { buffer, mimetype, size }. Resolves { note, uploadToken }; the token is only
+// issued for anonymous uploads and is never stored in the clear.
+async function saveVoiceNote(file, user) {
+  if (!file?.buffer?.length) throw new VoiceNoteError("Audio file required");
+  const contentType = baseType(file.mimetype);
+  if (!isAllowedType(contentType)) {
+    throw new VoiceNoteError(`Audio must be one of: ${Object.keys(AUDIO_TYPES).join(', ')}`, 415);
+  }
+  if (sniffContainer(file.buffer) !== AUDIO_TYPES[contentType]) {
+    throw new VoiceNoteError("File contents don't match its audio type", 415);
+  }
+
+  const id = new mongoose.Types.ObjectId();
+  const uploadToken = user?.username ? null : crypto.randomBytes(24).toString('base64url');
+  const key = await STORAGES[VOICE_STORAGE].save(id, file.buffer, contentType);
+  try {
+    const note = await VoiceNote.create({
+      _id: id,
+      storage: VOICE_STORAGE,
+      key,
+      contentType,
+      size: file.buffer.length,
+      uploadedBy: user?.username || null,
+      uploadTokenHash: uploadToken ? hashUploadToken(uploadToken) : null
+    });
+    return { note, uploadToken };
+  } catch (error) {
+    await STORAGES[VOICE_STORAGE].remove(key);
+    throw error;
+  }
+}
+
+async function findVoiceNote(id, { withToken = false } = {}) {
+  if (!mongoose.isValidObjectId(id)) throw new VoiceNoteError("Invalid voice note id");
+  const query = VoiceNote.findById(id);
+  const note = await (withToken ? query.select('+uploadTokenHash') : query);
+  if (!note) throw new VoiceNoteError("Voice note not found", 404);
+  return note;
+}
+
+// Attached notes are as public as their memory; otherwise only their uploader and curators can play them
+async function findPlayableVoiceNote(id, user) {
+  const note = await findVoiceNote(id);
+  if (isCurator(user) || (user?.username && note.uploadedBy === user.username)) return note;
+  if (note.memory) {
+    const memory = await Memory.findById(note.memory).select('status');
+    if (memory && isVisible(memory)) return note;
+  }
+  throw new VoiceNoteError("Voice note not found", 404);
+}
+
+// Ingest: the note must be unattached and uploaded by the same account. Anonymous uploads are
+// claimed with the upload token they were issued, whoever submits them.
+async function findAttachableVoiceNote(id, user, uploadToken) {
+  const note = await findVoiceNote(id, { withToken: true });
+  if (note.memory) throw new VoiceNoteError("Voice note already belongs to a memory", 409);
+  const owned = note.uploadedBy
+    ? note.uploadedBy === user?.username
+    : matchesUploadToken(note, uploadToken);
+  if (!owned) throw new VoiceNoteError("Voice note not found", 404);
+  return note;
+}
+
+// Reserves the note for a memory that is about to be saved (its _id generated up front). Only one
+// submission can win the claim; the others get a 409 instead of attaching the same recording.
+async function claimVoiceNote(note, memoryId) {
+  const claimed = await VoiceNote.findOneAndUpdate(
+    { _id: note._id, memory: null },
+    { $set: { memory: memoryId } },
+    { new: true }
+  );
+  if (!claimed) throw new VoiceNoteError("Voice note already belongs to a memory", 409);
+  return claimed;
+}
+
+// The memory never got saved: hand the note back so it can be submitted again
+function releaseVoiceNote(note, memoryId) {
+  return VoiceNote.updateOne({ _id: note._id, memory: memoryId }, { $set: { memory: null } });
+}
+
+function playbackUrl(note) {
+  return `/api/voice-notes/${note._id}/audio`;
+}
+
+// Ingest also accepts the playback URL an upload returned; anything else isn't ours to play
+function voiceNoteIdFromUrl(url) {
+  const match = /\/api\/voice-notes\/([a-f\d]{24})\/audio$/i.exec(typeof url === 'string' ? url.trim() : '');
+  return match ? match[1] : null;
+}
+
+// 'bytes=0-', 'bytes=100-199' or 'bytes=-500' -> inclusive { start, end }.
+// null means serve the whole file (no header, or one we don't handle such as multiple ranges);
+// false means the range can't be satisfied.
+function parseRange(header, size) {
+  if (typeof header !== 'string') return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) {
+    const suffix = Number(match[2]);
+    if (!suffix) return false;
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+  const start = Number(match[1]);
+  if (match[2] && Number(match[2]) < start) return null;
+  if (start >= size) return false;
+  return { start, end: match[2] ? Math.min(Number(match[2]), size - 1) : size - 1 };
+}
+
+function openVoiceNoteStream(note, range) {
+  return STORAGES[note.storage].openStream(note.key, range);
+}
+
+// Whole recording in memory (uploads are capped at MAX_VOICE_BYTES), for the transcription engine
+async function readVoiceNote(note) {
+  const chunks = [];
+  for await (const chunk of openVoiceNoteStream(note)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function deleteVoiceNote(note) {
+  await STORAGES[note.storage].remove(note.key);
+  await VoiceNote.deleteOne({ _id: note._id });
+}
+
+// Uploader (before it is attached) or curators
+async function removeVoiceNote(id, user) {
+  const note = await findVoiceNote(id);
+  const isOwner = Boolean(user?.username) && note.uploadedBy === user.username && !note.memory;
+  if (!isCurator(user) && !isOwner) throw new VoiceNoteError("Only curators or the uploader can remove a voice note", 403);
+  await deleteVoiceNote(note);
+  return note;
+}
+
+async function deleteMemoryVoiceNotes(memoryId) {
+  const notes = await VoiceNote.find({ memory: memoryId });
+  for (const note of notes) await deleteVoiceNote(note);
+}
+
+async function pruneOrphanVoiceNotes() {
+  const orphans = await VoiceNote.find({ memory: null, createdAt: { $lt: new Date(Date.now() - ORPHAN_TTL) } });
+  for (const note of orphans) await deleteVoiceNote(note);
+  if (orphans.length) console.log(`🧹 Pruned ${orphans.length} unattached voice notes`);
+  return { pruned: orphans.length };
+}
+
+jobQueue.registerHandler(PRUNE_VOICE_NOTES_JOB, () => pruneOrphanVoiceNotes());
+
+jobQueue.schedule(
+  'Voice note pruning scheduling',
+  () => jobQueue.enqueue(PRUNE_VOICE_NOTES_JOB, {}, { dedupeKey: PRUNE_VOICE_NOTES_JOB }),
+  { everyMs: PRUNE_INTERVAL }
+);
+
+function toResponse(note) {
+  return {
+    id: String(note._id),
+    url: playbackUrl(note),
+    contentType: note.contentType,
+    size: note.size,
+    memory: note.memory ? String(note.memory) : null,
+    createdAt: note.createdAt
+  };
+}
+
+module.exports = {
+  MAX_VOICE_BYTES,
+  VoiceNoteError,
+  isAllowedType,
+  saveVoiceNote,
+  findPlayableVoiceNote,
+  findAttachableVoiceNote,
+  claimVoiceNote,
+  releaseVoiceNote,
+  playbackUrl,
+  voiceNoteIdFromUrl,
+  parseRange,
+  openVoiceNoteStream,
+  readVoiceNote,
+  removeVoiceNote,
+  deleteMemoryVoiceNotes,
+  pruneOrphanVoiceNotes,
+  toResponse,
+};
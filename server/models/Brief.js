@@ -0,0 +1,84 @@
+// server/models/Brief.js // One generated filmmaker's brief, kept so it can be revisited and compared
+const mongoose = require('mongoose');
+
+const BriefSchema = new mongoose.Schema({
+  // 'family' briefs belong to a Family, 'memory' (competition) briefs to a single Memory
+  kind: {
+    type: String,
+    enum: ['family', 'memory'],
+    required: true,
+  },
+  family: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Family',
+    default: null,
+  },
+  memory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    default: null,
+  },
+  // Family name, kept in step when the family is renamed
+  mood: {
+    type: String,
+    default: "",
+  },
+  // 1, 2, 3... per family or memory
+  version: {
+    type: Number,
+    required: true,
+  },
+  provider: {
+    type: String,
+    default: "",
+  },
+  // Changes whenever the provider's brief prompt changes, so old outputs can be told apart
+  promptVersion: {
+    type: String,
+    default: "",
+  },
+  // Memories whose text went into the prompt, and how many the family had at the time
+  sampleMemoryIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+  },
+  memberCount: {
+    type: Number,
+    default: 0,
+  },
+  // How the prompt's stories were chosen: 'single' (memory brief), 'direct' (small family, every
+  // story) or 'threads' (medoids + outliers, each thread summarised before the brief was written)
+  sampling: {
+    method: {
+      type: String,
+      enum: ['direct', 'threads', 'single'],
+      default: 'single',
+    },
+    threads: [{
+      _id: false,
+      size: Number,
+      medoid: { type: mongoose.Schema.Types.ObjectId, ref: 'Memory' },
+      memoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Memory' }],
+      summary: String,
+    }],
+    outlierIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Memory' }],
+  },
+  output: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  createdBy: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+BriefSchema.index({ kind: 1, family: 1, memory: 1, version: -1 }, { unique: true });
+
+const Brief = mongoose.model('Brief', BriefSchema);
+
+module.exports = Brief;
@@ -0,0 +1,81 @@
+// server/models/ClassificationEvent.js // One record per time a memory was sorted into a family
+const mongoose = require('mongoose');
+
+const ClassificationEventSchema = new mongoose.Schema({
+  memory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    required: true,
+  },
+  // 'ingest' for the first classification, 'transcript' when a reviewed voice draft is published,
+  // 'reprocess' when the worker re-runs an offline memory, 'curator' for a manual reassignment
+  source: {
+    type: String,
+    enum: ['ingest', 'transcript', 'reprocess', 'curator'],
+    required: true,
+  },
+  provider: {
+    type: String,
+    default: "",
+  },
+  // Username of the curator for 'curator' events
+  actor: {
+    type: String,
+    default: null,
+  },
+  // Which branch of the clustering logic chose the family ('ai' = no families existed yet)
+  decidedBy: {
+    type: String,
+    enum: ['similarity', 'ai-new', 'ai-existing', 'ai-override', 'offline', 'ai', 'curator'],
+    required: true,
+  },
+  aiMood: {
+    type: String,
+    default: "",
+  },
+  previousMood: {
+    type: String,
+    default: null,
+  },
+  finalMood: {
+    type: String,
+    required: true,
+  },
+  // Set when the new family name was broadened from what the decision produced
+  broadenedFrom: {
+    type: String,
+    default: null,
+  },
+  isNewFamily: {
+    type: Boolean,
+    default: false,
+  },
+  offlineMode: {
+    type: Boolean,
+    default: false,
+  },
+  reasoning: {
+    type: String,
+    default: "",
+  },
+  // Best-first family scores: [{ mood, score, components }]
+  scores: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  // The cut-offs in force: { threshold, strongThreshold, margin, hasEmbedding }
+  thresholds: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+ClassificationEventSchema.index({ memory: 1, createdAt: -1 });
+
+const ClassificationEvent = mongoose.model('ClassificationEvent', ClassificationEventSchema);
+
+module.exports = ClassificationEvent;
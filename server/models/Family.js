@@ -0,0 +1,83 @@
+// server/models/Family.js // A mood family: the named emotional territory memories are grouped under
+const mongoose = require('mongoose');
+
+const axis = {
+  type: [mongoose.Schema.Types.Mixed],
+  default: [],
+};
+
+const FamilySchema = new mongoose.Schema({
+  // Matches Memory.mood for every member
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  color: {
+    type: String,
+    default: "#FFFFFF",
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+
+  // Aggregated profile of the members, derived from the running sums below (see lib/families.js)
+  centroid: {
+    type: [Number],
+    default: [],
+  },
+  themeVector: {
+    emotionalCore: axis,
+    narrativeState: axis,
+    relationalFocus: axis,
+    temporalOrientation: axis,
+    spatialIntimacy: axis,
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  memberCount: {
+    type: Number,
+    default: 0,
+  },
+
+  // Running sums behind the profile, adjusted as members join and leave
+  embeddingSum: {
+    type: [Number],
+    default: [],
+  },
+  embeddingWeight: {
+    type: Number,
+    default: 0,
+  },
+  themeWeights: {
+    emotionalCore: axis,
+    narrativeState: axis,
+    relationalFocus: axis,
+    temporalOrientation: axis,
+    spatialIntimacy: axis,
+  },
+  tagCounts: {
+    type: [mongoose.Schema.Types.Mixed], // [{ tag, count }]
+    default: [],
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, {
+  // Profile updates are read-modify-write; concurrent writers retry on a version conflict
+  optimisticConcurrency: true,
+});
+
+const Family = mongoose.model('Family', FamilySchema);
+
+module.exports = Family;
@@ -0,0 +1,54 @@
+// server/models/FamilySuggestion.js // A proposed merge or split for a curator to accept or dismiss
+const mongoose = require('mongoose');
+
+const FamilySuggestionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['merge', 'split'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'dismissed'],
+    default: 'pending',
+  },
+  // merge: the two families; split: the family to split
+  families: {
+    type: [String],
+    default: [],
+  },
+  // Supporting numbers, e.g. { score, centroidScore, themeScore } or { separation, cohesion }
+  scores: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // split only: proposed member groups [{ memoryIds, size, tags }]
+  groups: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  // "merge:a|b" / "split:a" - a dismissed suggestion is not raised again
+  key: {
+    type: String,
+    required: true,
+  },
+  resolution: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+FamilySuggestionSchema.index({ status: 1, createdAt: -1 });
+FamilySuggestionSchema.index({ key: 1, status: 1 });
+
+const FamilySuggestion = mongoose.model('FamilySuggestion', FamilySuggestionSchema);
+
+module.exports = FamilySuggestion;
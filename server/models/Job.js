@@ -0,0 +1,64 @@
+// server/models/Job.js // A unit of background work, persisted so it survives restarts
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // queued -> leased -> done, or back to queued with backoff, or dead after maxAttempts
+  status: {
+    type: String,
+    enum: ['queued', 'leased', 'done', 'dead'],
+    default: 'queued',
+  },
+  // Only one queued/leased job may hold a given key; cleared once the job finishes
+  dedupeKey: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  leaseOwner: {
+    type: String,
+    default: null,
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: "",
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+JobSchema.index({ type: 1, status: 1, runAt: 1 });
+// Finished jobs are kept for a week for the status endpoint; dead letters are kept until someone looks
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: 'done' } });
+JobSchema.index({ dedupeKey: 1 },{ unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+
+const Job = mongoose.model('Job', JobSchema);
+
+module.exports = Job;
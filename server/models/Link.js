@@ -0,0 +1,76 @@
+// server/models/Link.js // An arc between two memories in the constellation
+const mongoose = require('mongoose');
+
+const LinkSchema = new mongoose.Schema({
+  // Undirected links are stored with from < to (by id). Directional links point from the story
+  // that answers to the story it answers.
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    required: true,
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    required: true,
+  },
+  // family / idea / semantic are scored automatically (lib/linkGraph.js); curated / directional come from curators
+  type: {
+    type: String,
+    enum: ['family', 'idea', 'semantic', 'curated', 'directional'],
+    required: true,
+  },
+  origin: {
+    type: String,
+    enum: ['auto', 'curator'],
+    default: 'auto',
+  },
+  score: {
+    type: Number,
+    default: 0,
+  },
+  reason: {
+    type: String,
+    default: "",
+  },
+  // Automatic links: the memories whose own strongest arcs include this pair. Relinking a memory only
+  // withdraws its own picks, and the link goes once no memory picks it. Missing on links from older versions.
+  chosenBy: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Memory',
+    default: undefined,
+  },
+  // Set while either memory is hidden (pending, rejected or draft), so GET /api/links can skip the link
+  // without looking the memories up. Kept in step by lib/linkGraph.js whenever a memory is relinked.
+  hidden: {
+    type: Boolean,
+    default: false,
+  },
+  // Curator annotation shown alongside the arc
+  note: {
+    type: String,
+    default: "",
+  },
+  createdBy: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+// One automatic link per pair, plus at most one curated and one directional link
+LinkSchema.index({ from: 1, to: 1, type: 1 }, { unique: true });
+LinkSchema.index({ to: 1 });
+LinkSchema.index({ score: -1 });
+LinkSchema.index({ chosenBy: 1 });
+
+const Link = mongoose.model('Link', LinkSchema);
+
+module.exports = Link;
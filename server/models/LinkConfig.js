@@ -0,0 +1,48 @@
+// server/models/LinkConfig.js // Stored link-scoring rules (one document; see lib/linkRules.js)
+const mongoose = require('mongoose');
+
+const LinkConfigSchema = new mongoose.Schema({
+  // Always "link-rules": there is a single active rule set
+  _id: {
+    type: String,
+  },
+  // Mood pairs that read as opposites, e.g. ["joy", "grief"]
+  contradictions: {
+    type: [[String]],
+    default: [],
+  },
+  absenceTags: {
+    type: [String],
+    default: [],
+  },
+  // Points each signal adds to a pair's score
+  scores: {
+    contradiction: Number,
+    sameMood: Number,
+    sharedCore: Number,
+    sharedTag: Number,
+    maxSharedTags: Number,
+    sharedAbsence: Number,
+  },
+  // Pairs scoring below this get no heuristic arc
+  minScore: Number,
+  maxLinksPerMemory: Number,
+  semantic: {
+    threshold: Number,
+    topK: Number,
+  },
+  updatedBy: {
+    type: String,
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, {
+  versionKey: false,
+});
+
+const LinkConfig = mongoose.model('LinkConfig', LinkConfigSchema);
+
+module.exports = LinkConfig;
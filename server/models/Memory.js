@@ -6,12 +6,72 @@ const MemorySchema = new mongoose.Schema({
   // A. The Human Data (What the user types)
   text: {
     type: String,
-    required: true, // A memory must have text
+    // A memory must have text - stored with PII redacted (see lib/pii.js).
+    // Voice-only drafts get theirs from the transcription job (lib/transcription.js).
+    required: function () {
+      return this.status !== 'draft';
+    },
+    default: "",
+  },
+  // What the contributor actually typed. Never selected unless asked for explicitly.
+  originalText: {
+    type: String,
+    select: false,
+  },
+  pii: {
+    types: {
+      type: [String], // e.g. ['email', 'name']
+      default: [],
+    },
+    checkedAt: {
+      type: Date,
+      default: null,
+    },
   },
+  // Playback URL and the VoiceNote behind it, when the memory was recorded (lib/voiceNotes.js)
   voiceNoteUrl: {
     type: String,
     default: "",
   },
+  voiceNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VoiceNote',
+    default: null,
+  },
+  // Memories submitted as a voice note alone: 'queued' until the engine has run, then 'transcribed'
+  // (or 'failed') while the contributor reviews the draft, and 'reviewed' once they publish it
+  transcription: {
+    status: {
+      type: String,
+      enum: ['queued', 'transcribed', 'failed', 'reviewed', null],
+      default: null,
+    },
+    engine: {
+      type: String,
+      default: "",
+    },
+    // What the engine heard (redacted), kept so edits can be compared with it
+    transcript: {
+      type: String,
+      default: "",
+    },
+    edited: {
+      type: Boolean,
+      default: false,
+    },
+    error: {
+      type: String,
+      default: "",
+    },
+    transcribedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
   metadata: {
     emotion: {
       type: String,
@@ -72,10 +132,56 @@ const MemorySchema = new mongoose.Schema({
     },
   },
 
+  // Legacy response links; moved into the Response collection on startup (lib/responses.js)
   links: {
     type: [mongoose.Schema.Types.Mixed],
     default: [],
   },
+
+  // Set when a curator assigned the family by hand; the worker never reclassifies pinned memories
+  pinned: {
+    type: Boolean,
+    default: false,
+  },
+  pinnedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Only approved memories are public; a missing status (older memories) counts as approved.
+  // 'draft' memories wait for their contributor to review a transcript before moderation sees them.
+  status: {
+    type: String,
+    enum: ['draft', 'pending', 'approved', 'rejected'],
+    default: 'approved',
+  },
+  // Username, or null for anonymous submissions (OPEN_SUBMISSIONS)
+  submittedBy: {
+    type: String,
+    default: null,
+  },
+  moderation: {
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    reasons: {
+      type: [String],
+      default: [],
+    },
+    rejectionReason: {
+      type: String,
+      default: "",
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
   
   // B. The AI Data (The Math)
   
@@ -84,15 +190,31 @@ const MemorySchema = new mongoose.Schema({
     required: true,
   },
 
+  // [x, y, z] from the archive-wide projection of embeddings (lib/projection.js), roughly within -1..1
+  position3d: {
+    type: [Number],
+    default: undefined,
+  },
+
   // C. Metadata (Automatic)
   createdAt: {
     type: Date,
     default: Date.now, // Automatically set the time when saved
   }
+}, {
+  // updatedAt lets lib/embeddingIndex.js pick up changed memories without rereading the archive
+  timestamps: { createdAt: false, updatedAt: true }
 });
 
 // 2. COMPILE THE MODEL
 
+// Moderation queue: most suspicious first, then oldest
+MemorySchema.index({ status: 1, 'moderation.score': -1, createdAt: 1 });
+// Contributors' transcript drafts
+MemorySchema.index({ submittedBy: 1, status: 1, createdAt: -1 });
+// Incremental syncs of the search index
+MemorySchema.index({ updatedAt: 1 });
+
 const Memory = mongoose.model('Memory', MemorySchema);
 
 // 3. EXPORT IT
@@ -0,0 +1,51 @@
+// server/models/Projection.js // The fitted 3D projection of memory embeddings (one document)
+const mongoose = require('mongoose');
+
+const ProjectionSchema = new mongoose.Schema({
+  // Always "embedding-3d"
+  _id: {
+    type: String,
+  },
+  dimensions: {
+    type: Number,
+    required: true,
+  },
+  // Embedding mean and the three principal axes (unit vectors, each `dimensions` long)
+  mean: {
+    type: [Number],
+    default: [],
+  },
+  components: {
+    type: [[Number]],
+    default: [],
+  },
+  // Share of variance each axis explains
+  explainedVariance: {
+    type: [Number],
+    default: [],
+  },
+  // Divides projected coordinates so most memories land within -1..1
+  scale: {
+    type: Number,
+    default: 1,
+  },
+  fittedOn: {
+    type: Number,
+    default: 0,
+  },
+  // Memories projected with this basis since it was fitted; drives the next refit
+  projectedSince: {
+    type: Number,
+    default: 0,
+  },
+  fittedAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, {
+  versionKey: false,
+});
+
+const Projection = mongoose.model('Projection', ProjectionSchema);
+
+module.exports = Projection;
@@ -0,0 +1,26 @@
+// server/models/QuotaCounter.js // Requests spent against an AI model tier in one minute or day window
+const mongoose = require('mongoose');
+
+const QuotaCounterSchema = new mongoose.Schema({
+  // "<tier>:<window>:<window start>", e.g. "generation:minute:2026-10-19T10:41"
+  _id: {
+    type: String,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Removed by Mongo shortly after the window closes
+  expiresAt: {
+    type: Date,
+    required: true,
+  }
+}, {
+  versionKey: false,
+});
+
+QuotaCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const QuotaCounter = mongoose.model('QuotaCounter', QuotaCounterSchema);
+
+module.exports = QuotaCounter;
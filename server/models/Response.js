@@ -0,0 +1,84 @@
+// server/models/Response.js // A film, artwork or reply made in response to a memory
+const mongoose = require('mongoose');
+
+const ResponseSchema = new mongoose.Schema({
+  memory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  // Normalised URL (lowercase host, no fragment or trailing slash) used to spot duplicates
+  urlKey: {
+    type: String,
+    required: true,
+  },
+  label: {
+    type: String,
+    default: "Response",
+  },
+  type: {
+    type: String,
+    enum: ['film', 'artwork', 'reply', 'audio', 'writing', 'other'],
+    default: 'other',
+  },
+  notes: {
+    type: String,
+    default: "",
+  },
+  // Only approved responses are listed publicly; curators' own responses are approved on arrival
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  moderation: {
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    reasons: {
+      type: [String],
+      default: [],
+    },
+    rejectionReason: {
+      type: String,
+      default: "",
+    },
+    reviewedBy: {
+      type: String,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  // Username, or null for anonymous submissions (OPEN_SUBMISSIONS)
+  submittedBy: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+// A URL is attached to a memory once, but a rejected submission doesn't stop it being sent again
+ResponseSchema.index(
+  { memory: 1, urlKey: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'approved'] } } }
+);
+ResponseSchema.index({ status: 1, 'moderation.score': -1, createdAt: 1 });
+
+const Response = mongoose.model('Response', ResponseSchema);
+
+module.exports = Response;
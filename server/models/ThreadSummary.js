@@ -0,0 +1,26 @@
+// server/models/ThreadSummary.js // One thread's summary from a staged family brief, kept so a retry can reuse it
+const mongoose = require('mongoose');
+
+const ThreadSummarySchema = new mongoose.Schema({
+  // Hash of the provider, prompt version, family name, thread size and the thread's story ids (lib/briefs.js)
+  _id: {
+    type: String,
+  },
+  summary: {
+    type: String,
+    default: "",
+  },
+  // Removed by Mongo a day later; by then the family has usually moved on
+  expiresAt: {
+    type: Date,
+    required: true,
+  }
+}, {
+  versionKey: false,
+});
+
+ThreadSummarySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ThreadSummary = mongoose.model('ThreadSummary', ThreadSummarySchema);
+
+module.exports = ThreadSummary;
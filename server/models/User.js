@@ -0,0 +1,49 @@
+// server/models/User.js // A local account: contributors submit stories, curators tend the archive, admins run it
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  // scrypt hash and its salt (see lib/auth.js); never returned unless selected explicitly
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  passwordSalt: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  role: {
+    type: String,
+    enum: ['contributor', 'curator', 'admin'],
+    default: 'contributor',
+  },
+  // Bumped to invalidate every token issued before (password change, role change, sign-out everywhere)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  disabled: {
+    type: Boolean,
+    default: false,
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
@@ -0,0 +1,50 @@
+// server/models/VoiceNote.js // An uploaded audio recording; the bytes live on disk or in GridFS (lib/voiceNotes.js)
+const mongoose = require('mongoose');
+
+const VoiceNoteSchema = new mongoose.Schema({
+  // Null until a memory is submitted with this note; unattached uploads are pruned after a day
+  memory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Memory',
+    default: null,
+  },
+  // Where the audio is stored: 'disk' (file name under VOICE_DIR) or 'gridfs' (file id in the voiceNotes bucket)
+  storage: {
+    type: String,
+    enum: ['disk', 'gridfs'],
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  contentType: {
+    type: String,
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+  // Username, or null for anonymous uploads (OPEN_SUBMISSIONS)
+  uploadedBy: {
+    type: String,
+    default: null,
+  },
+  // sha256 of the token handed to an anonymous uploader; submitting a memory with the note requires it
+  uploadTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  }
+});
+
+VoiceNoteSchema.index({ memory: 1, createdAt: 1 });
+
+const VoiceNote = mongoose.model('VoiceNote', VoiceNoteSchema);
+
+module.exports = VoiceNote;
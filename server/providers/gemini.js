@@ -0,0 +1,191 @@
+// server/providers/gemini.js // Google Gemini implementation of the AI provider interface
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const GENERATION_MODEL = process.env.GEMINI_MODEL || "gemini-flash-latest";
+const EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || "text-embedding-004";
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const model = genAI.getGenerativeModel({ model: GENERATION_MODEL });
+const embeddingModel = genAI.getGenerativeModel({ model: EMBEDDING_MODEL });
+
+// HELPER: Clean JSON from AI
+function cleanAIResponse(text) {
+  let clean = text.replace(/```json/g, '').replace(/```/g, '').trim();
+  const start = clean.indexOf('{');
+  const end = clean.lastIndexOf('}');
+  if (start === -1 || end === -1) throw new Error("No JSON found");
+  return clean.substring(start, end + 1);
+}
+
+async function generateJSON(prompt) {
+  const result = await model.generateContent(prompt);
+  const jsonStr = cleanAIResponse(result.response.text());
+  return JSON.parse(jsonStr);
+}
+
+function buildClassificationPrompt(text, existingFamilies) {
+  return `Analyze this personal story for emotional classification: "${text}"
+
+${existingFamilies.length > 0 ? `
+EXISTING MOOD FAMILIES in the archive:
+${existingFamilies.map(f => `- ${f}`).join('\n')}
+
+First, check if this story fits into one of the EXISTING families above. Only create a NEW family name if:
+1. The story's emotion is distinctly different from all existing families
+2. The nuance cannot be captured by any existing family
+3. It represents a genuinely new emotional territory
+
+If it fits an existing family, use that exact name.
+` : `
+This is one of the first stories in the archive. Create an evocative mood family name.
+`}
+
+CLASSIFICATION GUIDELINES:
+- Mood family names should be poetic but clear (e.g., "Grief", "Quiet Joy", "Longing", "Relief")
+- Be specific enough to be meaningful but broad enough to hold multiple stories
+- Avoid overly narrow classifications that would only fit one story
+- Think about emotional resonance and thematic kinship
+
+Return ONLY valid JSON:
+{
+  "mood": "Family name (existing or new)",
+  "reasoning": "Brief explanation of why this family fits or why a new one was needed",
+  "tags": ["keyword1", "keyword2", "keyword3"],
+  "color": "#HEXCODE",
+  "themeVector": {
+    "emotionalCore": [{"label": "primary_emotion", "weight": 0.7}, {"label": "secondary_emotion", "weight": 0.3}],
+    "narrativeState": [{"label": "unfinished", "weight": 0.6}, {"label": "resolved", "weight": 0.4}],
+    "relationalFocus": [{"label": "self", "weight": 0.5}, {"label": "family", "weight": 0.5}],
+    "temporalOrientation": [{"label": "memory", "weight": 0.8}, {"label": "present", "weight": 0.2}],
+    "spatialIntimacy": [{"label": "private", "weight": 0.7}, {"label": "public", "weight": 0.3}]
+  }
+}`;
+}
+
+async function classify(text, existingFamilies = []) {
+  return generateJSON(buildClassificationPrompt(text, existingFamilies));
+}
+
+async function embed(text) {
+  const result = await embeddingModel.embedContent(text);
+  return result?.embedding?.values || null;
+}
+
+async function nameFamily(text, existingFamilies = []) {
+  const prompt = `You are naming a new emotional family for a personal story.
+
+Existing families:
+${existingFamilies.map((family) => `- ${family}`).join('\n')}
+
+Story:
+"${text}"
+
+Return ONLY valid JSON:
+{
+  "mood": "New family name that is distinct from the existing families"
+}`;
+
+  const parsed = await generateJSON(prompt);
+  const mood = typeof parsed?.mood === 'string' ? parsed.mood.trim() : '';
+  return mood || null;
+}
+
+async function broadenMood(mood, existingFamilies = []) {
+  const prompt = `You are refining an emotional family name to be broader and more archetypal.
+
+Current family name:
+"${mood}"
+
+Existing families:
+${existingFamilies.map((family) => `- ${family}`).join('\n')}
+
+Rules:
+- Return a broader concept (1-3 words).
+- Avoid overly specific phrases, verbs, or event-like titles.
+- Prefer timeless emotional categories (e.g., "Longing", "Grief", "Quiet Joy", "Tension", "Relief").
+- If the current name is already broad enough, return it unchanged.
+
+Return ONLY valid JSON:
+{
+  "mood": "Broader family name"
+}`;
+
+  const parsed = await generateJSON(prompt);
+  const nextMood = typeof parsed?.mood === 'string' ? parsed.mood.trim() : '';
+  return nextMood || null;
+}
+
+function buildFamilyBriefPrompt({ mood, storySample, count }) {
+  return `You are a creative director analyzing a collection of personal stories classified as "${mood}".
+
+Material from this emotional family (representative stories and, for larger families, summaries of its threads):
+${storySample}
+
+Total stories in this family: ${count}
+
+Create a filmmaker's brief for a short film exploring this emotional territory.
+
+Return ONLY valid JSON:
+{
+  "title": "Suggested film title",
+  "logline": "One sentence premise that captures the essence",
+  "visualStyle": "Cinematography and lighting direction (2-3 sentences)",
+  "soundscape": "Audio design suggestions",
+  "directorNote": "Artistic guidance for capturing this emotion authentically",
+  "keyMoments": ["Scene idea 1", "Scene idea 2", "Scene idea 3"]
+}`;
+}
+
+function buildMemoryBriefPrompt({ text, mood, tags }) {
+  return `Create a filmmaker's brief for this personal story: "${text}"
+
+Mood Family: ${mood}
+Tags: ${(tags || []).join(', ')}
+
+Return ONLY valid JSON:
+{
+  "logline": "One sentence story summary",
+  "visualStyle": "Camera angles, lighting, color palette (2-3 sentences)",
+  "soundDesign": "Audio atmosphere and music suggestions",
+  "directorNote": "Key artistic advice for authentic emotional portrayal",
+  "castingNote": "Character guidance"
+}`;
+}
+
+function buildSummaryPrompt(texts, { mood, size }) {
+  return `These ${texts.length} personal stories are the closest to the centre of one thread of ${size} stories in the "${mood}" family:
+
+${texts.map((text) => `- "${text}"`).join('\n')}
+
+Summarize what this thread of stories shares, and where its stories differ, in 2-3 sentences. Don't quote names, places or other identifying details.
+
+Return ONLY valid JSON:
+{
+  "summary": "2-3 sentence summary"
+}`;
+}
+
+// First stage of a large family brief: one thread of stories -> a short summary
+async function summarize(texts, context) {
+  const parsed = await generateJSON(buildSummaryPrompt(texts, context));
+  return typeof parsed?.summary === 'string' ? parsed.summary.trim() : '';
+}
+
+// kind: 'family' ({ mood, storySample, count }) | 'memory' ({ text, mood, tags })
+async function generateBrief(kind, context) {
+  if (kind === 'family') return generateJSON(buildFamilyBriefPrompt(context));
+  if (kind === 'memory') return generateJSON(buildMemoryBriefPrompt(context));
+  throw new Error(`Unknown brief kind: ${kind}`);
+}
+
+module.exports = {
+  name: 'gemini',
+  metered: true, // Calls count against the shared Gemini quota
+  classify,
+  embed,
+  nameFamily,
+  broadenMood,
+  generateBrief,
+  summarize,
+  briefPromptVersions: { family: 'family-v2', memory: 'memory-v1' },
+};
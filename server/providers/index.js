@@ -0,0 +1,31 @@
+// server/providers/index.js // Picks the AI provider from AI_PROVIDER (gemini | local)
+//
+// Every provider exposes the same interface:
+//   name, metered
+//   classify(text, existingFamilies)      -> raw analysis { mood, reasoning, tags, color, themeVector }
+//   embed(text)                           -> number[]
+//   nameFamily(text, existingFamilies)    -> string | null
+//   broadenMood(mood, existingFamilies)   -> string | null
+//   generateBrief(kind, context)          -> brief object ('family' | 'memory')
+//   summarize(texts, { mood, size })      -> short summary of one thread of a family (staged briefs)
+//   briefPromptVersions                   -> { family, memory }, bumped whenever a brief prompt changes
+// Methods may throw; callers decide whether to fall back to offline mode.
+
+const PROVIDERS = {
+  gemini: () => require('./gemini'),
+  local: () => require('./local'),
+};
+
+function loadProvider(name) {
+  const key = String(name || 'gemini').trim().toLowerCase();
+  const load = PROVIDERS[key];
+  if (!load) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return load();
+}
+
+const provider = loadProvider(process.env.AI_PROVIDER);
+console.log(`🤖 AI provider: ${provider.name}`);
+
+module.exports = provider;
@@ -0,0 +1,221 @@
+// server/providers/local.js // Deterministic offline provider: hashed embeddings + keyword rules
+// Same input always gives the same output, so the API can run and be tested without a Gemini key.
+const { tokenize } = require('../lib/text');
+
+const EMBEDDING_DIMENSIONS = 768;
+
+// Keyword rules for the emotional families the local provider knows about
+const MOOD_RULES = [
+  { mood: 'Grief', color: '#6B7280', core: 'grief', keywords: ['died', 'death', 'funeral', 'lost', 'loss', 'gone', 'grave', 'mourning', 'passed', 'grief', 'cry', 'cried', 'tears'] },
+  { mood: 'Longing', color: '#A78BFA', core: 'longing', keywords: ['miss', 'missed', 'missing', 'wish', 'far', 'away', 'distance', 'wait', 'waiting', 'longing', 'yearn', 'apart'] },
+  { mood: 'Quiet Joy', color: '#34D399', core: 'joy', keywords: ['laugh', 'laughed', 'smile', 'happy', 'joy', 'warm', 'sunlight', 'dance', 'danced', 'sing', 'sang', 'celebrate', 'delight'] },
+  { mood: 'Tension', color: '#F87171', core: 'fear', keywords: ['afraid', 'fear', 'scared', 'angry', 'anger', 'fight', 'shouted', 'yelled', 'panic', 'nervous', 'anxious', 'argument'] },
+  { mood: 'Relief', color: '#FBBF24', core: 'relief', keywords: ['finally', 'relief', 'safe', 'free', 'breathe', 'okay', 'survived', 'healed', 'rescued', 'over'] },
+  { mood: 'Wonder', color: '#EC4899', core: 'wonder', keywords: ['stars', 'sky', 'ocean', 'mountain', 'first', 'magic', 'wonder', 'amazed', 'strange', 'discovered', 'snow'] },
+  { mood: 'Reflection', color: '#60A5FA', core: 'reflection', keywords: ['remember', 'think', 'thought', 'realized', 'learned', 'understand', 'wonder', 'looking', 'back', 'change', 'changed'] },
+];
+
+// Words that point at the same idea share a concept feature in the embedding
+const CONCEPTS = {
+  family: ['mother', 'mom', 'mum', 'father', 'dad', 'grandmother', 'grandma', 'grandfather', 'grandpa', 'sister', 'brother', 'aunt', 'uncle', 'family', 'son', 'daughter', 'parents'],
+  home: ['home', 'house', 'kitchen', 'room', 'bedroom', 'porch', 'garden', 'yard', 'apartment'],
+  food: ['cook', 'cooking', 'bread', 'soup', 'dinner', 'breakfast', 'meal', 'baked', 'recipe', 'tea', 'coffee'],
+  travel: ['train', 'plane', 'airport', 'road', 'car', 'drive', 'station', 'journey', 'moved', 'leaving'],
+  nature: ['sea', 'ocean', 'river', 'forest', 'tree', 'trees', 'rain', 'snow', 'sky', 'stars', 'mountain'],
+  music: ['song', 'music', 'sing', 'sang', 'piano', 'guitar', 'radio', 'melody'],
+  school: ['school', 'teacher', 'class', 'classroom', 'exam', 'university', 'college'],
+};
+
+const AXIS_RULES = {
+  narrativeState: [
+    { label: 'unfinished', keywords: ['never', 'still', 'unsaid', 'wish', 'waiting', 'someday'] },
+    { label: 'resolved', keywords: ['finally', 'forgave', 'accepted', 'healed', 'ended', 'peace'] },
+  ],
+  relationalFocus: [
+    { label: 'family', keywords: CONCEPTS.family },
+    { label: 'friends', keywords: ['friend', 'friends', 'neighbor', 'neighbour', 'classmate'] },
+    { label: 'partner', keywords: ['husband', 'wife', 'partner', 'boyfriend', 'girlfriend', 'love', 'kissed'] },
+    { label: 'community', keywords: ['town', 'village', 'church', 'people', 'crowd', 'strangers'] },
+  ],
+  temporalOrientation: [
+    { label: 'memory', keywords: ['remember', 'was', 'used', 'childhood', 'ago', 'once', 'years'] },
+    { label: 'present', keywords: ['now', 'today', 'still', 'every'] },
+    { label: 'future', keywords: ['will', 'hope', 'someday', 'tomorrow', 'future'] },
+  ],
+  spatialIntimacy: [
+    { label: 'private', keywords: CONCEPTS.home },
+    { label: 'public', keywords: ['street', 'city', 'school', 'park', 'station', 'market', 'hospital', 'church'] },
+    { label: 'natural', keywords: CONCEPTS.nature },
+  ],
+};
+
+const AXIS_FALLBACKS = {
+  narrativeState: 'unfinished',
+  relationalFocus: 'self',
+  temporalOrientation: 'memory',
+  spatialIntimacy: 'private',
+};
+
+// FNV-1a 32-bit
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function conceptsFor(tokens) {
+  return Object.keys(CONCEPTS).filter((concept) => tokens.some((token) => CONCEPTS[concept].includes(token)));
+}
+
+function countMatches(tokens, keywords) {
+  return tokens.reduce((count, token) => count + (keywords.includes(token) ? 1 : 0), 0);
+}
+
+function scoreMoodRules(tokens) {
+  return MOOD_RULES
+    .map((rule) => ({ rule, score: countMatches(tokens, rule.keywords) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function topKeywords(tokens, limit) {
+  const counts = new Map();
+  tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([token]) => token);
+}
+
+function buildAxis(tokens, rules, fallbackLabel) {
+  const entries = rules
+    .map((rule) => ({ label: rule.label, weight: countMatches(tokens, rule.keywords) }))
+    .filter((entry) => entry.weight > 0);
+  return entries.length ? entries : [{ label: fallbackLabel, weight: 1 }];
+}
+
+function matchExisting(mood, existingFamilies) {
+  const lower = mood.toLowerCase();
+  return existingFamilies.find((family) => String(family).toLowerCase() === lower) || null;
+}
+
+async function classify(text, existingFamilies = []) {
+  const tokens = tokenize(text);
+  const ranked = scoreMoodRules(tokens);
+  const best = ranked[0].score > 0 ? ranked[0].rule : MOOD_RULES.find((rule) => rule.mood === 'Reflection');
+  const mood = matchExisting(best.mood, existingFamilies) || best.mood;
+
+  const emotionalCore = ranked
+    .filter((entry) => entry.score > 0)
+    .slice(0, 2)
+    .map((entry) => ({ label: entry.rule.core, weight: entry.score }));
+
+  const themeVector = { emotionalCore: emotionalCore.length ? emotionalCore : [{ label: best.core, weight: 1 }] };
+  // Axis keywords include stop words ("was" marks a memory), so match them against every word
+  const axisTokens = tokenize(text, { keepStopWords: true });
+  Object.keys(AXIS_RULES).forEach((axis) => {
+    themeVector[axis] = buildAxis(axisTokens, AXIS_RULES[axis], AXIS_FALLBACKS[axis]);
+  });
+
+  const tags = [...conceptsFor(tokens), ...topKeywords(tokens, 5)].slice(0, 5);
+
+  return {
+    mood,
+    reasoning: `Local keyword rules matched "${best.mood}" (${ranked[0].score} keyword hits)`,
+    tags: tags.length ? tags : ['fragment'],
+    color: best.color,
+    themeVector,
+  };
+}
+
+async function embed(text) {
+  const tokens = tokenize(text);
+  const features = [...tokens, ...conceptsFor(tokens).map((concept) => `concept:${concept}`)];
+  for (let i = 0; i < tokens.length - 1; i += 1) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  if (!features.length) features.push(String(text || '').trim().toLowerCase() || 'empty');
+
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  features.forEach((feature) => {
+    const hash = hashString(feature);
+    const index = hash % EMBEDDING_DIMENSIONS;
+    const sign = hash & 0x80000000 ? -1 : 1;
+    // Concepts carry more weight so synonyms land close together
+    vector[index] += sign * (feature.startsWith('concept:') ? 2 : 1);
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map((value) => value / norm);
+}
+
+async function nameFamily(text, existingFamilies = []) {
+  const tokens = tokenize(text);
+  const taken = new Set(existingFamilies.map((family) => String(family).toLowerCase()));
+  const candidate = scoreMoodRules(tokens)
+    .filter((entry) => entry.score > 0)
+    .map((entry) => entry.rule.mood)
+    .find((mood) => !taken.has(mood.toLowerCase()));
+  if (candidate) return candidate;
+
+  const keyword = topKeywords(tokens, 1)[0];
+  if (!keyword) return null;
+  const name = `${keyword.charAt(0).toUpperCase()}${keyword.slice(1)}`;
+  return taken.has(name.toLowerCase()) ? null : name;
+}
+
+async function broadenMood(mood, existingFamilies = []) {
+  const tokens = tokenize(mood);
+  const ranked = scoreMoodRules(tokens);
+  if (!ranked[0].score) return mood;
+  return matchExisting(ranked[0].rule.mood, existingFamilies) || ranked[0].rule.mood;
+}
+
+// Words from the layout of a staged family sample rather than from the stories themselves
+const BRIEF_SCAFFOLD = new Set(['threads', 'running', 'family', 'stories', 'story', 'representative', 'edges', 'about']);
+
+async function generateBrief(kind, context) {
+  if (kind === 'family') {
+    const { mood, storySample, count } = context;
+    const keywords = topKeywords(tokenize(storySample).filter((token) => !BRIEF_SCAFFOLD.has(token)), 3);
+    return {
+      title: `${mood}: ${keywords.join(', ') || 'fragments'}`,
+      logline: `${count} voices circle the same feeling of ${mood.toLowerCase()}, each from a different room of memory.`,
+      visualStyle: `Slow handheld close-ups in natural light. Let the palette follow ${mood.toLowerCase()}.`,
+      soundscape: `Room tone and breath, with ${keywords[0] || 'quiet'} as a recurring motif.`,
+      directorNote: `Stay with small gestures; the stories are about ${keywords.join(', ') || 'what went unsaid'}.`,
+      keyMoments: keywords.length ? keywords.map((keyword) => `A scene built around ${keyword}`) : ['An empty room'],
+    };
+  }
+  if (kind === 'memory') {
+    const { text, mood, tags } = context;
+    const keywords = topKeywords(tokenize(text), 3);
+    return {
+      logline: `A ${String(mood).toLowerCase()} story about ${keywords.join(', ') || 'a remembered moment'}.`,
+      visualStyle: `Intimate framing, shallow focus, colours drawn from ${(tags || []).slice(0, 2).join(' and ') || 'the setting'}.`,
+      soundDesign: 'Diegetic sound only until the final beat.',
+      directorNote: 'Let silence carry the emotion; avoid explaining it.',
+      castingNote: 'Cast for stillness rather than range.',
+    };
+  }
+  throw new Error(`Unknown brief kind: ${kind}`);
+}
+
+async function summarize(texts, { mood, size }) {
+  const keywords = topKeywords(tokenize(texts.join(' ')), 4);
+  return `${size} ${String(mood).toLowerCase()} stories circling ${keywords.join(', ') || 'an unnamed moment'}.`;
+}
+
+module.exports = {
+  name: 'local',
+  metered: false, // Nothing leaves the process, so no quota applies
+  classify,
+  embed,
+  nameFamily,
+  broadenMood,
+  generateBrief,
+  summarize,
+  briefPromptVersions: { family: 'family-v2', memory: 'memory-v1' },
+};
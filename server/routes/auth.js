@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const { throttle } = require('../lib/throttle');
+const {
+  ROLE_RANK,
+  AuthError,
+  createUser,
+  login,
+  publicUser,
+  requireRole,
+} = require('../lib/auth');
+
+function sendAuthError(res, error, fallback) {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+}
+
+// Per IP, so guessing passwords or minting accounts can't be spread across sessions
+const loginThrottle = throttle({ name: 'login', windowMs: 15 * 60 * 1000, limit: 10, byIp: true });
+const registerThrottle = throttle({ name: 'register', windowMs: 60 * 60 * 1000, limit: 5, byIp: true });
+
+// LOGIN - body: { username, password } → { token, user }
+router.post('/login', loginThrottle, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(await login(username, password));
+  } catch (error) {
+    sendAuthError(res, error, "Login failed");
+  }
+});
+
+// REGISTER - open sign-up always creates a contributor
+router.post('/register', registerThrottle, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const user = await createUser({ username, password, role: 'contributor' });
+    console.log(`👤 New contributor: ${user.username}`);
+    res.status(201).json(await login(username, password));
+  } catch (error) {
+    sendAuthError(res, error, "Registration failed");
+  }
+});
+
+// CURRENT USER
+router.get('/me', requireRole('contributor'), (req, res) => {
+  res.json(req.user);
+});
+
+// SIGN OUT EVERYWHERE - invalidates every token issued to this account
+router.post('/logout', requireRole('contributor'), async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+    res.json({ ok: true });
+  } catch (error) {
+    sendAuthError(res, error, "Logout failed");
+  }
+});
+
+// USERS (admin)
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 });
+    res.json(users);
+  } catch (error) {
+    sendAuthError(res, error, "Failed to list users");
+  }
+});
+
+// body: { username, password, role }
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const user = await createUser({ username, password, role });
+    console.log(`👤 ${req.user.username} created ${user.role} ${user.username}`);
+    res.status(201).json(publicUser(user));
+  } catch (error) {
+    sendAuthError(res, error, "Failed to create user");
+  }
+});
+
+// body: { role?, disabled? } - either change signs the user out everywhere
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid user id" });
+    }
+    const { role, disabled } = req.body || {};
+    if (role !== undefined && !ROLE_RANK[role]) {
+      return res.status(400).json({ error: "Unknown role" });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: "disabled must be a boolean" });
+    }
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: "Admins cannot change their own account here" });
+    }
+
+    const update = { $inc: { tokenVersion: 1 }, $set: {} };
+    if (role !== undefined) update.$set.role = role;
+    if (disabled !== undefined) update.$set.disabled = disabled;
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json(user);
+  } catch (error) {
+    sendAuthError(res, error, "Failed to update user");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../lib/auth');
+const { throttle, retryAfterSeconds } = require('../lib/throttle');
+const {
+  BriefError,
+  resolveSubject,
+  createBrief,
+  latestBrief,
+  listBriefs,
+  getBrief,
+  toResponse,
+} = require('../lib/briefs');
+
+// Shares its budget with the brief routes under /api/memories
+const briefThrottle = throttle({ name: 'brief', windowMs: 10 * 60 * 1000, limit: 10 });
+
+router.use(requireRole('curator'));
+
+function sendBriefError(res, error, label) {
+  if (error instanceof BriefError) {
+    if (error.status === 429) {
+      const retryAfter = retryAfterSeconds(Date.now() + (error.retryAfterMs || 60 * 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: "Rate limit reached. Please wait a moment and try again.", retryAfter });
+    }
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} Error:`, error);
+  return res.status(500).json({ error: `${label} failed` });
+}
+
+// HISTORY - ?mood=<family> or ?memoryId=<id>, newest version first
+router.get('/', async (req, res) => {
+  try {
+    const subject = await resolveSubject(req.query);
+    const briefs = await listBriefs(subject, req.query.limit);
+    res.json(briefs.map((brief) => toResponse(brief, { cached: true })));
+  } catch (error) {
+    sendBriefError(res, error, "Brief history");
+  }
+});
+
+// LATEST - the cached brief, without spending quota
+router.get('/latest', async (req, res) => {
+  try {
+    const brief = await latestBrief(await resolveSubject(req.query));
+    if (!brief) return res.status(404).json({ error: "No brief yet" });
+    res.json(toResponse(brief, { cached: true }));
+  } catch (error) {
+    sendBriefError(res, error, "Brief lookup");
+  }
+});
+
+// REGENERATE - always a new version; body { mood } or { memoryId }
+router.post('/regenerate', briefThrottle, async (req, res) => {
+  try {
+    const brief = await createBrief(await resolveSubject(req.body), req.user.username);
+    res.status(201).json(toResponse(brief));
+  } catch (error) {
+    sendBriefError(res, error, "Brief generation");
+  }
+});
+
+// GET ONE VERSION
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(toResponse(await getBrief(req.params.id), { cached: true }));
+  } catch (error) {
+    sendBriefError(res, error, "Brief lookup");
+  }
+});
+
+module.exports = router;
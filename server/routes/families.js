@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Family = require('../models/Family');
+const FamilySuggestion = require('../models/FamilySuggestion');
+const {
+  PUBLIC_FIELDS,
+  FamilyError,
+  updateFamily,
+  mergeFamilies,
+  rebuildAllFamilyProfiles,
+} = require('../lib/families');
+const { analyzeFamilies, acceptSuggestion, dismissSuggestion } = require('../lib/familySuggestions');
+const { requireRole } = require('../lib/auth');
+
+function sendFamilyError(res, error, fallback) {
+  if (error instanceof FamilyError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  return res.status(500).json({ error: fallback });
+}
+
+// LIST FAMILIES (largest first)
+router.get('/', async (req, res) => {
+  try {
+    const families = await Family.find().select(PUBLIC_FIELDS).sort({ memberCount: -1, name: 1 });
+    res.json(families);
+  } catch (error) {
+    sendFamilyError(res, error, "Failed to list families");
+  }
+});
+
+// MERGE - body: { sourceIds: [...], targetId }
+router.post('/merge', requireRole('curator'), async (req, res) => {
+  try {
+    const { sourceIds, targetId } = req.body || {};
+    const result = await mergeFamilies(sourceIds, targetId);
+    console.log(`🔗 Merged ${result.mergedFamilies.join(', ')} → ${result.family?.name}`);
+    res.json(result);
+  } catch (error) {
+    sendFamilyError(res, error, "Merge failed");
+  }
+});
+
+// REBUILD PROFILES - recompute every family's running sums from its members
+router.post('/rebuild', requireRole('admin'), async (req, res) => {
+  try {
+    const rebuilt = await rebuildAllFamilyProfiles();
+    console.log(`🧮 Rebuilt ${rebuilt} family profiles`);
+    res.json({ rebuilt });
+  } catch (error) {
+    sendFamilyError(res, error, "Profile rebuild failed");
+  }
+});
+
+// MERGE / SPLIT SUGGESTIONS - ?status=pending|accepted|dismissed (default pending)
+router.get('/suggestions', requireRole('curator'), async (req, res) => {
+  try {
+    const status = ['pending', 'accepted', 'dismissed'].includes(req.query.status) ? req.query.status : 'pending';
+    const suggestions = await FamilySuggestion.find({ status })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.json(suggestions);
+  } catch (error) {
+    sendFamilyError(res, error, "Failed to list suggestions");
+  }
+});
+
+// Run the analysis now instead of waiting for the scheduled job
+router.post('/suggestions/analyze', requireRole('curator'), async (req, res) => {
+  try {
+    const created = await analyzeFamilies();
+    res.json({ created });
+  } catch (error) {
+    sendFamilyError(res, error, "Family analysis failed");
+  }
+});
+
+// ACCEPT - merge body: { targetName? }; split body: { name } for the new family
+router.post('/suggestions/:id/accept', requireRole('curator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid suggestion id" });
+    }
+    const { targetName, name } = req.body || {};
+    const suggestion = await acceptSuggestion(req.params.id, { targetName, name });
+    res.json(suggestion);
+  } catch (error) {
+    sendFamilyError(res, error, "Failed to accept suggestion");
+  }
+});
+
+router.post('/suggestions/:id/dismiss', requireRole('curator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid suggestion id" });
+    }
+    const suggestion = await dismissSuggestion(req.params.id);
+    res.json(suggestion);
+  } catch (error) {
+    sendFamilyError(res, error, "Failed to dismiss suggestion");
+  }
+});
+
+// GET ONE
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid family id" });
+    }
+    const family = await Family.findById(req.params.id).select(PUBLIC_FIELDS);
+    if (!family) return res.status(404).json({ error: "Family not found" });
+    res.json(family);
+  } catch (error) {
+    sendFamilyError(res, error, "Failed to load family");
+  }
+});
+
+// RENAME / EDIT - body: { name?, color?, description? }
+router.patch('/:id', requireRole('curator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid family id" });
+    }
+    const { name, color, description } = req.body || {};
+    const family = await updateFamily(req.params.id, { name, color, description });
+    res.json(await Family.findById(family._id).select(PUBLIC_FIELDS));
+  } catch (error) {
+    sendFamilyError(res, error, "Family update failed");
+  }
+});
+
+module.exports = router;
@@ -1,91 +1,151 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const Memory = require('../models/Memory');
+const Link = require('../models/Link');
+const { requireRole } = require('../lib/auth');
+const {
+  LinkError,
+  queueLinkRebuild,
+  previewLinkGraph,
+  createCuratorLink,
+  annotateCuratorLink,
+  deleteCuratorLink,
+} = require('../lib/linkGraph');
+const {
+  LinkRulesError,
+  validateLinkRules,
+  getLinkRules,
+  describeLinkRules,
+  saveLinkRules,
+} = require('../lib/linkRules');
 
-function buildIdeaLinks(memories) {
-  const links = [];
-  const contradictions = [
-    ['joy', 'grief'],
-    ['love', 'anger'],
-    ['hope', 'despair'],
-    ['fear', 'relief'],
-    ['light', 'dark'],
-    ['home', 'loss']
-  ];
-  const absenceTags = new Set(['unsaid', 'silence', 'absence', 'missing', 'hollow']);
-  for (let i = 0; i < memories.length; i += 1) {
-    for (let j = i + 1; j < memories.length; j += 1) {
-      const a = memories[i];
-      const b = memories[j];
-      if (!a || !b) continue;
-      let score = 0;
-      let reason = '';
-      const aMood = String(a.mood || '').toLowerCase();
-      const bMood = String(b.mood || '').toLowerCase();
-      const sameMood = aMood && bMood && aMood === bMood;
-      const hasContradiction = contradictions.some(
-        ([left, right]) => (aMood.includes(left) && bMood.includes(right)) || (aMood.includes(right) && bMood.includes(left))
-      );
-      if (hasContradiction) {
-        score += 2;
-        reason = 'shared contradiction';
-      }
-      if (sameMood) {
-        score += 2;
-        reason = reason || 'shared mood';
-      }
-      const aCore = (a.themeVector?.emotionalCore || []).map((entry) => String(entry.label || '').toLowerCase());
-      const bCore = (b.themeVector?.emotionalCore || []).map((entry) => String(entry.label || '').toLowerCase());
-      const sharedCore = aCore.filter((label) => label && bCore.includes(label));
-      if (sharedCore.length) {
-        score += 2;
-        reason = reason || 'shared emotional core';
-      }
-      const sharedTags = (a.tags || []).filter((tag) => (b.tags || []).includes(tag));
-      if (sharedTags.length) {
-        score += Math.min(sharedTags.length, 2);
-        reason = reason || 'shared image';
-      }
-      const aAbsence = (a.tags || []).some((tag) => absenceTags.has(String(tag).toLowerCase()));
-      const bAbsence = (b.tags || []).some((tag) => absenceTags.has(String(tag).toLowerCase()));
-      if (aAbsence && bAbsence) {
-        score += 1;
-        reason = reason || 'shared absence';
-      }
-      if (sameMood && score < 2) {
-        links.push({
-          id: `family:${a._id}-${b._id}`,
-          fromId: String(a._id),
-          toId: String(b._id),
-          type: 'family',
-          score: 1,
-          reason: 'shared family'
-        });
-        continue;
-      }
-      if (score < 2) continue;
-      links.push({
-        id: `idea:${a._id}-${b._id}`,
-        fromId: String(a._id),
-        toId: String(b._id),
-        type: sameMood ? 'family' : 'idea',
-        score,
-        reason
-      });
-    }
-  }
-  links.sort((x, y) => y.score - x.score);
-  return links.slice(0, 140);
+const DEFAULT_LINK_LIMIT = 1000;
+const MAX_LINK_LIMIT = 5000;
+
+function toResponse(link) {
+  return {
+    id: `${link.type}:${link.from}-${link.to}`,
+    linkId: String(link._id),
+    fromId: String(link.from),
+    toId: String(link.to),
+    type: link.type,
+    origin: link.origin || 'auto',
+    score: link.score,
+    reason: link.reason,
+    note: link.note || '',
+    createdBy: link.createdBy || null
+  };
+}
+
+function sendLinkError(res, error, label) {
+  if (error instanceof LinkError) return res.status(error.status).json({ error: error.message });
+  console.error(`${label}:`, error);
+  return res.status(500).json({ error: `${label} failed` });
 }
 
+// GET LINKS (strongest first), only between memories that are both visible. A rejected memory's
+// curated links stay stored and come back if it is approved later.
+// Query: memoryId (either end), type (comma-separated), minScore, limit
 router.get('/', async (req, res) => {
   try {
-    const memories = await Memory.find().sort({ createdAt: -1 }).limit(200);
-    const ideaLinks = buildIdeaLinks(memories);
-    res.json(ideaLinks);
+    // Links touching a hidden memory carry hidden: true (see Link.hidden)
+    const filter = { hidden: { $ne: true } };
+    if (req.query.memoryId !== undefined) {
+      if (!mongoose.isValidObjectId(req.query.memoryId)) {
+        return res.status(400).json({ error: "Invalid memory id" });
+      }
+      filter.$or = [{ from: req.query.memoryId }, { to: req.query.memoryId }];
+    }
+    const types = typeof req.query.type === 'string'
+      ? req.query.type.split(',').map((type) => type.trim()).filter(Boolean)
+      : [];
+    if (types.length) filter.type = { $in: types };
+    if (req.query.minScore !== undefined) {
+      const minScore = Number(req.query.minScore);
+      if (!Number.isFinite(minScore)) return res.status(400).json({ error: "minScore must be a number" });
+      filter.score = { $gte: minScore };
+    }
+
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) && requestedLimit > 0
+      ? Math.min(requestedLimit, MAX_LINK_LIMIT)
+      : DEFAULT_LINK_LIMIT;
+
+    const links = await Link.find(filter).sort({ score: -1, createdAt: -1 }).limit(limit).lean();
+    res.json(links.map(toResponse));
   } catch (err) {
     res.status(500).json({ error: 'Link generation failed' });
   }
 });
 
+// GET SCORING RULES
+router.get('/config', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await describeLinkRules());
+  } catch (error) {
+    console.error("Link Config Error:", error);
+    res.status(500).json({ error: "Failed to load link rules" });
+  }
+});
+
+// UPDATE SCORING RULES - partial update; ?dryRun=true previews the link set without saving
+router.put('/config', requireRole('admin'), async (req, res) => {
+  try {
+    const rules = validateLinkRules(req.body, await getLinkRules());
+    if (req.query.dryRun === 'true') {
+      return res.json({ dryRun: true, rules, preview: await previewLinkGraph(rules) });
+    }
+    await saveLinkRules(rules, req.user.username);
+    const job = await queueLinkRebuild();
+    res.json({ rules, rebuildQueued: true, alreadyQueued: !job });
+  } catch (error) {
+    if (error instanceof LinkRulesError) {
+      return res.status(error.status).json({ error: error.message, problems: error.problems });
+    }
+    console.error("Link Config Error:", error);
+    res.status(500).json({ error: "Failed to update link rules" });
+  }
+});
+
+// CREATE - curated bond, or directional "fromId answers toId"
+router.post('/', requireRole('curator'), async (req, res) => {
+  try {
+    const link = await createCuratorLink(req.body || {}, req.user.username);
+    res.status(201).json(toResponse(link));
+  } catch (error) {
+    sendLinkError(res, error, "Link creation");
+  }
+});
+
+// ANNOTATE
+router.patch('/:id', requireRole('curator'), async (req, res) => {
+  try {
+    const link = await annotateCuratorLink(req.params.id, req.body?.note);
+    res.json(toResponse(link));
+  } catch (error) {
+    sendLinkError(res, error, "Link update");
+  }
+});
+
+// DELETE - curator links only; automatic arcs follow the memories
+router.delete('/:id', requireRole('curator'), async (req, res) => {
+  try {
+    const link = await deleteCuratorLink(req.params.id);
+    res.json({ message: "Link deleted", linkId: String(link._id) });
+  } catch (error) {
+    sendLinkError(res, error, "Link deletion");
+  }
+});
+
+// REBUILD - recompute the whole graph in the background (after imports or scoring changes)
+router.post('/rebuild', requireRole('admin'), async (req, res) => {
+  try {
+    const job = await queueLinkRebuild();
+    res.status(202).json({ queued: true, alreadyQueued: !job });
+  } catch (error) {
+    console.error("Link Rebuild Error:", error);
+    res.status(500).json({ error: "Link rebuild failed" });
+  }
+});
+
 module.exports = router;
@@ -1,32 +1,80 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Memory = require('../models/Memory');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ClassificationEvent = require('../models/ClassificationEvent');
+const Brief = require('../models/Brief');
+const Response = require('../models/Response');
+const Family = require('../models/Family');
 const cosineSimilarity = require('cosine-similarity');
+const ai = require('../providers');
+const { tokenize } = require('../lib/text');
+const {
+  normalizeThemeVector,
+  isValidEmbedding,
+  themeSimilarity,
+  tagSimilarity,
+  buildFamilyStats,
+  scoreFamilyMatch,
+} = require('../lib/similarity');
+const jobQueue = require('../lib/jobQueue');
+const embeddingIndex = require('../lib/embeddingIndex');
+const { addMemberToFamily, removeMemberFromFamily, loadFamilyProfiles } = require('../lib/families');
+const { linkMemory, unlinkMemory } = require('../lib/linkGraph');
+const { projectMemory, queueProjection, getProjectionStatus } = require('../lib/projection');
+const { VISIBLE_FILTER, isVisible, screenSubmission, initialStatus } = require('../lib/moderation');
+const { OFFLINE_FILTER, encodeCursor, decodeCursor, buildMemoryFilter } = require('../lib/memoryQuery');
+const { redactPII } = require('../lib/pii');
+const { ROLE_RANK, requireRole, allowSubmission } = require('../lib/auth');
+const { throttle, retryAfterSeconds } = require('../lib/throttle');
+const quota = require('../lib/quota');
+const { ResponseError, createResponse } = require('../lib/responses');
+const { BriefError, resolveSubject, getOrCreateBrief, toResponse: toBriefResponse } = require('../lib/briefs');
+const {
+  VoiceNoteError,
+  findAttachableVoiceNote,
+  claimVoiceNote,
+  releaseVoiceNote,
+  playbackUrl,
+  voiceNoteIdFromUrl,
+  deleteMemoryVoiceNotes,
+} = require('../lib/voiceNotes');
+const {
+  TranscriptionError,
+  createVoiceDraft,
+  findDraft,
+  listDrafts,
+  reviseTranscript,
+  toDraftResponse,
+} = require('../lib/transcription');
+
+// AI QUOTA (see lib/quota.js) - priority is 'live', 'brief' or 'background'
+const { isQuotaError } = quota;
+
+async function checkRateLimit(tier, priority) {
+  const { granted } = await quota.reserve(tier, priority);
+  return granted;
+}
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-flash-latest" });
-const embeddingModel = genAI.getGenerativeModel({ model: "text-embedding-004" });
-
-// RATE LIMIT TRACKING
-let requestCount = 0;
-let rateLimitResetTime = Date.now() + 60000; // Reset every minute
-
-function checkRateLimit() {
-  const now = Date.now();
-  if (now >= rateLimitResetTime) {
-    requestCount = 0;
-    rateLimitResetTime = now + 60000;
-  }
-  
-  if (requestCount >= 14) { // Stay under 15/min limit
-    return false;
-  }
-  
-  requestCount++;
-  return true;
+// 429 for the shared AI quota, with Retry-After pointing at the next window
+function sendQuotaExhausted(res, retryAfterMs = 60 * 1000) {
+  const retryAfter = retryAfterSeconds(Date.now() + retryAfterMs);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: "Rate limit reached. Please wait a moment and try again.", retryAfter });
 }
 
+// PER-CLIENT BUDGETS (see lib/throttle.js)
+const ingestThrottle = throttle({ name: 'ingest', windowMs: 60 * 1000, limit: 10, anonymousLimit: 4 });
+const briefThrottle = throttle({ name: 'brief', windowMs: 10 * 60 * 1000, limit: 10 });
+// Contributor accounts are free to create, so only curators get the larger search budget
+const searchThrottle = throttle({
+  name: 'search',
+  windowMs: 60 * 1000,
+  limit: 30,
+  anonymousLimit: 10,
+  trusted: (req) => isCurator(req.user)
+});
+
 // OFFLINE MODE FALLBACK
 const OFFLINE_MOODS = [
   { name: 'Memory', color: '#9CA3AF' },
@@ -56,15 +104,6 @@ function getOfflineMood() {
   };
 }
 
-// HELPER: Clean JSON from AI
-function cleanAIResponse(text) {
-  let clean = text.replace(/```json/g, '').replace(/```/g, '').trim();
-  const start = clean.indexOf('{');
-  const end = clean.lastIndexOf('}');
-  if (start === -1 || end === -1) throw new Error("No JSON found");
-  return clean.substring(start, end + 1);
-}
-
 function normalizeAnalysis(analysis) {
   const moodRaw = analysis?.mood || analysis?.emotion || analysis?.Mood || analysis?.Emotion;
   const mood = typeof moodRaw === 'string' && moodRaw.trim() ? moodRaw.trim() : 'Fragment';
@@ -77,62 +116,18 @@ function normalizeAnalysis(analysis) {
   return { mood, tags, color, themeVector };
 }
 
-function normalizeAxis(entries, fallbackLabel) {
-  if (!Array.isArray(entries)) {
-    return [{ label: fallbackLabel, weight: 1 }];
-  }
-  const cleaned = entries
-    .map((entry) => {
-      const label = typeof entry?.label === 'string' ? entry.label.trim() : '';
-      const weight = typeof entry?.weight === 'number' && Number.isFinite(entry.weight) ? entry.weight : 0;
-      return label ? { label, weight: Math.max(0, weight) } : null;
-    })
-    .filter(Boolean)
-    .slice(0, 4);
-
-  const total = cleaned.reduce((sum, item) => sum + item.weight, 0);
-  if (!cleaned.length || total <= 0) {
-    return [{ label: fallbackLabel, weight: 1 }];
-  }
-  return cleaned.map((item) => ({ label: item.label, weight: item.weight / total }));
-}
-
-function normalizeThemeVector(themeVector) {
-  return {
-    emotionalCore: normalizeAxis(themeVector?.emotionalCore, 'memory'),
-    narrativeState: normalizeAxis(themeVector?.narrativeState, 'unfinished'),
-    relationalFocus: normalizeAxis(themeVector?.relationalFocus, 'self'),
-    temporalOrientation: normalizeAxis(themeVector?.temporalOrientation, 'memory'),
-    spatialIntimacy: normalizeAxis(themeVector?.spatialIntimacy, 'private'),
-  };
-}
-
-function normalizeTags(tags) {
-  if (!Array.isArray(tags)) return [];
-  return tags
-    .map((tag) => String(tag || '').trim().toLowerCase())
-    .filter(Boolean)
-    .slice(0, 12);
-}
-
-function isValidEmbedding(embedding) {
-  if (!Array.isArray(embedding) || embedding.length < 8) return false;
-  const energy = embedding.reduce((sum, value) => sum + Math.abs(value || 0), 0);
-  return energy > 0;
-}
-
-async function embedText(text) {
-  if (!checkRateLimit()) {
+async function embedText(text, priority = 'live') {
+  if (!(await checkRateLimit('embedding', priority))) {
     console.warn("⚠️ Rate limit reached, skipping embedding");
     return [0, 0, 0];
   }
   
   try {
-    const result = await embeddingModel.embedContent(text);
-    const values = result?.embedding?.values;
+    const values = await ai.embed(text);
     if (isValidEmbedding(values)) return values;
   } catch (error) {
-    if (error.message?.includes('quota') || error.message?.includes('limit')) {
+    if (isQuotaError(error)) {
+      await quota.markExhausted('embedding');
       console.warn("⚠️ Rate limit hit during embedding:", error.message);
       return [0, 0, 0];
     }
@@ -141,164 +136,17 @@ async function embedText(text) {
   return [0, 0, 0];
 }
 
-function axisToMap(axis) {
-  const map = new Map();
-  if (!Array.isArray(axis)) return map;
-  axis.forEach((entry) => {
-    const label = typeof entry?.label === 'string' ? entry.label.trim().toLowerCase() : '';
-    const weight = typeof entry?.weight === 'number' && Number.isFinite(entry.weight) ? entry.weight : 0;
-    if (!label || weight <= 0) return;
-    map.set(label, (map.get(label) || 0) + weight);
-  });
-  return map;
-}
-
-function normalizeAxisFromMap(map) {
-  const entries = Array.from(map.entries()).map(([label, weight]) => ({ label, weight }));
-  return normalizeAxis(entries, 'memory');
-}
-
-function axisSimilarity(leftAxis, rightAxis) {
-  const leftMap = axisToMap(leftAxis);
-  const rightMap = axisToMap(rightAxis);
-  if (!leftMap.size || !rightMap.size) return 0;
-  let score = 0;
-  leftMap.forEach((weight, label) => {
-    const rightWeight = rightMap.get(label) || 0;
-    score += weight * rightWeight;
-  });
-  return score;
-}
-
-function themeSimilarity(leftVector, rightVector) {
-  const axes = ['emotionalCore', 'narrativeState', 'relationalFocus', 'temporalOrientation', 'spatialIntimacy'];
-  const scores = axes.map((axis) => axisSimilarity(leftVector?.[axis], rightVector?.[axis]));
-  const total = scores.reduce((sum, value) => sum + value, 0);
-  return scores.length ? total / scores.length : 0;
-}
-
-function tagSimilarity(leftTags, rightTags) {
-  const left = new Set(normalizeTags(leftTags));
-  const right = new Set(normalizeTags(rightTags));
-  if (!left.size || !right.size) return 0;
-  let intersection = 0;
-  left.forEach((tag) => {
-    if (right.has(tag)) intersection += 1;
-  });
-  const union = left.size + right.size - intersection;
-  return union ? intersection / union : 0;
-}
-
-function buildFamilyStats(memories) {
-  const families = new Map();
-  memories.forEach((memory) => {
-    const mood = typeof memory?.mood === 'string' ? memory.mood.trim() : '';
-    if (!mood) return;
-    if (!families.has(mood)) {
-      families.set(mood, {
-        mood,
-        embeddingSum: [],
-        embeddingCount: 0,
-        themeMaps: {
-          emotionalCore: new Map(),
-          narrativeState: new Map(),
-          relationalFocus: new Map(),
-          temporalOrientation: new Map(),
-          spatialIntimacy: new Map(),
-        },
-        tagCounts: new Map(),
-      });
-    }
-    const stats = families.get(mood);
-    const embedding = Array.isArray(memory.embedding) ? memory.embedding : null;
-    if (isValidEmbedding(embedding)) {
-      if (!stats.embeddingSum.length) {
-        stats.embeddingSum = embedding.map((value) => value || 0);
-      } else {
-        stats.embeddingSum = stats.embeddingSum.map((value, index) => value + (embedding[index] || 0));
-      }
-      stats.embeddingCount += 1;
-    }
-    const themeVector = memory.themeVector || {};
-    Object.keys(stats.themeMaps).forEach((axis) => {
-      const axisEntries = Array.isArray(themeVector[axis]) ? themeVector[axis] : [];
-      axisEntries.forEach((entry) => {
-        const label = typeof entry?.label === 'string' ? entry.label.trim().toLowerCase() : '';
-        const weight = typeof entry?.weight === 'number' && Number.isFinite(entry.weight) ? entry.weight : 0;
-        if (!label || weight <= 0) return;
-        const map = stats.themeMaps[axis];
-        map.set(label, (map.get(label) || 0) + weight);
-      });
-    });
-    normalizeTags(memory.tags).forEach((tag) => {
-      stats.tagCounts.set(tag, (stats.tagCounts.get(tag) || 0) + 1);
-    });
-  });
-
-  const familyStats = [];
-  families.forEach((stats) => {
-    const embedding =
-      stats.embeddingCount > 0
-        ? stats.embeddingSum.map((value) => value / stats.embeddingCount)
-        : null;
-    const themeVector = {};
-    Object.keys(stats.themeMaps).forEach((axis) => {
-      themeVector[axis] = normalizeAxisFromMap(stats.themeMaps[axis]);
-    });
-    const tags = Array.from(stats.tagCounts.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 12)
-      .map(([tag]) => tag);
-    familyStats.push({ mood: stats.mood, embedding, themeVector, tags });
-  });
-
-  return familyStats;
-}
-
-function scoreFamilyMatch(candidate, family) {
-  const hasEmbedding = isValidEmbedding(candidate.embedding) && isValidEmbedding(family.embedding);
-  const embeddingScore = hasEmbedding ? cosineSimilarity(candidate.embedding, family.embedding) : 0;
-  const themeScore = themeSimilarity(candidate.themeVector, family.themeVector);
-  const tagScore = tagSimilarity(candidate.tags, family.tags);
-
-  let weights = { embedding: 0.6, theme: 0.25, tags: 0.15 };
-  if (!hasEmbedding) {
-    weights = { embedding: 0, theme: 0.65, tags: 0.35 };
-  }
-  const totalWeight = weights.embedding + weights.theme + weights.tags || 1;
-  const score =
-    (embeddingScore * weights.embedding + themeScore * weights.theme + tagScore * weights.tags) / totalWeight;
-
-  return { score, components: { embeddingScore, themeScore, tagScore, hasEmbedding } };
-}
-
-async function proposeNewFamilyName(text, existingFamilies) {
-  if (!checkRateLimit()) {
+async function proposeNewFamilyName(text, existingFamilies, priority = 'live') {
+  if (!(await checkRateLimit('generation', priority))) {
     console.warn("⚠️ Rate limit reached, using offline mode");
     return null;
   }
   
-  const prompt = `You are naming a new emotional family for a personal story.
-
-Existing families:
-${existingFamilies.map((family) => `- ${family}`).join('\n')}
-
-Story:
-"${text}"
-
-Return ONLY valid JSON:
-{
-  "mood": "New family name that is distinct from the existing families"
-}`;
-
   try {
-    const result = await model.generateContent(prompt);
-    const jsonStr = cleanAIResponse(result.response.text());
-    const parsed = JSON.parse(jsonStr);
-    const mood = typeof parsed?.mood === 'string' ? parsed.mood.trim() : '';
-    return mood || null;
+    return await ai.nameFamily(text, existingFamilies);
   } catch (error) {
-    if (error.message?.includes('quota') || error.message?.includes('limit')) {
+    if (isQuotaError(error)) {
+      await quota.markExhausted('generation');
       console.warn("⚠️ Rate limit hit during family naming");
       return null;
     }
@@ -307,41 +155,19 @@ Return ONLY valid JSON:
   }
 }
 
-async function broadenMoodName(mood, existingFamilies) {
+async function broadenMoodName(mood, existingFamilies, priority = 'live') {
   if (!mood || typeof mood !== 'string') return null;
-  if (!checkRateLimit()) {
+  if (!(await checkRateLimit('generation', priority))) {
     console.warn("⚠️ Rate limit reached, skipping mood broadening");
     return null;
   }
   
-  const prompt = `You are refining an emotional family name to be broader and more archetypal.
-
-Current family name:
-"${mood}"
-
-Existing families:
-${existingFamilies.map((family) => `- ${family}`).join('\n')}
-
-Rules:
-- Return a broader concept (1-3 words).
-- Avoid overly specific phrases, verbs, or event-like titles.
-- Prefer timeless emotional categories (e.g., "Longing", "Grief", "Quiet Joy", "Tension", "Relief").
-- If the current name is already broad enough, return it unchanged.
-
-Return ONLY valid JSON:
-{
-  "mood": "Broader family name"
-}`;
-
   try {
-    const result = await model.generateContent(prompt);
-    const jsonStr = cleanAIResponse(result.response.text());
-    const parsed = JSON.parse(jsonStr);
-    const nextMood = typeof parsed?.mood === 'string' ? parsed.mood.trim() : '';
-    if (!nextMood) return null;
-    return nextMood;
+    const nextMood = await ai.broadenMood(mood, existingFamilies);
+    return nextMood || null;
   } catch (error) {
-    if (error.message?.includes('quota') || error.message?.includes('limit')) {
+    if (isQuotaError(error)) {
+      await quota.markExhausted('generation');
       console.warn("⚠️ Rate limit hit during mood broadening");
       return null;
     }
@@ -362,566 +188,921 @@ function normalizeMetadata(metadata) {
   };
 }
 
-function normalizeLinkPayload(payload) {
-  if (!payload) return null;
-  if (typeof payload === 'string') {
-    return { url: payload.trim(), label: 'Response', type: 'External', notes: '' };
-  }
-  const url = typeof payload.url === 'string' ? payload.url.trim() : '';
-  const label = typeof payload.label === 'string' && payload.label.trim() ? payload.label.trim() : 'Response';
-  const type = typeof payload.type === 'string' && payload.type.trim() ? payload.type.trim() : 'External';
-  const notes = typeof payload.notes === 'string' ? payload.notes.trim() : '';
-  if (!url) return null;
-  return { url, label, type, notes, createdAt: new Date() };
+// Arcs are derived data: a failed update is logged and repaired by the next relink or rebuild
+async function refreshLinks(memory) {
+  try {
+    await linkMemory(memory);
+  } catch (error) {
+    console.error("Link graph error:", error);
+  }
 }
 
-// GET ALL
+// Same for the memory's place in the sky: the next projection refit rewrites it anyway
+async function refreshPosition(memory) {
+  try {
+    await projectMemory(memory);
+  } catch (error) {
+    console.error("Projection error:", error);
+  }
+}
+
+// Score a classified memory against every family profile, best first
+function scoreFamilies(candidate, familyStats) {
+  return familyStats
+    .map((family) => {
+      const scored = scoreFamilyMatch(candidate, family);
+      return { mood: family.mood, score: scored.score, components: scored.components };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// CLASSIFICATION HISTORY (GET /:id/history)
+const HISTORY_SCORE_LIMIT = 10;
+
+async function recordClassification(memory, details) {
+  try {
+    await ClassificationEvent.create({
+      ...details,
+      memory: memory._id,
+      provider: ai.name,
+      scores: (details.scores || []).slice(0, HISTORY_SCORE_LIMIT)
+    });
+  } catch (error) {
+    // The memory is already saved; a missing audit entry shouldn't fail the request
+    console.error("Classification history error:", error);
+  }
+}
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// What anyone may see of a memory in the list. Curators also get who submitted it and the
+// moderation, PII, transcription and embedding bookkeeping.
+const PUBLIC_MEMORY_FIELDS = 'text voiceNote voiceNoteUrl metadata location mood tags color themeVector pinned status position3d createdAt';
+const CURATOR_MEMORY_FIELDS = `${PUBLIC_MEMORY_FIELDS} submittedBy moderation pii transcription embedding`;
+
+function isCurator(user) {
+  return (ROLE_RANK[user?.role] || 0) >= ROLE_RANK.curator;
+}
+
+// GET ALL (paginated, newest first)
+// Query: limit, cursor, mood, tags (comma-separated), from, to, offline=true|false
 router.get('/', async (req, res) => {
   try {
-    const memories = await Memory.find().sort({ createdAt: -1 }).limit(100);
-    res.json(memories);
+    const { filter, error } = buildMemoryFilter(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined) return res.status(400).json({ error: "Invalid cursor" });
+
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) && requestedLimit > 0
+      ? Math.min(requestedLimit, MAX_PAGE_SIZE)
+      : DEFAULT_PAGE_SIZE;
+
+    const pageFilter = cursor
+      ? {
+          $and: [
+            filter,
+            {
+              $or: [
+                { createdAt: { $lt: cursor.createdAt } },
+                { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+              ]
+            }
+          ]
+        }
+      : filter;
+
+    const [memories, total] = await Promise.all([
+      Memory.find(pageFilter)
+        .select(isCurator(req.user) ? CURATOR_MEMORY_FIELDS : PUBLIC_MEMORY_FIELDS)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1),
+      Memory.countDocuments(filter)
+    ]);
+
+    const hasMore = memories.length > limit;
+    const page = hasMore ? memories.slice(0, limit) : memories;
+
+    res.json({
+      memories: page,
+      total,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
   } catch (err) {
     res.status(500).json({ error: "Server Error" });
   }
 });
 
+// SEARCH HELPERS
+// Ranking reads lib/embeddingIndex.js; only the results are fetched, without their embeddings
+const RESULT_FIELDS = 'text mood tags color themeVector location createdAt';
+function lexicalScore(queryTokens, memory) {
+  if (!queryTokens.length) return 0;
+  const textTokens = new Set(tokenize(memory.text));
+  const tagTokens = new Set(tokenize((memory.tags || []).join(' ')));
+  const moodTokens = new Set(tokenize(memory.mood));
+  let score = 0;
+  queryTokens.forEach((token) => {
+    if (moodTokens.has(token)) score += 2;
+    else if (tagTokens.has(token)) score += 1.5;
+    else if (textTokens.has(token)) score += 1;
+  });
+  return score / (queryTokens.length * 2);
+}
+
+function rankLexically(query, memories) {
+  const queryTokens = tokenize(query);
+  return memories
+    .map((memory) => {
+      const score = lexicalScore(queryTokens, memory);
+      return { memory, score, components: { lexicalScore: score } };
+    })
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Embeds the query, then borrows a theme vector and tags from its nearest neighbours
+// so the blend matches the one used for family matching.
+function rankSemantically(query, queryEmbedding, memories) {
+  const withCosine = memories
+    .filter((memory) => isValidEmbedding(memory.embedding) && memory.embedding.length === queryEmbedding.length)
+    .map((memory) => ({ memory, embeddingScore: cosineSimilarity(queryEmbedding, memory.embedding) }))
+    .sort((a, b) => b.embeddingScore - a.embeddingScore);
+
+  const neighbours = withCosine.slice(0, 5).map((entry) => ({ ...entry.memory, mood: 'query' }));
+  const profile = buildFamilyStats(neighbours)[0];
+  const queryProfile = {
+    themeVector: profile?.themeVector,
+    tags: [...tokenize(query), ...(profile?.tags || [])]
+  };
+
+  return withCosine
+    .map(({ memory, embeddingScore }) => {
+      const themeScore = queryProfile.themeVector ? themeSimilarity(queryProfile.themeVector, memory.themeVector) : 0;
+      const tagScore = tagSimilarity(queryProfile.tags, memory.tags);
+      const score = embeddingScore * 0.7 + themeScore * 0.2 + tagScore * 0.1;
+      return { memory, score, components: { embeddingScore, themeScore, tagScore } };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// Swaps the top ranked index entries for their stored documents, dropping any deleted meanwhile
+async function loadResults(ranked, limit) {
+  const top = ranked.slice(0, limit);
+  if (!top.length) return [];
+  const found = await Memory.find({ _id: { $in: top.map((entry) => entry.memory._id) }, ...VISIBLE_FILTER })
+    .select(RESULT_FIELDS)
+    .lean();
+  const byId = new Map(found.map((memory) => [String(memory._id), memory]));
+  const missing = top.filter((entry) => !byId.has(String(entry.memory._id)));
+  if (missing.length) {
+    embeddingIndex.forget(missing.map((entry) => entry.memory._id));
+    return loadResults(ranked.filter((entry) => !missing.includes(entry)), limit);
+  }
+  return top.map(({ memory, score, components }) => ({ memory: byId.get(String(memory._id)), score, components }));
+}
+
+// SEMANTIC SEARCH - falls back to lexical ranking when embeddings are unavailable
+router.get('/search', searchThrottle, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) return res.status(400).json({ error: "Query is required" });
+
+    const requestedLimit = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requestedLimit) && requestedLimit > 0 ? Math.min(requestedLimit, 100) : 20;
+
+    const memories = await embeddingIndex.visibleEntries();
+    // Visitors and contributors draw on a smaller share of the embedding quota; once it is spent they rank lexically
+    const queryEmbedding = await embedText(query, isCurator(req.user) ? 'live' : 'anonymous');
+    const mode = isValidEmbedding(queryEmbedding) ? 'semantic' : 'lexical';
+    const ranked = mode === 'semantic'
+      ? rankSemantically(query, queryEmbedding, memories)
+      : rankLexically(query, memories);
+
+    res.json({
+      query,
+      mode,
+      results: await loadResults(ranked, limit)
+    });
+  } catch (err) {
+    console.error("Search Error:", err);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
 // GET EXISTING MOOD FAMILIES
 router.get('/families', async (req, res) => {
   try {
-    const families = await Memory.distinct('mood');
+    const families = await Memory.distinct('mood', VISIBLE_FILTER);
     res.json(families);
   } catch (err) {
     res.status(500).json({ error: "Server Error" });
   }
 });
 
-// POST (INGEST) - CONTEXT-AWARE CLASSIFICATION WITH RATE LIMIT HANDLING
-router.post('/', async (req, res) => {
-  try {
-    const { text, voiceNoteUrl, metadata } = req.body;
-    if (typeof text !== 'string' || !text.trim()) {
-      return res.status(400).json({ error: "Text is required" });
+// CLASSIFICATION - AI mood and embedding, then the family the story joins. Falls back to an
+// offline mood when the quota is spent; the reprocessing worker retries those later.
+async function classifyText(text) {
+  // GET EXISTING MOOD FAMILIES
+  const existingFamilies = await Memory.distinct('mood', VISIBLE_FILTER);
+  console.log("📚 Existing families:", existingFamilies);
+
+  let analysis;
+  let offlineMode = false;
+
+  // CHECK RATE LIMIT BEFORE AI CALL
+  if (!(await checkRateLimit('generation', 'live'))) {
+    console.warn("🔴 OFFLINE MODE: Rate limit reached");
+    analysis = getOfflineMood();
+    offlineMode = true;
+  } else {
+    try {
+      // CONTEXT-AWARE CLASSIFICATION
+      analysis = await ai.classify(text, existingFamilies);
+      console.log("🎨 AI Classification:", analysis.mood);
+      console.log("💭 Reasoning:", analysis.reasoning);
+    } catch (parseError) {
+      if (isQuotaError(parseError)) {
+        await quota.markExhausted('generation');
+        console.warn("🔴 OFFLINE MODE: Rate limit hit during classification");
+        analysis = getOfflineMood();
+        offlineMode = true;
+      } else {
+        console.error("AI Parse Error:", parseError);
+        analysis = { mood: "Memory", tags: ["Raw", "Unsorted"], color: "#CCCCCC" };
+      }
     }
-    console.log("📥 Ingesting:", text.substring(0, 50) + "...");
+  }
 
-    // GET EXISTING MOOD FAMILIES
-    const existingFamilies = await Memory.distinct('mood');
-    console.log("📚 Existing families:", existingFamilies);
+  const normalized = normalizeAnalysis(analysis);
+  const themeVector = normalized.themeVector || normalizeThemeVector(analysis?.themeVector);
+  const embedding = await embedText(text);
+
+  let finalMood = normalized.mood;
+  let isNewFamily = false;
+  let clusterDecision = { decidedBy: offlineMode ? 'offline' : 'ai', bestMatch: null, bestScore: null };
+  let scoredFamilies = [];
+  let thresholds = null;
+  let broadenedFrom = null;
+
+  if (!offlineMode && existingFamilies.length > 0) {
+    const familyStats = await loadFamilyProfiles(existingFamilies);
+    scoredFamilies = scoreFamilies({ embedding, themeVector, tags: normalized.tags }, familyStats);
+
+    const best = scoredFamilies[0];
+    const second = scoredFamilies[1];
+    const aiScore = scoredFamilies.find((entry) => entry.mood === normalized.mood);
+    const hasEmbedding = isValidEmbedding(embedding) && Boolean(best?.components?.hasEmbedding);
+    const threshold = hasEmbedding ? 0.62 : 0.52;
+    const strongThreshold = hasEmbedding ? 0.72 : 0.6;
+    const margin = 0.08;
+    const bestMargin = best ? best.score - (second?.score || 0) : 0;
+    thresholds = { threshold, strongThreshold, margin, hasEmbedding };
+
+    if (best && best.score >= threshold && (bestMargin >= margin || best.score >= strongThreshold)) {
+      finalMood = best.mood;
+      isNewFamily = false;
+      clusterDecision = { decidedBy: 'similarity', bestMatch: best.mood, bestScore: best.score };
+    } else if (!existingFamilies.includes(normalized.mood)) {
+      finalMood = normalized.mood;
+      isNewFamily = true;
+      clusterDecision = { decidedBy: 'ai-new', bestMatch: best?.mood || null, bestScore: best?.score || null };
+    } else if (aiScore && aiScore.score >= threshold - 0.05) {
+      finalMood = normalized.mood;
+      isNewFamily = false;
+      clusterDecision = { decidedBy: 'ai-existing', bestMatch: best?.mood || null, bestScore: best?.score || null };
+    } else {
+      const suggestedMood = await proposeNewFamilyName(text, existingFamilies);
+      finalMood = suggestedMood || normalized.mood;
+      isNewFamily = !existingFamilies.includes(finalMood);
+      clusterDecision = { decidedBy: 'ai-override', bestMatch: best?.mood || null, bestScore: best?.score || null };
+    }
 
-    let analysis;
-    let offlineMode = false;
+    console.log("🧭 Cluster decision:", clusterDecision);
+    if (best) {
+      console.log("🔍 Best match:", best.mood, "score", best.score.toFixed(3));
+    }
+  }
 
-    // CHECK RATE LIMIT BEFORE AI CALL
-    if (!checkRateLimit()) {
-      console.warn("🔴 OFFLINE MODE: Rate limit reached");
-      analysis = getOfflineMood();
-      offlineMode = true;
-    } else {
-      // CONTEXT-AWARE PROMPT
-      const prompt = `Analyze this personal story for emotional classification: "${text}"
-
-${existingFamilies.length > 0 ? `
-EXISTING MOOD FAMILIES in the archive:
-${existingFamilies.map(f => `- ${f}`).join('\n')}
-
-First, check if this story fits into one of the EXISTING families above. Only create a NEW family name if:
-1. The story's emotion is distinctly different from all existing families
-2. The nuance cannot be captured by any existing family
-3. It represents a genuinely new emotional territory
-
-If it fits an existing family, use that exact name.
-` : `
-This is one of the first stories in the archive. Create an evocative mood family name.
-`}
-
-CLASSIFICATION GUIDELINES:
-- Mood family names should be poetic but clear (e.g., "Grief", "Quiet Joy", "Longing", "Relief")
-- Be specific enough to be meaningful but broad enough to hold multiple stories
-- Avoid overly narrow classifications that would only fit one story
-- Think about emotional resonance and thematic kinship
-
-Return ONLY valid JSON:
-{
-  "mood": "Family name (existing or new)",
-  "reasoning": "Brief explanation of why this family fits or why a new one was needed",
-  "tags": ["keyword1", "keyword2", "keyword3"],
-  "color": "#HEXCODE",
-  "themeVector": {
-    "emotionalCore": [{"label": "primary_emotion", "weight": 0.7}, {"label": "secondary_emotion", "weight": 0.3}],
-    "narrativeState": [{"label": "unfinished", "weight": 0.6}, {"label": "resolved", "weight": 0.4}],
-    "relationalFocus": [{"label": "self", "weight": 0.5}, {"label": "family", "weight": 0.5}],
-    "temporalOrientation": [{"label": "memory", "weight": 0.8}, {"label": "present", "weight": 0.2}],
-    "spatialIntimacy": [{"label": "private", "weight": 0.7}, {"label": "public", "weight": 0.3}]
-  }
-}`;
-
-      try {
-        const result = await model.generateContent(prompt);
-        const rawText = result.response.text();
-        
-        const jsonStr = cleanAIResponse(rawText);
-        analysis = JSON.parse(jsonStr);
-        console.log("🎨 AI Classification:", analysis.mood);
-        console.log("💭 Reasoning:", analysis.reasoning);
-      } catch (parseError) {
-        if (parseError.message?.includes('quota') || parseError.message?.includes('limit')) {
-          console.warn("🔴 OFFLINE MODE: Rate limit hit during classification");
-          analysis = getOfflineMood();
-          offlineMode = true;
-        } else {
-          console.error("AI Parse Error:", parseError);
-          analysis = { mood: "Memory", tags: ["Raw", "Unsorted"], color: "#CCCCCC" };
-        }
-      }
+  if (!offlineMode && isNewFamily) {
+    const broadened = await broadenMoodName(finalMood, existingFamilies);
+    if (broadened && broadened !== finalMood) {
+      broadenedFrom = finalMood;
+      finalMood = broadened;
+      isNewFamily = !existingFamilies.includes(finalMood);
     }
+  }
 
-    const normalized = normalizeAnalysis(analysis);
-    const themeVector = normalized.themeVector || normalizeThemeVector(analysis?.themeVector);
-    const normalizedMetadata = normalizeMetadata(metadata);
-    const embedding = await embedText(text);
+  if (!existingFamilies.length) {
+    isNewFamily = true;
+  }
 
-    let finalMood = normalized.mood;
-    let isNewFamily = false;
-    let clusterDecision = { decidedBy: offlineMode ? 'offline' : 'ai', bestMatch: null, bestScore: null };
-
-    if (!offlineMode && existingFamilies.length > 0) {
-      const sampleMemories = await Memory.find({ mood: { $in: existingFamilies } })
-        .select('mood embedding themeVector tags')
-        .sort({ createdAt: -1 })
-        .limit(400);
-      const familyStats = buildFamilyStats(sampleMemories);
-      const candidate = { embedding, themeVector, tags: normalized.tags };
-      const scoredFamilies = familyStats
-        .map((family) => {
-          const scored = scoreFamilyMatch(candidate, family);
-          return {
-            mood: family.mood,
-            score: scored.score,
-            components: scored.components,
-          };
-        })
-        .sort((a, b) => b.score - a.score);
+  return {
+    analysis,
+    normalized,
+    themeVector,
+    embedding,
+    finalMood,
+    isNewFamily,
+    offlineMode,
+    clusterDecision,
+    scoredFamilies,
+    thresholds,
+    broadenedFrom
+  };
+}
 
-      const best = scoredFamilies[0];
-      const second = scoredFamilies[1];
-      const aiScore = scoredFamilies.find((entry) => entry.mood === normalized.mood);
-      const hasEmbedding = isValidEmbedding(embedding) && Boolean(best?.components?.hasEmbedding);
-      const threshold = hasEmbedding ? 0.62 : 0.52;
-      const strongThreshold = hasEmbedding ? 0.72 : 0.6;
-      const margin = 0.08;
-      const bestMargin = best ? best.score - (second?.score || 0) : 0;
+// POST (INGEST) - CONTEXT-AWARE CLASSIFICATION WITH RATE LIMIT HANDLING
+router.post('/', allowSubmission, ingestThrottle, async (req, res) => {
+  // The voice note is claimed for this id before classification and handed back if the save fails
+  const memoryId = new mongoose.Types.ObjectId();
+  let claimedNote = null;
+  let saved = false;
+  try {
+    const { text: rawText, voiceNoteId, voiceNoteToken, voiceNoteUrl, metadata } = req.body;
+    const hasText = typeof rawText === 'string' && Boolean(rawText.trim());
 
-      if (best && best.score >= threshold && (bestMargin >= margin || best.score >= strongThreshold)) {
-        finalMood = best.mood;
-        isNewFamily = false;
-        clusterDecision = { decidedBy: 'similarity', bestMatch: best.mood, bestScore: best.score };
-      } else if (!existingFamilies.includes(normalized.mood)) {
-        finalMood = normalized.mood;
-        isNewFamily = true;
-        clusterDecision = { decidedBy: 'ai-new', bestMatch: best?.mood || null, bestScore: best?.score || null };
-      } else if (aiScore && aiScore.score >= threshold - 0.05) {
-        finalMood = normalized.mood;
-        isNewFamily = false;
-        clusterDecision = { decidedBy: 'ai-existing', bestMatch: best?.mood || null, bestScore: best?.score || null };
-      } else {
-        const suggestedMood = await proposeNewFamilyName(text, existingFamilies);
-        finalMood = suggestedMood || normalized.mood;
-        isNewFamily = !existingFamilies.includes(finalMood);
-        clusterDecision = { decidedBy: 'ai-override', bestMatch: best?.mood || null, bestScore: best?.score || null };
+    // VOICE NOTE - uploaded beforehand through POST /api/voice-notes
+    const voiceNoteRef = voiceNoteId || voiceNoteIdFromUrl(voiceNoteUrl);
+    if (!voiceNoteRef && typeof voiceNoteUrl === 'string' && voiceNoteUrl.trim()) {
+      return res.status(400).json({ error: "Upload the recording to /api/voice-notes and send its voiceNoteId" });
+    }
+    if (!hasText && !voiceNoteRef) {
+      return res.status(400).json({ error: "Text is required" });
+    }
+    // The transcript has to be reviewed later, so voice-only memories need an account to come back to
+    if (!hasText && !req.user) {
+      return res.status(401).json({ error: "Sign in to submit a voice note without text" });
+    }
+    let voiceNote = null;
+    try {
+      if (voiceNoteRef) voiceNote = await findAttachableVoiceNote(voiceNoteRef, req.user, voiceNoteToken);
+
+      // VOICE ONLY - held as a draft until it is transcribed and the contributor has reviewed the text
+      if (!hasText) {
+        const draft = await createVoiceDraft(voiceNote, req.user, {
+          placeholder: getOfflineMood(),
+          metadata: normalizeMetadata(metadata)
+        });
+        console.log("🎙️ Voice draft queued for transcription:", draft._id);
+        return res.status(202).json(toDraftResponse(draft));
       }
 
-      console.log("🧭 Cluster decision:", clusterDecision);
-      if (best) {
-        console.log("🔍 Best match:", best.mood, "score", best.score.toFixed(3));
-      }
+      if (voiceNote) claimedNote = await claimVoiceNote(voiceNote, memoryId);
+    } catch (error) {
+      if (error instanceof VoiceNoteError) return res.status(error.status).json({ error: error.message });
+      throw error;
     }
 
-    if (!offlineMode && isNewFamily) {
-      const broadened = await broadenMoodName(finalMood, existingFamilies);
-      if (broadened && broadened !== finalMood) {
-        finalMood = broadened;
-        isNewFamily = !existingFamilies.includes(finalMood);
-      }
+    // Everything below - prompts, embeddings, the stored public text - sees the redacted version
+    const { text, types: piiTypes } = redactPII(rawText);
+    if (piiTypes.length) {
+      console.log("🕶️ Redacted:", piiTypes.join(', '));
     }
+    console.log("📥 Ingesting:", text.substring(0, 50) + "...");
+
+    // PRE-SCREEN - flagged submissions wait for a moderator whatever the approval setting
+    const screening = await screenSubmission(text);
+    if (screening.flagged) {
+      console.warn("🚩 Flagged for review:", screening.reasons.join(', '));
+    }
+
+    // CLASSIFY
+    const {
+      analysis,
+      normalized,
+      themeVector,
+      embedding,
+      finalMood,
+      isNewFamily,
+      offlineMode,
+      clusterDecision,
+      scoredFamilies,
+      thresholds,
+      broadenedFrom
+    } = await classifyText(text);
+    const normalizedMetadata = normalizeMetadata(metadata);
 
     const newMemory = new Memory({
+      _id: memoryId,
       text,
-      voiceNoteUrl: typeof voiceNoteUrl === 'string' ? voiceNoteUrl.trim() : '',
+      originalText: rawText,
+      pii: { types: piiTypes, checkedAt: new Date() },
+      voiceNoteUrl: voiceNote ? playbackUrl(voiceNote) : '',
+      voiceNote: voiceNote?._id || null,
       metadata: normalizedMetadata,
       location: "The Strata",
       mood: finalMood,
       tags: normalized.tags,
       color: normalized.color,
       themeVector,
-      embedding
+      embedding,
+      status: initialStatus(screening),
+      moderation: { flagged: screening.flagged, score: screening.score, reasons: screening.reasons },
+      submittedBy: req.user?.username || null
     });
 
     await newMemory.save();
-    
-    // Check if this created a new family
-    if (!existingFamilies.length) {
-      isNewFamily = true;
+    saved = true;
+    await addMemberToFamily(newMemory, { color: normalized.color });
+    await refreshLinks(newMemory);
+    await refreshPosition(newMemory);
+
+    if (offlineMode) {
+      // Retry the real classification once the quota window has moved on
+      await enqueueReprocess(newMemory._id, new Date(Date.now() + REPROCESS_RETRY_DELAY));
     }
+
+    const reasoning = analysis.reasoning || 'Classified in offline mode due to rate limiting';
+    await recordClassification(newMemory, {
+      source: 'ingest',
+      decidedBy: clusterDecision.decidedBy,
+      aiMood: normalized.mood,
+      finalMood,
+      broadenedFrom,
+      isNewFamily,
+      offlineMode,
+      reasoning,
+      scores: scoredFamilies,
+      thresholds
+    });
     
     if (offlineMode) {
       console.log("🔴 OFFLINE MODE:", finalMood);
     } else {
       console.log(isNewFamily ? "🌟 NEW FAMILY CREATED:" : "✅ Added to existing family:", finalMood);
     }
+    if (newMemory.status === 'pending') {
+      console.log("⏳ Held for moderation:", newMemory._id);
+    }
     
+    const { originalText, ...saved } = newMemory.toObject();
     res.json({
-      ...newMemory.toObject(),
+      ...saved,
       isNewFamily,
-      reasoning: analysis.reasoning || 'Classified in offline mode due to rate limiting',
+      reasoning,
       clusterDecision,
       offlineMode
     });
 
   } catch (error) {
     console.error("Server Error:", error);
+    if (claimedNote && !saved) {
+      await releaseVoiceNote(claimedNote, memoryId).catch((releaseError) => console.error("Voice note release error:", releaseError));
+    }
     res.status(500).json({ error: "Ingestion Failed" });
   }
 });
 
-// FILM BRIEF FOR MOOD FAMILY
-router.post('/family/brief', async (req, res) => {
+// TRANSCRIPT DRAFTS - voice-only memories waiting for their contributor (lib/transcription.js)
+function sendTranscriptionError(res, error, label) {
+  if (error instanceof TranscriptionError) return res.status(error.status).json({ error: error.message });
+  console.error(`${label} Error:`, error);
+  return res.status(500).json({ error: `${label} failed` });
+}
+
+// The reviewed text is classified and embedded like a typed submission before the memory leaves
+// draft, so it never joins a family profile or the public archive with its placeholder mood
+async function publishDraft(memory) {
+  const screening = await screenSubmission(memory.text, { excludeId: memory._id });
+  if (screening.flagged) {
+    console.warn("🚩 Flagged for review:", screening.reasons.join(', '));
+  }
+  const {
+    analysis,
+    normalized,
+    themeVector,
+    embedding,
+    finalMood,
+    isNewFamily,
+    offlineMode,
+    clusterDecision,
+    scoredFamilies,
+    thresholds,
+    broadenedFrom
+  } = await classifyText(memory.text);
+
+  memory.mood = finalMood;
+  memory.tags = normalized.tags;
+  memory.color = normalized.color;
+  memory.themeVector = themeVector;
+  memory.embedding = embedding;
+  memory.status = initialStatus(screening);
+  memory.moderation = { flagged: screening.flagged, score: screening.score, reasons: screening.reasons };
+  memory.transcription.status = 'reviewed';
+  memory.transcription.reviewedAt = new Date();
+  await memory.save();
+  await addMemberToFamily(memory, { color: normalized.color });
+  await refreshLinks(memory);
+  await refreshPosition(memory);
+
+  if (offlineMode) {
+    await enqueueReprocess(memory._id, new Date(Date.now() + REPROCESS_RETRY_DELAY));
+  }
+  await recordClassification(memory, {
+    source: 'transcript',
+    decidedBy: clusterDecision.decidedBy,
+    aiMood: normalized.mood,
+    finalMood,
+    broadenedFrom,
+    isNewFamily,
+    offlineMode,
+    reasoning: analysis.reasoning || 'Classified in offline mode due to rate limiting',
+    scores: scoredFamilies,
+    thresholds
+  });
+}
+
+// GET DRAFTS - your own; curators may add ?all=true
+router.get('/drafts', requireRole('contributor'), async (req, res) => {
   try {
-    const { mood } = req.body;
-    if (!mood) return res.status(400).json({ error: "Mood family required" });
+    const drafts = await listDrafts(req.user, { all: req.query.all === 'true' });
+    res.json(drafts.map(toDraftResponse));
+  } catch (error) {
+    sendTranscriptionError(res, error, "Draft listing");
+  }
+});
 
-    const memories = await Memory.find({ mood }).limit(10);
-    if (!memories.length) {
-      return res.status(404).json({ error: "No memories found for this mood" });
+// REVIEW TRANSCRIPT - body: { text, publish }; without publish the draft is only saved
+router.patch('/:id/transcript', requireRole('contributor'), async (req, res) => {
+  try {
+    const memory = await findDraft(req.params.id, req.user);
+    await reviseTranscript(memory, req.body?.text);
+    if (req.body?.publish === true) {
+      await publishDraft(memory);
+      console.log(memory.status === 'pending' ? "⏳ Held for moderation:" : "📣 Published transcript:", memory._id);
     }
+    res.json(toDraftResponse(memory));
+  } catch (error) {
+    sendTranscriptionError(res, error, "Transcript review");
+  }
+});
 
-    if (!checkRateLimit()) {
-      return res.status(429).json({ 
-        error: "Rate limit reached. Please wait a moment and try again." 
-      });
+// BRIEFS (stored and versioned in lib/briefs.js; history lives under /api/briefs)
+// The latest brief is returned from storage unless the body asks to { regenerate: true }
+async function sendBrief(req, res, subjectInput, label) {
+  try {
+    const subject = await resolveSubject(subjectInput);
+    const { brief, cached } = await getOrCreateBrief(subject, req.user.username, {
+      regenerate: req.body?.regenerate === true
+    });
+    res.json(toBriefResponse(brief, { cached }));
+  } catch (error) {
+    if (error instanceof BriefError) {
+      if (error.status === 429) return sendQuotaExhausted(res, error.retryAfterMs || undefined);
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error(`${label} Error:`, error);
+    res.status(500).json({ error: "Brief generation failed" });
+  }
+}
 
-    const storySample = memories.slice(0, 3).map(m => m.text).join(' ... ');
-    
-    const prompt = `You are a creative director analyzing a collection of personal stories classified as "${mood}".
+// FILM BRIEF FOR MOOD FAMILY
+router.post('/family/brief', requireRole('curator'), briefThrottle, async (req, res) => {
+  const { mood } = req.body || {};
+  if (!mood) return res.status(400).json({ error: "Mood family required" });
+  await sendBrief(req, res, { mood }, "Family Brief");
+});
 
-Sample stories from this emotional family:
-"${storySample}"
+// COMPETITION BRIEF (for individual memory)
+router.post('/competition/brief', requireRole('curator'), briefThrottle, async (req, res) => {
+  const { memoryId } = req.body || {};
+  if (!memoryId) return res.status(400).json({ error: "memoryId required" });
+  await sendBrief(req, res, { memoryId }, "Competition Brief");
+});
 
-Total stories in this family: ${memories.length}
+// ECHOES - nearest memories to a given memory, scored with the family-match blend
+router.get('/:id/similar', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid memory id" });
+    }
+    const memory = await Memory.findById(req.params.id).select('mood tags themeVector embedding status').lean();
+    if (!memory || !isVisible(memory)) return res.status(404).json({ error: "Memory not found" });
 
-Create a filmmaker's brief for a short film exploring this emotional territory.
+    const requestedK = Number.parseInt(req.query.k, 10);
+    const k = Number.isFinite(requestedK) && requestedK > 0 ? Math.min(requestedK, 50) : 6;
 
-Return ONLY valid JSON:
-{
-  "title": "Suggested film title",
-  "logline": "One sentence premise that captures the essence",
-  "visualStyle": "Cinematography and lighting direction (2-3 sentences)",
-  "soundscape": "Audio design suggestions",
-  "directorNote": "Artistic guidance for capturing this emotion authentically",
-  "keyMoments": ["Scene idea 1", "Scene idea 2", "Scene idea 3"]
-}`;
+    const others = (await embeddingIndex.visibleEntries()).filter((other) => !other._id.equals(memory._id));
+    const echoes = others
+      .map((other) => {
+        const scored = scoreFamilyMatch(memory, other);
+        return { memory: other, score: scored.score, components: scored.components };
+      })
+      .sort((a, b) => b.score - a.score);
 
-    const result = await model.generateContent(prompt);
-    const jsonStr = cleanAIResponse(result.response.text());
-    const brief = JSON.parse(jsonStr);
-    
-    res.json({ 
-      mood, 
-      count: memories.length,
-      ...brief 
-    });
-    
-  } catch (e) {
-    if (e.message?.includes('quota') || e.message?.includes('limit')) {
-      return res.status(429).json({ 
-        error: "Rate limit reached. Please wait a moment and try again." 
-      });
-    }
-    console.error("Family Brief Error:", e);
-    res.status(500).json({ error: "Brief generation failed" });
+    res.json({ memoryId: memory._id, results: await loadResults(echoes, k) });
+  } catch (error) {
+    console.error("Echoes Error:", error);
+    res.status(500).json({ error: "Echo lookup failed" });
   }
 });
 
-// COMPETITION BRIEF (for individual memory)
-router.post('/competition/brief', async (req, res) => {
+// ATTACH RESPONSE LINK - kept for older clients; responses now live under /api/responses
+router.post('/:id/links', requireRole('curator'), async (req, res) => {
+  try {
+    const payload = typeof req.body === 'string' ? { url: req.body } : req.body;
+    const response = await createResponse(req.params.id, payload || {}, req.user);
+    res.status(201).json(response);
+  } catch (error) {
+    if (error instanceof ResponseError) return res.status(error.status).json({ error: error.message });
+    console.error("Response Link Error:", error);
+    res.status(500).json({ error: "Link Failed" });
+  }
+});
+
+// CURATOR REASSIGN - body: { mood, pinned? } (pinned defaults to true; { pinned: false } alone unpins)
+router.patch('/:id/family', requireRole('curator'), async (req, res) => {
   try {
-    const { memoryId } = req.body;
-    const memory = await Memory.findById(memoryId);
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid memory id" });
+    }
+    const { mood, pinned } = req.body || {};
+    const nextMood = typeof mood === 'string' ? mood.trim() : '';
+    if (mood !== undefined && !nextMood) {
+      return res.status(400).json({ error: "Mood cannot be empty" });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: "pinned must be a boolean" });
+    }
+    if (!nextMood && pinned === undefined) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const memory = await Memory.findById(req.params.id);
     if (!memory) return res.status(404).json({ error: "Memory not found" });
-    
-    if (!checkRateLimit()) {
-      return res.status(429).json({ 
-        error: "Rate limit reached. Please wait a moment and try again." 
-      });
+
+    const counted = memory.toObject();
+    const family = nextMood ? await Family.findOne({ name: nextMood }).select('color') : null;
+    const isPinned = pinned === undefined ? true : pinned;
+
+    if (nextMood) {
+      memory.mood = nextMood;
+      if (family) memory.color = family.color;
+      // A hand-sorted memory is no longer waiting on the offline queue
+      memory.tags = memory.tags.filter((tag) => !/^(offline|auto-classified)$/i.test(tag));
     }
-    
-    const prompt = `Create a filmmaker's brief for this personal story: "${memory.text}"
-
-Mood Family: ${memory.mood}
-Tags: ${memory.tags.join(', ')}
-
-Return ONLY valid JSON:
-{
-  "logline": "One sentence story summary",
-  "visualStyle": "Camera angles, lighting, color palette (2-3 sentences)",
-  "soundDesign": "Audio atmosphere and music suggestions",
-  "directorNote": "Key artistic advice for authentic emotional portrayal",
-  "castingNote": "Character guidance"
-}`;
-    
-    const result = await model.generateContent(prompt);
-    const jsonStr = cleanAIResponse(result.response.text());
-    const brief = JSON.parse(jsonStr);
-    
-    res.json(brief);
-    
-  } catch (e) {
-    if (e.message?.includes('quota') || e.message?.includes('limit')) {
-      return res.status(429).json({ 
-        error: "Rate limit reached. Please wait a moment and try again." 
+    memory.pinned = isPinned;
+    memory.pinnedAt = isPinned ? new Date() : null;
+
+    // Pinning changes the memory's weight, so its contribution is re-applied either way
+    await removeMemberFromFamily(counted);
+    try {
+      await memory.save();
+    } catch (error) {
+      await addMemberToFamily(counted);
+      throw error;
+    }
+    await addMemberToFamily(memory, { color: memory.color });
+    await refreshLinks(memory);
+
+    if (nextMood) {
+      await recordClassification(memory, {
+        source: 'curator',
+        decidedBy: 'curator',
+        actor: req.user.username,
+        previousMood: counted.mood,
+        finalMood: nextMood,
+        isNewFamily: !family,
+        reasoning: isPinned ? 'Reassigned and pinned by a curator' : 'Reassigned by a curator'
       });
     }
-    console.error("Competition Brief Error:", e);
-    res.status(500).json({ error: "Brief Failed" });
+
+    console.log(`📌 ${counted.mood} → ${memory.mood}${isPinned ? ' (pinned)' : ''}`);
+    res.json(memory);
+  } catch (error) {
+    console.error("Reassign Error:", error);
+    res.status(500).json({ error: "Reassign Failed" });
   }
 });
 
-// ATTACH RESPONSE LINK
-router.post('/:id/links', async (req, res) => {
+// CLASSIFICATION HISTORY - oldest first, so the list reads as the memory's story
+router.get('/:id/history', requireRole('curator'), async (req, res) => {
   try {
-    const linkPayload = normalizeLinkPayload(req.body);
-    if (!linkPayload) return res.status(400).json({ error: "Valid link required" });
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid memory id" });
+    }
+    const memory = await Memory.findById(req.params.id).select('mood');
+    if (!memory) return res.status(404).json({ error: "Memory not found" });
 
-    const memory = await Memory.findByIdAndUpdate(
-      req.params.id,
-      { $addToSet: { links: linkPayload } },
-      { new: true }
-    );
+    const events = await ClassificationEvent.find({ memory: memory._id }).sort({ createdAt: 1 });
+    res.json({ memoryId: memory._id, mood: memory.mood, events });
+  } catch (error) {
+    console.error("History Error:", error);
+    res.status(500).json({ error: "History lookup failed" });
+  }
+});
 
+// DELETE - also takes the memory's contribution out of its family profile
+router.delete('/:id', requireRole('curator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid memory id" });
+    }
+    const memory = await Memory.findByIdAndDelete(req.params.id);
     if (!memory) return res.status(404).json({ error: "Memory not found" });
-    res.json(memory);
+    embeddingIndex.forget(memory._id);
+    await removeMemberFromFamily(memory);
+    await unlinkMemory(memory._id);
+    await ClassificationEvent.deleteMany({ memory: memory._id });
+    await Brief.deleteMany({ memory: memory._id });
+    await Response.deleteMany({ memory: memory._id });
+    await deleteMemoryVoiceNotes(memory._id);
+    res.json({ deleted: memory._id });
   } catch (error) {
-    res.status(500).json({ error: "Link Failed" });
+    console.error("Delete Error:", error);
+    res.status(500).json({ error: "Delete Failed" });
   }
 });
 
-// BACKGROUND RE-CLASSIFICATION WORKER
-let isReprocessing = false;
-let reprocessStats = {
-  lastRun: null,
-  totalProcessed: 0,
-  successCount: 0,
-  failCount: 0,
-  remainingOffline: 0
-};
+// BACKGROUND RE-CLASSIFICATION WORKER (jobs live in the durable queue, see lib/jobQueue.js)
+const REPROCESS_JOB = 'reprocess-memory';
+const REPROCESS_RETRY_DELAY = 60 * 1000;
+
+function enqueueReprocess(memoryId, runAt) {
+  return jobQueue.enqueue(REPROCESS_JOB, { memoryId: String(memoryId) }, {
+    dedupeKey: `${REPROCESS_JOB}:${memoryId}`,
+    runAt
+  });
+}
+
+async function reprocessMemory(job) {
+  const memory = await Memory.findById(job.payload.memoryId);
+  // Deleted, already reclassified, or pinned by a curator since the job was queued (drafts wait for review)
+  if (!memory || !(await Memory.exists({ _id: memory._id, pinned: { $ne: true }, status: { $ne: 'draft' }, ...OFFLINE_FILTER }))) return;
 
-async function reprocessOfflineMemories() {
-  if (isReprocessing) {
-    console.log("⏳ Reprocessing already in progress, skipping...");
-    return;
+  // Background work only gets the share of the quota that live submissions leave free
+  const reservation = await quota.reserve('generation', 'background');
+  if (!reservation.granted) {
+    throw new jobQueue.DeferJobError("Rate limit reached during reprocessing", reservation.retryAfterMs);
   }
 
+  await redactStoredMemory(memory);
+  console.log(`🔄 Reprocessing: ${memory.text.substring(0, 40)}...`);
+
   try {
-    isReprocessing = true;
-    reprocessStats.lastRun = new Date();
-    
-    // Find memories with 'offline' OR 'auto-classified' tags (case-insensitive)
-    const offlineMemories = await Memory.find({ 
-      $or: [
-        { tags: { $regex: /^offline$/i } },
-        { tags: { $regex: /^auto-classified$/i } }
-      ]
-    })
-      .sort({ createdAt: 1 }) // Oldest first
-      .limit(10);
-
-    reprocessStats.remainingOffline = await Memory.countDocuments({
-      $or: [
-        { tags: { $regex: /^offline$/i } },
-        { tags: { $regex: /^auto-classified$/i } }
-      ]
-    });
+    // Get existing families for context
+    const existingFamilies = await Memory.distinct('mood', VISIBLE_FILTER);
 
-    if (!offlineMemories.length) {
-      console.log("✅ No offline memories to reprocess");
-      return;
-    }
+    // Re-run AI classification
+    const analysis = await ai.classify(memory.text, existingFamilies);
 
-    console.log(`🔄 Found ${offlineMemories.length} offline memories to reprocess (${reprocessStats.remainingOffline} total remaining)`);
+    const normalized = normalizeAnalysis(analysis);
+    const themeVector = normalized.themeVector || normalizeThemeVector(analysis?.themeVector);
+    
+    // Re-generate embedding
+    const embedding = await embedText(memory.text, 'background');
 
-    for (const memory of offlineMemories) {
-      // Check rate limit before each memory
-      if (!checkRateLimit()) {
-        console.log("⚠️ Rate limit reached during reprocessing, will continue next cycle");
-        break;
-      }
+    // Take the memory out of its current family so it isn't scored against itself
+    const counted = memory.toObject();
+    await removeMemberFromFamily(counted);
 
-      try {
-        console.log(`🔄 Reprocessing: ${memory.text.substring(0, 40)}...`);
-
-        // Get existing families for context
-        const existingFamilies = await Memory.distinct('mood');
-
-        // Re-run AI classification
-        const prompt = `Analyze this personal story for emotional classification: "${memory.text}"
-
-${existingFamilies.length > 0 ? `
-EXISTING MOOD FAMILIES in the archive:
-${existingFamilies.map(f => `- ${f}`).join('\n')}
-
-First, check if this story fits into one of the EXISTING families above. Only create a NEW family name if:
-1. The story's emotion is distinctly different from all existing families
-2. The nuance cannot be captured by any existing family
-3. It represents a genuinely new emotional territory
-
-If it fits an existing family, use that exact name.
-` : `
-This is one of the first stories in the archive. Create an evocative mood family name.
-`}
-
-CLASSIFICATION GUIDELINES:
-- Mood family names should be poetic but clear (e.g., "Grief", "Quiet Joy", "Longing", "Relief")
-- Be specific enough to be meaningful but broad enough to hold multiple stories
-- Avoid overly narrow classifications that would only fit one story
-- Think about emotional resonance and thematic kinship
-
-Return ONLY valid JSON:
-{
-  "mood": "Family name (existing or new)",
-  "reasoning": "Brief explanation of why this family fits or why a new one was needed",
-  "tags": ["keyword1", "keyword2", "keyword3"],
-  "color": "#HEXCODE",
-  "themeVector": {
-    "emotionalCore": [{"label": "primary_emotion", "weight": 0.7}, {"label": "secondary_emotion", "weight": 0.3}],
-    "narrativeState": [{"label": "unfinished", "weight": 0.6}, {"label": "resolved", "weight": 0.4}],
-    "relationalFocus": [{"label": "self", "weight": 0.5}, {"label": "family", "weight": 0.5}],
-    "temporalOrientation": [{"label": "memory", "weight": 0.8}, {"label": "present", "weight": 0.2}],
-    "spatialIntimacy": [{"label": "private", "weight": 0.7}, {"label": "public", "weight": 0.3}]
-  }
-}`;
-
-        const result = await model.generateContent(prompt);
-        const rawText = result.response.text();
-        const jsonStr = cleanAIResponse(rawText);
-        const analysis = JSON.parse(jsonStr);
-
-        const normalized = normalizeAnalysis(analysis);
-        const themeVector = normalized.themeVector || normalizeThemeVector(analysis?.themeVector);
-        
-        // Re-generate embedding
-        const embedding = await embedText(memory.text);
-
-        // Perform clustering analysis
-        let finalMood = normalized.mood;
-        const sampleMemories = await Memory.find({ 
-          mood: { $in: existingFamilies },
-          _id: { $ne: memory._id } // Exclude current memory
-        })
-          .select('mood embedding themeVector tags')
-          .sort({ createdAt: -1 })
-          .limit(400);
-
-        if (sampleMemories.length > 0) {
-          const familyStats = buildFamilyStats(sampleMemories);
-          const candidate = { embedding, themeVector, tags: normalized.tags };
-          const scoredFamilies = familyStats
-            .map((family) => {
-              const scored = scoreFamilyMatch(candidate, family);
-              return { mood: family.mood, score: scored.score };
-            })
-            .sort((a, b) => b.score - a.score);
-
-          const best = scoredFamilies[0];
-          const hasEmbedding = isValidEmbedding(embedding) && best?.components?.hasEmbedding;
-          const threshold = hasEmbedding ? 0.62 : 0.52;
-
-          if (best && best.score >= threshold) {
-            finalMood = best.mood;
-          }
-        }
+    // Perform clustering analysis
+    let finalMood = normalized.mood;
+    let decidedBy = existingFamilies.includes(normalized.mood) ? 'ai-existing' : 'ai-new';
+    let scoredFamilies = [];
+    let thresholds = null;
+    let broadenedFrom = null;
+    const familyStats = await loadFamilyProfiles(existingFamilies);
 
-        // Check if new family should be broadened
-        const isNewFamily = !existingFamilies.includes(finalMood);
-        if (isNewFamily) {
-          const broadened = await broadenMoodName(finalMood, existingFamilies);
-          if (broadened && broadened !== finalMood) {
-            finalMood = broadened;
-          }
-        }
+    if (familyStats.length > 0) {
+      scoredFamilies = scoreFamilies({ embedding, themeVector, tags: normalized.tags }, familyStats);
 
-        // Update the memory - REMOVE offline/auto-classified tags
-        memory.mood = finalMood;
-        memory.tags = normalized.tags.filter(tag => 
-          tag.toLowerCase() !== 'offline' && 
-          tag.toLowerCase() !== 'auto-classified'
-        );
-        memory.color = normalized.color;
-        memory.themeVector = themeVector;
-        memory.embedding = embedding;
-        
-        await memory.save();
-
-        reprocessStats.successCount++;
-        console.log(`✅ Reprocessed → ${finalMood} (${reprocessStats.successCount} done)`);
-
-        // Small delay between memories to be respectful of API
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-      } catch (error) {
-        reprocessStats.failCount++;
-        if (error.message?.includes('quota') || error.message?.includes('limit')) {
-          console.log("⚠️ Rate limit hit during reprocessing, stopping for this cycle");
-          break;
-        }
-        console.error(`❌ Failed to reprocess memory ${memory._id}:`, error.message);
-        // Continue with next memory even if one fails
+      const best = scoredFamilies[0];
+      const hasEmbedding = isValidEmbedding(embedding) && Boolean(best?.components?.hasEmbedding);
+      const threshold = hasEmbedding ? 0.62 : 0.52;
+      thresholds = { threshold, hasEmbedding };
+
+      if (best && best.score >= threshold) {
+        finalMood = best.mood;
+        decidedBy = 'similarity';
       }
     }
 
-    console.log(`📊 Reprocessing cycle complete: ${reprocessStats.successCount} succeeded, ${reprocessStats.failCount} failed, ${reprocessStats.remainingOffline} remaining`);
+    // Check if new family should be broadened
+    const isNewFamily = !existingFamilies.includes(finalMood);
+    if (isNewFamily) {
+      const broadened = await broadenMoodName(finalMood, existingFamilies, 'background');
+      if (broadened && broadened !== finalMood) {
+        broadenedFrom = finalMood;
+        finalMood = broadened;
+      }
+    }
 
+    // Update the memory - REMOVE offline/auto-classified tags
+    memory.mood = finalMood;
+    memory.tags = normalized.tags.filter(tag => 
+      tag.toLowerCase() !== 'offline' && 
+      tag.toLowerCase() !== 'auto-classified'
+    );
+    memory.color = normalized.color;
+    memory.themeVector = themeVector;
+    memory.embedding = embedding;
+    
+    try {
+      await memory.save();
+    } catch (error) {
+      await addMemberToFamily(counted);
+      throw error;
+    }
+    await addMemberToFamily(memory, { color: normalized.color });
+    await refreshLinks(memory);
+    await refreshPosition(memory);
+    await recordClassification(memory, {
+      source: 'reprocess',
+      decidedBy,
+      aiMood: normalized.mood,
+      previousMood: counted.mood,
+      finalMood,
+      broadenedFrom,
+      isNewFamily: !existingFamilies.includes(finalMood),
+      reasoning: analysis?.reasoning || '',
+      scores: scoredFamilies,
+      thresholds
+    });
+    console.log(`✅ Reprocessed ${memory._id} → ${finalMood}`);
   } catch (error) {
-    console.error("Background reprocessing error:", error);
-  } finally {
-    isReprocessing = false;
+    if (isQuotaError(error)) {
+      await quota.markExhausted('generation');
+      throw new jobQueue.DeferJobError("Rate limit hit during reprocessing", REPROCESS_RETRY_DELAY);
+    }
+    throw error;
   }
 }
 
-// Start background worker - runs every 5 minutes
-const REPROCESS_INTERVAL = 5 * 60 * 1000; // 5 minutes
-setInterval(reprocessOfflineMemories, REPROCESS_INTERVAL);
+jobQueue.registerHandler(REPROCESS_JOB, reprocessMemory);
+
+// PII BACKFILL - memories saved before redaction existed still hold raw text
+const REDACT_JOB = 'redact-memories';
+const REDACT_BATCH = 200;
+
+async function redactStoredMemory(memory) {
+  if (memory.pii?.checkedAt) return false;
+  const { text, types } = redactPII(memory.text);
+  if (text !== memory.text) memory.originalText = memory.text;
+  memory.text = text;
+  memory.pii = { types, checkedAt: new Date() };
+  await memory.save();
+  return types.length > 0;
+}
+
+async function redactLegacyMemories() {
+  let checked = 0;
+  let redacted = 0;
+  for (;;) {
+    const batch = await Memory.find({ 'pii.checkedAt': null }).limit(REDACT_BATCH);
+    if (!batch.length) break;
+    for (const memory of batch) {
+      if (await redactStoredMemory(memory)) redacted += 1;
+      checked += 1;
+    }
+  }
+  if (checked) console.log(`🕶️ PII backfill: checked ${checked}, redacted ${redacted}`);
+}
+
+jobQueue.registerHandler(REDACT_JOB, redactLegacyMemories);
+
+// Queue every offline memory that isn't already queued (safe to run on every instance)
+async function enqueueOfflineMemories() {
+  let enqueued = 0;
+  const offlineMemories = await Memory.find({ ...OFFLINE_FILTER, pinned: { $ne: true }, status: { $ne: 'draft' } }).select('_id').sort({ createdAt: 1 }); // Oldest first
+  for (const memory of offlineMemories) {
+    if (await enqueueReprocess(memory._id)) enqueued += 1;
+  }
+  if (enqueued) console.log(`🔄 Queued ${enqueued} offline memories for reprocessing`);
+  return enqueued;
+}
 
-// Run once on startup (after 30 seconds to let server fully initialize)
-setTimeout(() => {
-  console.log("🚀 Starting background reprocessing worker...");
-  reprocessOfflineMemories();
-}, 30000);
+// Sweep for offline memories every 5 minutes, starting 30 seconds after the server is up
+// (timers start with the server, see jobQueue.startSchedules)
+const REPROCESS_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const STARTUP_DELAY = 30 * 1000;
+jobQueue.schedule('Reprocess sweep', enqueueOfflineMemories, { everyMs: REPROCESS_INTERVAL, firstRunMs: STARTUP_DELAY });
+// PII backfill for memories saved before redaction existed, once per start
+jobQueue.schedule('Redaction scheduling', () => jobQueue.enqueue(REDACT_JOB, {}, { dedupeKey: REDACT_JOB }), {
+  firstRunMs: STARTUP_DELAY
+});
 
 // STATUS ENDPOINT - Check reprocessing progress
-router.get('/reprocess/status', async (req, res) => {
+router.get('/reprocess/status', requireRole('curator'), async (req, res) => {
   try {
-    const offlineCount = await Memory.countDocuments({
-      $or: [
-        { tags: { $regex: /^offline$/i } },
-        { tags: { $regex: /^auto-classified$/i } }
-      ]
-    });
-
-    const offlineMemories = await Memory.find({
-      $or: [
-        { tags: { $regex: /^offline$/i } },
-        { tags: { $regex: /^auto-classified$/i } }
-      ]
-    })
-      .select('text mood tags createdAt')
-      .sort({ createdAt: 1 })
-      .limit(20);
+    const [offlineCount, offlineMemories, queue, quotaUsage] = await Promise.all([
+      Memory.countDocuments(OFFLINE_FILTER),
+      Memory.find(OFFLINE_FILTER)
+        .select('text mood tags createdAt')
+        .sort({ createdAt: 1 })
+        .limit(20),
+      jobQueue.getQueueStats(REPROCESS_JOB),
+      quota.getUsage()
+    ]);
 
     res.json({
-      isRunning: isReprocessing,
-      stats: reprocessStats,
+      isRunning: queue.leased > 0,
+      queue,
+      quota: quotaUsage,
       offlineCount,
-      nextRunIn: isReprocessing ? 'Running now' : 'Within 5 minutes',
       sampleOfflineMemories: offlineMemories.map(m => ({
         id: m._id,
         preview: m.text.substring(0, 60) + '...',
@@ -935,20 +1116,36 @@ router.get('/reprocess/status', async (req, res) => {
   }
 });
 
-// MANUAL TRIGGER - Force reprocessing now
-router.post('/reprocess/trigger', async (req, res) => {
+// MANUAL TRIGGER - Queue every offline memory now and kick this instance's worker
+router.post('/reprocess/trigger', requireRole('admin'), async (req, res) => {
   try {
-    if (isReprocessing) {
-      return res.json({ message: 'Reprocessing already in progress' });
-    }
+    const enqueued = await enqueueOfflineMemories();
+    jobQueue.drain({ delayBetweenMs: 1000 });
     
-    // Run reprocessing immediately (don't await - let it run in background)
-    reprocessOfflineMemories();
-    
-    res.json({ message: 'Reprocessing triggered successfully' });
+    res.json({ message: 'Reprocessing triggered successfully', enqueued });
   } catch (error) {
     res.status(500).json({ error: 'Failed to trigger reprocessing' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// PROJECTION - the fitted 3D basis behind position3d
+router.get('/projection/status', requireRole('curator'), async (req, res) => {
+  try {
+    res.json(await getProjectionStatus());
+  } catch (error) {
+    res.status(500).json({ error: 'Projection status failed' });
+  }
+});
+
+// Refit over the whole archive and re-place every memory in the background
+router.post('/projection/rebuild', requireRole('admin'), async (req, res) => {
+  try {
+    const job = await queueProjection();
+    res.status(202).json({ queued: true, alreadyQueued: !job });
+  } catch (error) {
+    console.error("Projection Rebuild Error:", error);
+    res.status(500).json({ error: 'Failed to queue projection rebuild' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Memory = require('../models/Memory');
+const { addMemberToFamily, removeMemberFromFamily } = require('../lib/families');
+const { linkMemory } = require('../lib/linkGraph');
+const { requireRole } = require('../lib/auth');
+
+// Every moderation route is for curators and admins
+router.use(requireRole('curator'));
+
+const QUEUE_LIMIT = 100;
+
+// QUEUE - ?status=pending|approved|rejected (default pending); flagged and highest-scoring first
+router.get('/queue', async (req, res) => {
+  try {
+    const status = ['pending', 'approved', 'rejected'].includes(req.query.status) ? req.query.status : 'pending';
+    const sort = status === 'pending'
+      ? { 'moderation.score': -1, createdAt: 1 }
+      : { 'moderation.reviewedAt': -1 };
+
+    const [memories, pending, flagged] = await Promise.all([
+      Memory.find({ status }).select('-embedding').sort(sort).limit(QUEUE_LIMIT),
+      Memory.countDocuments({ status: 'pending' }),
+      Memory.countDocuments({ status: 'pending', 'moderation.flagged': true })
+    ]);
+    res.json({ status, memories, counts: { pending, flagged } });
+  } catch (error) {
+    console.error("Moderation Queue Error:", error);
+    res.status(500).json({ error: "Failed to load moderation queue" });
+  }
+});
+
+async function review(id, status, rejectionReason = '') {
+  // Transcript drafts aren't submitted yet, so moderators can't see or act on them
+  const memory = await Memory.findOne({ _id: id, status: { $ne: 'draft' } });
+  if (!memory) return null;
+
+  const counted = memory.toObject();
+  memory.status = status;
+  memory.moderation.rejectionReason = rejectionReason;
+  memory.moderation.reviewedAt = new Date();
+  await memory.save();
+
+  // Family profiles only include approved memories (both calls are no-ops for hidden ones)
+  if (counted.status !== status) {
+    await removeMemberFromFamily(counted);
+    await addMemberToFamily(memory, { color: memory.color });
+    // Approved memories gain arcs; rejected ones lose their automatic arcs, and GET /api/links
+    // hides their curated ones until they are approved again
+    await linkMemory(memory);
+  }
+  return memory;
+}
+
+// APPROVE
+router.post('/:id/approve', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid memory id" });
+    }
+    const memory = await review(req.params.id, 'approved');
+    if (!memory) return res.status(404).json({ error: "Memory not found" });
+    console.log("✅ Approved:", memory._id);
+    res.json(memory);
+  } catch (error) {
+    console.error("Approve Error:", error);
+    res.status(500).json({ error: "Approve Failed" });
+  }
+});
+
+// REJECT - body: { reason }
+router.post('/:id/reject', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid memory id" });
+    }
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) return res.status(400).json({ error: "A rejection reason is required" });
+
+    const memory = await review(req.params.id, 'rejected', reason);
+    if (!memory) return res.status(404).json({ error: "Memory not found" });
+    console.log("🚫 Rejected:", memory._id, reason);
+    res.json(memory);
+  } catch (error) {
+    console.error("Reject Error:", error);
+    res.status(500).json({ error: "Reject Failed" });
+  }
+});
+
+module.exports = router;
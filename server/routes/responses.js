@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole, allowSubmission } = require('../lib/auth');
+const { throttle } = require('../lib/throttle');
+const {
+  RESPONSE_TYPES,
+  ResponseError,
+  createResponse,
+  listResponses,
+  moderationQueue,
+  reviewResponse,
+  removeResponse,
+} = require('../lib/responses');
+
+const responseThrottle = throttle({ name: 'responses', windowMs: 60 * 1000, limit: 10, anonymousLimit: 3 });
+
+function sendResponseError(res, error, label) {
+  if (error instanceof ResponseError) return res.status(error.status).json({ error: error.message });
+  console.error(`${label} Error:`, error);
+  return res.status(500).json({ error: `${label} failed` });
+}
+
+// GET RESPONSES - ?memoryId=<id> or ?mood=<family>; curators may add ?status=pending|rejected
+router.get('/', async (req, res) => {
+  try {
+    const responses = await listResponses(req.query, req.user);
+    res.json({ types: RESPONSE_TYPES, responses });
+  } catch (error) {
+    sendResponseError(res, error, "Response listing");
+  }
+});
+
+// MODERATION QUEUE - pending responses, flagged first
+router.get('/queue', requireRole('curator'), async (req, res) => {
+  try {
+    res.json(await moderationQueue());
+  } catch (error) {
+    sendResponseError(res, error, "Response queue");
+  }
+});
+
+// SUBMIT - body: { memoryId, url, label, type, notes }
+router.post('/', allowSubmission, responseThrottle, async (req, res) => {
+  try {
+    const { memoryId, ...payload } = req.body || {};
+    const response = await createResponse(memoryId, payload, req.user);
+    res.status(201).json(response);
+  } catch (error) {
+    sendResponseError(res, error, "Response submission");
+  }
+});
+
+// APPROVE
+router.post('/:id/approve', requireRole('curator'), async (req, res) => {
+  try {
+    res.json(await reviewResponse(req.params.id, 'approved', req.user.username));
+  } catch (error) {
+    sendResponseError(res, error, "Response review");
+  }
+});
+
+// REJECT - body: { reason }
+router.post('/:id/reject', requireRole('curator'), async (req, res) => {
+  try {
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    res.json(await reviewResponse(req.params.id, 'rejected', req.user.username, reason));
+  } catch (error) {
+    sendResponseError(res, error, "Response review");
+  }
+});
+
+// DELETE - curators, or the contributor who submitted it
+router.delete('/:id', requireRole('contributor'), async (req, res) => {
+  try {
+    const response = await removeResponse(req.params.id, req.user);
+    res.json({ deleted: response._id });
+  } catch (error) {
+    sendResponseError(res, error, "Response removal");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { requireRole, allowSubmission } = require('../lib/auth');
+const { throttle } = require('../lib/throttle');
+const {
+  MAX_VOICE_BYTES,
+  VoiceNoteError,
+  isAllowedType,
+  saveVoiceNote,
+  findPlayableVoiceNote,
+  parseRange,
+  openVoiceNoteStream,
+  removeVoiceNote,
+  toResponse,
+} = require('../lib/voiceNotes');
+
+const voiceThrottle = throttle({ name: 'voice-notes', windowMs: 60 * 1000, limit: 6, anonymousLimit: 3 });
+
+// Held in memory until the type check has read the first bytes; one file per request
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_VOICE_BYTES, files: 1, fields: 0 },
+  fileFilter: (req, file, callback) => {
+    if (isAllowedType(file.mimetype)) return callback(null, true);
+    callback(new VoiceNoteError("Only audio recordings can be uploaded", 415));
+  }
+});
+
+function sendVoiceNoteError(res, error, label) {
+  if (error instanceof VoiceNoteError) return res.status(error.status).json({ error: error.message });
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Voice notes must be under ${Math.round(MAX_VOICE_BYTES / 1024 / 1024)} MB` });
+    }
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${label} Error:`, error);
+  return res.status(500).json({ error: `${label} failed` });
+}
+
+function receiveAudio(req, res, next) {
+  upload.single('audio')(req, res, (error) => {
+    if (error) return sendVoiceNoteError(res, error, "Voice note upload");
+    next();
+  });
+}
+
+// UPLOAD - multipart form with one 'audio' file; pass the returned id as voiceNoteId when submitting
+// the memory. Anonymous uploads also get an uploadToken, to be sent back as voiceNoteToken.
+router.post('/', allowSubmission, voiceThrottle, receiveAudio, async (req, res) => {
+  try {
+    const { note, uploadToken } = await saveVoiceNote(req.file, req.user);
+    res.status(201).json({ ...toResponse(note), ...(uploadToken ? { uploadToken } : {}) });
+  } catch (error) {
+    sendVoiceNoteError(res, error, "Voice note upload");
+  }
+});
+
+// PLAYBACK - streams the audio, honouring a single Range header so players can seek
+router.get('/:id/audio', async (req, res) => {
+  try {
+    const note = await findPlayableVoiceNote(req.params.id, req.user);
+    const range = parseRange(req.headers.range, note.size);
+
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Content-Type', note.contentType);
+    res.set('Cache-Control', 'private, max-age=3600');
+    if (range === false) {
+      res.set('Content-Range', `bytes */${note.size}`);
+      return res.status(416).end();
+    }
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${note.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(note.size));
+    }
+
+    const stream = openVoiceNoteStream(note, range);
+    stream.on('error', (error) => {
+      console.error("Voice Note Stream Error:", error);
+      if (!res.headersSent) res.status(500).json({ error: "Voice note playback failed" });
+      else res.destroy(error);
+    });
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    sendVoiceNoteError(res, error, "Voice note playback");
+  }
+});
+
+// DETAILS
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(toResponse(await findPlayableVoiceNote(req.params.id, req.user)));
+  } catch (error) {
+    sendVoiceNoteError(res, error, "Voice note lookup");
+  }
+});
+
+// DELETE - the uploader before it is attached to a memory, or curators
+router.delete('/:id', requireRole('contributor'), async (req, res) => {
+  try {
+    const note = await removeVoiceNote(req.params.id, req.user);
+    res.json({ deleted: note._id });
+  } catch (error) {
+    sendVoiceNoteError(res, error, "Voice note removal");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { productionConfigProblems } = require('../lib/auth');
+
+const KEYS = ['NODE_ENV', 'AUTH_SECRET', 'ADMIN_PASSWORD'];
+
+describe('production configuration', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(KEYS.map((key) => [key, process.env[key]]));
+    process.env.NODE_ENV = 'production';
+    process.env.AUTH_SECRET = 'x'.repeat(48);
+    process.env.ADMIN_PASSWORD = 'a real password';
+  });
+
+  afterEach(() => {
+    KEYS.forEach((key) => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  it('accepts real secrets', () => {
+    assert.deepEqual(productionConfigProblems(), []);
+  });
+
+  it('refuses a missing, short or example AUTH_SECRET', () => {
+    for (const value of ['', 'too-short', 'change-me-to-a-long-random-string']) {
+      process.env.AUTH_SECRET = value;
+      assert.equal(productionConfigProblems().length, 1, value);
+    }
+    delete process.env.AUTH_SECRET;
+    assert.match(productionConfigProblems()[0], /AUTH_SECRET/);
+  });
+
+  it('refuses a missing or example ADMIN_PASSWORD', () => {
+    process.env.ADMIN_PASSWORD = 'change-me-please';
+    assert.match(productionConfigProblems()[0], /ADMIN_PASSWORD/);
+    delete process.env.ADMIN_PASSWORD;
+    assert.match(productionConfigProblems()[0], /ADMIN_PASSWORD/);
+  });
+
+  it('leaves development alone', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.AUTH_SECRET;
+    delete process.env.ADMIN_PASSWORD;
+    assert.deepEqual(productionConfigProblems(), []);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { pickRepresentatives } = require('../lib/briefSampling');
+
+// A story near one of the unit axes; spread tilts it towards the next axis
+function member(id, axis, spread = 0) {
+  const embedding = Array.from({ length: 8 }, (_, index) => {
+    if (index === axis) return 1;
+    if (index === (axis + 1) % 8) return spread;
+    return 0;
+  });
+  return { _id: id, text: `story ${id}`, embedding };
+}
+
+describe('brief sampling', () => {
+  it('groups the family into threads and keeps the stories nearest each centre', () => {
+    const members = [
+      ...Array.from({ length: 12 }, (_, index) => member(`a${index}`, 0, index * 0.02)),
+      ...Array.from({ length: 8 }, (_, index) => member(`b${index}`, 4, index * 0.02))
+    ];
+    const { threads, outliers } = pickRepresentatives(members, { threads: 2, perThread: 3, outliers: 2 });
+
+    assert.deepEqual(threads.map((thread) => thread.size), [12, 8]);
+    assert.ok(threads[0].nearest.every((story) => story._id.startsWith('a')));
+    assert.ok(threads[1].nearest.every((story) => story._id.startsWith('b')));
+    threads.forEach((thread) => {
+      assert.equal(thread.nearest.length, 3);
+      assert.equal(thread.medoid, thread.nearest[0]);
+    });
+    // Outliers come from the stories no thread picked
+    const picked = new Set(threads.flatMap((thread) => thread.nearest.map((story) => story._id)));
+    assert.equal(outliers.length, 2);
+    assert.ok(outliers.every((story) => !picked.has(story._id)));
+  });
+
+  it('never asks for more threads than the family can fill', () => {
+    const members = Array.from({ length: 6 }, (_, index) => member(`m${index}`, index % 2 ? 0 : 4));
+    const { threads } = pickRepresentatives(members, { threads: 4, perThread: 5 });
+    assert.equal(threads.length, 1);
+    assert.equal(threads[0].size, 6);
+  });
+
+  it('falls back to the first stories when embeddings are missing', () => {
+    const members = Array.from({ length: 7 }, (_, index) => ({ _id: `x${index}`, text: `story ${index}`, embedding: [] }));
+    const { threads, outliers } = pickRepresentatives(members, { perThread: 5 });
+    assert.equal(threads.length, 1);
+    assert.equal(threads[0].size, 7);
+    assert.deepEqual(threads[0].nearest.map((story) => story._id), ['x0', 'x1', 'x2', 'x3', 'x4']);
+    assert.deepEqual(outliers, []);
+    assert.deepEqual(pickRepresentatives([]), { threads: [], outliers: [] });
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApi } = require('./helpers/api');
+const Brief = require('../models/Brief');
+const FamilySuggestion = require('../models/FamilySuggestion');
+
+describe('family rename', { skip }, () => {
+  let api;
+  let curator;
+
+  before(async () => {
+    api = await startApi();
+    curator = await api.signIn('curator');
+  });
+
+  after(() => api?.close());
+
+  it('carries briefs and suggestions over to the new name', async () => {
+    const ingest = await api.request('POST', '/memories', {
+      token: curator,
+      body: { text: "We cried at my grandfather's funeral and I still miss the way he hummed." }
+    });
+    assert.equal(ingest.status, 200, JSON.stringify(ingest.body));
+    const { mood } = ingest.body;
+
+    const brief = await api.request('POST', '/memories/family/brief', { token: curator, body: { mood } });
+    assert.equal(brief.status, 200, JSON.stringify(brief.body));
+    await FamilySuggestion.create({ kind: 'merge', families: [mood, 'Aardvark'], key: `merge:${['Aardvark', mood].sort().join('|')}` });
+
+    const families = await api.request('GET', '/families');
+    const family = families.body.find((entry) => entry.name === mood);
+    const renamed = await api.request('PATCH', `/families/${family._id}`, { token: curator, body: { name: 'Zither' } });
+    assert.equal(renamed.status, 200, JSON.stringify(renamed.body));
+    assert.equal(renamed.body.name, 'Zither');
+
+    const stored = await Brief.findById(brief.body.briefId).lean();
+    assert.equal(stored.mood, 'Zither');
+    const suggestion = await FamilySuggestion.findOne({ kind: 'merge' }).lean();
+    assert.deepEqual(suggestion.families, ['Zither', 'Aardvark']);
+    assert.equal(suggestion.key, 'merge:Aardvark|Zither');
+
+    const again = await api.request('POST', '/memories/family/brief', { token: curator, body: { mood: 'Zither' } });
+    assert.equal(again.body.cached, true);
+    assert.equal(again.body.mood, 'Zither');
+  });
+});
+
+describe('family merge', { skip }, () => {
+  let api;
+  let curator;
+
+  before(async () => {
+    api = await startApi();
+    curator = await api.signIn('curator');
+  });
+
+  after(() => api?.close());
+
+  async function familyWithBrief(text, mood) {
+    const ingest = await api.request('POST', '/memories', { token: curator, body: { text } });
+    assert.equal(ingest.status, 200, JSON.stringify(ingest.body));
+    const moved = await api.request('PATCH', `/memories/${ingest.body._id}/family`, { token: curator, body: { mood } });
+    assert.equal(moved.status, 200, JSON.stringify(moved.body));
+    const brief = await api.request('POST', '/memories/family/brief', { token: curator, body: { mood } });
+    assert.equal(brief.status, 200, JSON.stringify(brief.body));
+    return { memoryId: ingest.body._id, briefId: brief.body.briefId };
+  }
+
+  it('moves briefs, suggestions and member colours to the target', async () => {
+    const target = await familyWithBrief("We walked the harbour wall every Sunday and counted the boats.", 'Harbour');
+    const source = await familyWithBrief("The lighthouse keeper waved at us from the top of the tower.", 'Lighthouse');
+    await FamilySuggestion.create({ kind: 'merge', families: ['Harbour', 'Lighthouse'], key: 'merge:Harbour|Lighthouse' });
+    await FamilySuggestion.create({ kind: 'split', families: ['Lighthouse'], key: 'split:Lighthouse' });
+
+    const families = await api.request('GET', '/families');
+    const byName = (name) => families.body.find((entry) => entry.name === name);
+    await api.request('PATCH', `/families/${byName('Harbour')._id}`, { token: curator, body: { color: '#123456' } });
+    const merged = await api.request('POST', '/families/merge', {
+      token: curator,
+      body: { sourceIds: [byName('Lighthouse')._id], targetId: byName('Harbour')._id }
+    });
+    assert.equal(merged.status, 200, JSON.stringify(merged.body));
+
+    const briefs = await Brief.find({ _id: { $in: [target.briefId, source.briefId] } }).sort({ version: 1 }).lean();
+    assert.deepEqual(briefs.map((brief) => [String(brief._id), brief.mood, brief.version]), [
+      [target.briefId, 'Harbour', 1],
+      [source.briefId, 'Harbour', 2]
+    ]);
+    assert.ok(briefs.every((brief) => String(brief.family) === String(byName('Harbour')._id)));
+
+    const mergeSuggestion = await FamilySuggestion.findOne({ kind: 'merge' }).lean();
+    assert.equal(mergeSuggestion.status, 'accepted');
+    const splitSuggestion = await FamilySuggestion.findOne({ kind: 'split' }).lean();
+    assert.deepEqual(splitSuggestion.families, ['Harbour']);
+    assert.equal(splitSuggestion.key, 'split:Harbour');
+
+    const list = await api.request('GET', '/memories');
+    const movedMemory = list.body.memories.find((memory) => memory._id === source.memoryId);
+    assert.equal(movedMemory.mood, 'Harbour');
+    assert.equal(movedMemory.color, '#123456');
+  });
+});
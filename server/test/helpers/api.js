@@ -0,0 +1,76 @@
+// server/test/helpers/api.js // Boots the API on a random port against a throwaway database, with the local AI provider
+//
+// The integration tests need a MongoDB replica set (family renames and merges run in transactions):
+//   MONGO_TEST_URI="mongodb://127.0.0.1:27017/memorycloud-test?replicaSet=rs0" npm test
+// Without MONGO_TEST_URI they are skipped. The database in the URI is dropped at the start of every suite.
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+
+// Set before anything loads dotenv, which never overrides variables that already exist
+process.env.AI_PROVIDER = 'local';
+process.env.TRANSCRIPTION_ENGINE = 'local';
+process.env.MODERATION_REQUIRED = 'false';
+process.env.OPEN_SUBMISSIONS = 'true';
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'integration-tests-only-secret';
+process.env.VOICE_STORAGE = 'disk';
+process.env.VOICE_DIR = path.join(os.tmpdir(), `memorycloud-voice-${process.pid}`);
+
+const mongoose = require('mongoose');
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+const skip = MONGO_TEST_URI ? false : 'set MONGO_TEST_URI to run the integration tests';
+
+let accounts = 0;
+
+// Empty database with every loaded model's indexes in place
+async function connectTestDatabase() {
+  await mongoose.connect(MONGO_TEST_URI);
+  await mongoose.connection.dropDatabase();
+  // The search index would still hold the previous suite's memories
+  require('../../lib/embeddingIndex').reset();
+  await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).syncIndexes()));
+}
+
+async function startApi() {
+  const app = require('../../index');
+  const { createUser, login } = require('../../lib/auth');
+
+  await connectTestDatabase();
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // { status, headers, body } with the body parsed as JSON when there is one
+  async function request(method, route, { token, body } = {}) {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  // A fresh account with the given role; resolves its session token
+  async function signIn(role = 'contributor') {
+    accounts += 1;
+    const username = `${role}-${accounts}`;
+    const password = 'integration-password';
+    await createUser({ username, password, role });
+    return (await login(username, password)).token;
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    await mongoose.disconnect();
+  }
+
+  return { baseUrl, request, signIn, close };
+}
+
+module.exports = { skip, connectTestDatabase, startApi };
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApi } = require('./helpers/api');
+
+const STORIES = [
+  "My grandmother died in the winter. We cried at her funeral and I still miss her laugh.",
+  "At my father's funeral the church was cold and nobody knew what to say about the loss.",
+  "We danced in the kitchen to the radio and laughed until the soup boiled over.",
+  "The summer my sister sang at the school concert, everyone smiled and the whole hall felt warm.",
+  "I was afraid on the night train, anxious every time the lights went out in the tunnel."
+];
+
+describe('ingest, classify, search and brief with the local provider', { skip }, () => {
+  let api;
+  let curator;
+  const saved = [];
+
+  before(async () => {
+    api = await startApi();
+    curator = await api.signIn('curator');
+  });
+
+  after(() => api?.close());
+
+  it('classifies every submission into a family', async () => {
+    for (const text of STORIES) {
+      const res = await api.request('POST', '/memories', { token: curator, body: { text } });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.equal(res.body.offlineMode, false);
+      assert.equal(res.body.status, 'approved');
+      assert.ok(res.body.mood);
+      saved.push(res.body);
+    }
+
+    const list = await api.request('GET', '/memories');
+    assert.equal(list.status, 200);
+    assert.equal(list.body.total, STORIES.length);
+  });
+
+  it('lists the internal fields to curators only', async () => {
+    const internal = ['submittedBy', 'moderation', 'pii', 'transcription', 'embedding', 'originalText'];
+    const anonymous = await api.request('GET', '/memories');
+    const [publicMemory] = anonymous.body.memories;
+    assert.ok(publicMemory.text && publicMemory.mood);
+    internal.forEach((field) => assert.equal(publicMemory[field], undefined, field));
+
+    const curated = await api.request('GET', '/memories', { token: curator });
+    const [curatorMemory] = curated.body.memories;
+    assert.ok(curatorMemory.submittedBy);
+    assert.ok(curatorMemory.moderation);
+    assert.ok(curatorMemory.embedding.length);
+    assert.equal(curatorMemory.originalText, undefined);
+  });
+
+  it('keeps a family document for every mood', async () => {
+    const families = await api.request('GET', '/families');
+    assert.equal(families.status, 200);
+    assert.ok(families.body.some((family) => family.name === saved[0].mood));
+  });
+
+  it('ranks the stories by meaning', async () => {
+    const res = await api.request('GET', `/memories/search?q=${encodeURIComponent('a funeral and loss')}`, { token: curator });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, 'semantic');
+    assert.match(res.body.results[0].memory.text, /funeral/);
+  });
+
+  it('ranks anonymous searches by meaning too', async () => {
+    const res = await api.request('GET', `/memories/search?q=${encodeURIComponent('a funeral and loss')}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, 'semantic');
+    assert.match(res.body.results[0].memory.text, /funeral/);
+    assert.equal(res.headers.get('x-ratelimit-limit'), '10');
+  });
+
+  it('holds contributors to the anonymous search budget', async () => {
+    const contributor = await api.signIn('contributor');
+    const res = await api.request('GET', `/memories/search?q=${encodeURIComponent('a funeral and loss')}`, { token: contributor });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-ratelimit-limit'), '10');
+  });
+
+  it('keeps search results in step with new and deleted memories', async () => {
+    const query = `/memories/search?q=${encodeURIComponent('lighthouse storm')}`;
+    const added = await api.request('POST', '/memories', {
+      token: curator,
+      body: { text: "The lighthouse keeper let us climb the tower during the storm." }
+    });
+    assert.equal(added.status, 200, JSON.stringify(added.body));
+
+    const found = await api.request('GET', query, { token: curator });
+    const [top] = found.body.results;
+    assert.equal(top.memory._id, added.body._id);
+    assert.equal(top.memory.embedding, undefined);
+
+    const removed = await api.request('DELETE', `/memories/${added.body._id}`, { token: curator });
+    assert.equal(removed.status, 200);
+    const after = await api.request('GET', query, { token: curator });
+    assert.ok(after.body.results.every((result) => result.memory._id !== added.body._id));
+  });
+
+  it('writes a family brief once and then serves the stored version', async () => {
+    const { mood } = saved[0];
+    const first = await api.request('POST', '/memories/family/brief', { token: curator, body: { mood } });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.version, 1);
+    assert.equal(first.body.cached, false);
+    assert.equal(first.body.provider, 'local');
+    assert.ok(first.body.title);
+
+    const again = await api.request('POST', '/memories/family/brief', { token: curator, body: { mood } });
+    assert.equal(again.body.briefId, first.body.briefId);
+    assert.equal(again.body.cached, true);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const mongoose = require('mongoose');
+const { skip, connectTestDatabase } = require('./helpers/api');
+const Job = require('../models/Job');
+const jobQueue = require('../lib/jobQueue');
+
+const LEASE_MS = 300;
+
+describe('job leases', { skip }, () => {
+  before(connectTestDatabase);
+  after(() => mongoose.disconnect());
+
+  it('keeps renewing the lease while a handler runs past its term', async () => {
+    let runs = 0;
+    let leaseDuringRun;
+    let checkedAt;
+    jobQueue.registerHandler('test-slow', async (job) => {
+      runs += 1;
+      await sleep(LEASE_MS * 4);
+      leaseDuringRun = await Job.findById(job._id).lean();
+      checkedAt = Date.now();
+    }, { leaseMs: LEASE_MS });
+
+    const queued = await jobQueue.enqueue('test-slow', {}, { dedupeKey: 'test-slow' });
+    const firstDrain = jobQueue.drain();
+
+    // Another worker polling after the original term must not be able to take the job over
+    await sleep(LEASE_MS * 2);
+    const stolen = await Job.findOneAndUpdate(
+      { _id: queued._id, status: 'leased', leaseExpiresAt: { $lte: new Date() } },
+      { $set: { leaseOwner: 'other-worker' } }
+    );
+    assert.equal(stolen, null);
+
+    await firstDrain;
+    assert.equal(runs, 1);
+    assert.equal(leaseDuringRun.leaseOwner, jobQueue.WORKER_ID);
+    assert.ok(leaseDuringRun.leaseExpiresAt.getTime() > checkedAt);
+
+    const finished = await Job.findById(queued._id).lean();
+    assert.equal(finished.status, 'done');
+    assert.equal(finished.attempts, 1);
+  });
+
+  it('hands a job whose lease lapsed to the next worker', async () => {
+    let runs = 0;
+    jobQueue.registerHandler('test-abandoned', async () => {
+      runs += 1;
+    }, { leaseMs: LEASE_MS });
+
+    // As left behind by a worker that crashed mid-job
+    const abandoned = await Job.create({
+      type: 'test-abandoned',
+      status: 'leased',
+      attempts: 1,
+      leaseOwner: 'crashed-worker',
+      leaseExpiresAt: new Date(Date.now() - 1000)
+    });
+
+    await jobQueue.drain();
+    assert.equal(runs, 1);
+    const finished = await Job.findById(abandoned._id).lean();
+    assert.equal(finished.status, 'done');
+    assert.equal(finished.attempts, 2);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { skip, connectTestDatabase } = require('./helpers/api');
+const Memory = require('../models/Memory');
+const Link = require('../models/Link');
+const { linkMemory, rebuildLinkGraph } = require('../lib/linkGraph');
+
+// Orthogonal embeddings, so no pair earns a semantic arc
+function axis(index) {
+  return Array.from({ length: 8 }, (value, position) => (position === index ? 1 : 0));
+}
+
+function saveMemory(fields, index) {
+  return Memory.create({ text: `Memory ${index}`, embedding: axis(index), createdAt: new Date(Date.UTC(2024, 0, index + 1)), ...fields });
+}
+
+describe('automatic link graph', { skip }, () => {
+  let older;
+  let newer;
+  let unrelated;
+
+  before(async () => {
+    await connectTestDatabase();
+    older = await saveMemory({ mood: 'Grief' }, 0);
+    newer = await saveMemory({ mood: 'Grief' }, 1);
+    unrelated = await saveMemory({ mood: 'Tension' }, 2);
+  });
+
+  after(() => mongoose.disconnect());
+
+  it('rebuilds in place and prunes only the links it no longer plans', async () => {
+    const stale = await Link.create({
+      from: older._id,
+      to: unrelated._id,
+      type: 'idea',
+      score: 3,
+      chosenBy: [unrelated._id],
+      updatedAt: new Date(Date.now() - 60 * 1000)
+    });
+
+    await rebuildLinkGraph();
+    const family = await Link.findOne({ type: 'family' }).lean();
+    assert.deepEqual(family.chosenBy.map(String), [String(newer._id)]);
+    assert.equal(await Link.exists({ _id: stale._id }), null);
+
+    await rebuildLinkGraph();
+    const again = await Link.findOne({ type: 'family' }).lean();
+    assert.equal(String(again._id), String(family._id));
+  });
+
+  it('keeps the arcs other memories picked when a memory is relinked', async () => {
+    await Memory.updateOne({ _id: older._id }, { $set: { mood: 'Tension' } });
+    const moved = await Memory.findById(older._id).lean();
+
+    await linkMemory(moved);
+    const kept = await Link.findOne({ from: { $in: [older._id, newer._id] }, to: { $in: [older._id, newer._id] } }).lean();
+    assert.ok(kept, 'the arc the newer memory picked is still there');
+    assert.deepEqual(kept.chosenBy.map(String), [String(newer._id)]);
+
+    // The moved memory now picks the other Tension story
+    const picked = await Link.findOne({ type: 'family', chosenBy: older._id }).lean();
+    assert.deepEqual([String(picked.from), String(picked.to)].sort(), [String(older._id), String(unrelated._id)].sort());
+  });
+
+  it('drops every automatic arc of a memory that is hidden', async () => {
+    await Memory.updateOne({ _id: newer._id }, { $set: { status: 'rejected' } });
+    await linkMemory(await Memory.findById(newer._id).lean());
+    assert.equal(await Link.exists({ $or: [{ from: newer._id }, { to: newer._id }] }), null);
+    assert.ok(await Link.exists({ chosenBy: older._id }));
+  });
+});
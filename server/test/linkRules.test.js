@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LINK_RULES, LinkRulesError, validateLinkRules } = require('../lib/linkRules');
+const { scorePair } = require('../lib/linkGraph');
+
+function problemsFor(update, current) {
+  try {
+    validateLinkRules(update, current);
+  } catch (error) {
+    assert.ok(error instanceof LinkRulesError);
+    assert.equal(error.status, 400);
+    return error.problems;
+  }
+  return [];
+}
+
+describe('link rule validation', () => {
+  it('merges a partial update onto the current rules', () => {
+    const rules = validateLinkRules({ minScore: 3, scores: { sharedTag: 2 }, semantic: { topK: 5 } });
+    assert.equal(rules.minScore, 3);
+    assert.equal(rules.scores.sharedTag, 2);
+    assert.equal(rules.scores.sameMood, DEFAULT_LINK_RULES.scores.sameMood);
+    assert.equal(rules.semantic.topK, 5);
+    assert.equal(rules.semantic.threshold, DEFAULT_LINK_RULES.semantic.threshold);
+    assert.deepEqual(rules.contradictions, DEFAULT_LINK_RULES.contradictions);
+    // The defaults themselves are never modified
+    assert.equal(DEFAULT_LINK_RULES.scores.sharedTag, 1);
+  });
+
+  it('lowercases and trims moods and tags, dropping duplicate tags', () => {
+    const rules = validateLinkRules({
+      contradictions: [[' Joy ', 'GRIEF']],
+      absenceTags: ['Silence', 'silence ', 'empty chair']
+    });
+    assert.deepEqual(rules.contradictions, [['joy', 'grief']]);
+    assert.deepEqual(rules.absenceTags, ['silence', 'empty chair']);
+  });
+
+  it('lists every problem at once', () => {
+    assert.deepEqual(problemsFor({
+      contradictions: [['joy'], ['hope', '']],
+      absenceTags: ['', 'silence'],
+      scores: { sharedTag: -1, maxSharedTags: 1.5, bonus: 1 },
+      minScore: 'high',
+      maxLinksPerMemory: 51,
+      semantic: { threshold: 1.2, topK: 2.5 },
+      colour: 'red'
+    }), [
+      'Unknown field colour',
+      'contradictions[0] must be two non-empty moods',
+      'contradictions[1] must be two non-empty moods',
+      "absenceTags can't contain empty tags",
+      'Unknown field scores.bonus',
+      'scores.sharedTag must be between 0 and 10',
+      'scores.maxSharedTags must be a whole number',
+      'minScore must be a number',
+      'maxLinksPerMemory must be between 0 and 50',
+      'semantic.threshold must be between 0 and 1',
+      'semantic.topK must be a whole number'
+    ]);
+  });
+
+  it('refuses anything but an object', () => {
+    assert.deepEqual(problemsFor(null), ['Link rules must be an object']);
+    assert.deepEqual(problemsFor([]), ['Link rules must be an object']);
+    assert.deepEqual(problemsFor({ scores: [1] }), ['scores must be an object']);
+    assert.deepEqual(problemsFor({ contradictions: 'joy/grief' }), ['contradictions must be a list of at most 100 pairs']);
+  });
+});
+
+describe('scoring with custom rules', () => {
+  const rain = { mood: 'Rain', tags: ['window'] };
+  const sun = { mood: 'Sun', tags: ['window'] };
+
+  it('links moods the rules call contradictions', () => {
+    const rules = validateLinkRules({ contradictions: [['rain', 'sun']], scores: { sharedTag: 0 } });
+    assert.deepEqual(scorePair(rain, sun, rules), { type: 'idea', score: 2, reason: 'shared contradiction' });
+    assert.equal(scorePair(rain, sun, validateLinkRules({ scores: { sharedTag: 0 } })), null);
+  });
+
+  it('drops pairs below minScore', () => {
+    assert.deepEqual(scorePair(rain, sun, validateLinkRules({ minScore: 1 })), { type: 'idea', score: 1, reason: 'shared image' });
+    assert.equal(scorePair(rain, sun, DEFAULT_LINK_RULES), null);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApi } = require('./helpers/api');
+
+describe('curator links and moderation', { skip }, () => {
+  let api;
+  let curator;
+  const ids = [];
+
+  before(async () => {
+    api = await startApi();
+    curator = await api.signIn('curator');
+    for (const text of [
+      "The kitchen smelled of oranges the morning my brother came home from the war.",
+      "We waited at the station every Sunday, and one Sunday he finally stepped off the train.",
+      "My grandmother kept his letters in a biscuit tin under the stairs."
+    ]) {
+      const res = await api.request('POST', '/memories', { token: curator, body: { text } });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      ids.push(res.body._id);
+    }
+  });
+
+  after(() => api?.close());
+
+  const curatedLinks = async () => {
+    const res = await api.request('GET', '/links?type=curated');
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  it('hides a rejected memory\'s links until it is approved again', async () => {
+    const created = await api.request('POST', '/links', {
+      token: curator,
+      body: { fromId: ids[0], toId: ids[1], type: 'curated', note: 'the homecoming' }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal((await curatedLinks()).length, 1);
+
+    const rejected = await api.request('POST', `/moderation/${ids[1]}/reject`, { token: curator, body: { reason: 'test' } });
+    assert.equal(rejected.status, 200);
+    assert.equal((await curatedLinks()).length, 0);
+    const everyLink = await api.request('GET', '/links');
+    assert.ok(everyLink.body.every((link) => link.fromId !== ids[1] && link.toId !== ids[1]));
+
+    const approved = await api.request('POST', `/moderation/${ids[1]}/approve`, { token: curator });
+    assert.equal(approved.status, 200);
+    assert.equal((await curatedLinks()).length, 1);
+  });
+
+  it('keeps a link hidden until both of its memories are visible', async () => {
+    const created = await api.request('POST', '/links', {
+      token: curator,
+      body: { fromId: ids[0], toId: ids[2], type: 'directional' }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const directionalLinks = async () => (await api.request('GET', '/links?type=directional')).body;
+
+    await api.request('POST', `/moderation/${ids[0]}/reject`, { token: curator, body: { reason: 'test' } });
+    await api.request('POST', `/moderation/${ids[2]}/reject`, { token: curator, body: { reason: 'test' } });
+    await api.request('POST', `/moderation/${ids[0]}/approve`, { token: curator });
+    assert.equal((await directionalLinks()).length, 0);
+
+    await api.request('POST', `/moderation/${ids[2]}/approve`, { token: curator });
+    assert.equal((await directionalLinks()).length, 1);
+    await api.request('DELETE', `/links/${created.body.linkId}`, { token: curator });
+  });
+
+  it('refuses to link a memory that isn\'t visible', async () => {
+    await api.request('POST', `/moderation/${ids[2]}/reject`, { token: curator, body: { reason: 'test' } });
+    const res = await api.request('POST', '/links', {
+      token: curator,
+      body: { fromId: ids[0], toId: ids[2], type: 'directional' }
+    });
+    assert.equal(res.status, 404);
+  });
+});
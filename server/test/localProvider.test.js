@@ -0,0 +1,12 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const local = require('../providers/local');
+
+describe('local provider', () => {
+  it('reads stop-word keywords such as "was" on the theme axes', async () => {
+    const { themeVector } = await local.classify("Tomorrow I will visit, and I hope it was worth the wait.");
+    const labels = themeVector.temporalOrientation.map((entry) => entry.label);
+    assert.ok(labels.includes('memory'), JSON.stringify(themeVector.temporalOrientation));
+    assert.ok(labels.includes('future'));
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { OFFLINE_FILTER, encodeCursor, decodeCursor, buildMemoryFilter } = require('../lib/memoryQuery');
+const { VISIBLE_FILTER } = require('../lib/moderation');
+
+describe('page cursors', () => {
+  it('round-trips the last memory of a page', () => {
+    const memory = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2024-05-01T10:00:00Z') };
+    const cursor = decodeCursor(encodeCursor(memory));
+    assert.equal(cursor.createdAt.toISOString(), '2024-05-01T10:00:00.000Z');
+    assert.equal(String(cursor.id), String(memory._id));
+  });
+
+  it('tells a missing cursor from a broken one', () => {
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor(''), null);
+    assert.equal(decodeCursor('not-a-cursor'), undefined);
+    assert.equal(decodeCursor(Buffer.from('2024-05-01|nope').toString('base64url')), undefined);
+    assert.equal(encodeCursor({ _id: 'x' }), null);
+  });
+});
+
+describe('memory filters', () => {
+  it('only ever lists visible memories', () => {
+    assert.deepEqual(buildMemoryFilter({}).filter, { $and: [VISIBLE_FILTER] });
+  });
+
+  it('combines moods, tags, dates and the offline flag', () => {
+    const { filter } = buildMemoryFilter({
+      mood: 'Grief, Quiet Joy',
+      tags: ['rain', 'a.b'],
+      from: '2024-01-01',
+      offline: 'false'
+    });
+    const [, moods, tags, dates, offline] = filter.$and;
+    assert.deepEqual(moods, { mood: { $in: ['Grief', 'Quiet Joy'] } });
+    assert.ok(tags.tags.$all[1].test('A.B'));
+    assert.ok(!tags.tags.$all[1].test('aXb'));
+    assert.deepEqual(dates, { createdAt: { $gte: new Date('2024-01-01') } });
+    assert.deepEqual(offline, { $nor: OFFLINE_FILTER.$or });
+  });
+
+  it('rejects dates it cannot read', () => {
+    assert.deepEqual(buildMemoryFilter({ to: 'someday' }), { error: "Invalid date range" });
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redactPII } = require('../lib/pii');
+
+describe('redactPII', () => {
+  it('redacts street addresses with a letter after the house number', () => {
+    const { text, types } = redactPII("We rented the flat at 221B Baker Street for a year.");
+    assert.equal(text, "We rented the flat at [address] for a year.");
+    assert.deepEqual(types, ['address']);
+  });
+
+  it('leaves the punctuation after an address in the text', () => {
+    assert.equal(redactPII("She grew up at 12 Oak Street. It had a red door.").text, "She grew up at [address]. It had a red door.");
+    assert.equal(redactPII("Write to 7 Mill Lane, please.").text, "Write to [address], please.");
+  });
+
+  it('keeps numbers that are not addresses', () => {
+    const story = "I spent 3 years on the street and 12 Days in the hospital.";
+    assert.equal(redactPII(story).text, story);
+  });
+
+  it('redacts emails, phone numbers and relatives\' names', () => {
+    const { text, types } = redactPII("My sister Ana wrote from ana@example.com and called +44 20 7946 0958.");
+    assert.equal(text, "My sister [name] wrote from [email] and called [phone].");
+    assert.deepEqual(types.sort(), ['email', 'name', 'phone']);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitPCA, projectEmbedding } = require('../lib/projection');
+
+const DIMENSIONS = 8;
+
+// Points spread widely along the first axis, less along the second and third, barely elsewhere
+function sampleEmbeddings(count = 40) {
+  return Array.from({ length: count }, (_, index) => {
+    const t = index / (count - 1) - 0.5;
+    return Array.from({ length: DIMENSIONS }, (__, dimension) => {
+      if (dimension === 0) return 1 + 12 * t;
+      if (dimension === 1) return 1 + 2 * Math.sin(index * 1.3);
+      if (dimension === 2) return 1 + 0.8 * Math.cos(index * 2.1);
+      return 1 + 0.01 * ((index * (dimension + 3)) % 5);
+    });
+  });
+}
+
+describe('embedding projection', () => {
+  it('finds the axes with the most variance first', async () => {
+    const projection = await fitPCA(sampleEmbeddings());
+    assert.equal(projection.components.length, 3);
+    projection.components.forEach((axis, index) => {
+      assert.ok(Math.abs(axis[index]) > 0.95, `axis ${index} follows dimension ${index}`);
+    });
+    const [first, second, third] = projection.explainedVariance;
+    assert.ok(first > second && second > third);
+    assert.ok(first + second + third > 0.99);
+  });
+
+  it('keeps the previous orientation when refitting', async () => {
+    const embeddings = sampleEmbeddings();
+    const fitted = await fitPCA(embeddings);
+    const flipped = { ...fitted, components: fitted.components.map((axis) => axis.map((value) => -value)) };
+    const refitted = await fitPCA(embeddings, flipped);
+    refitted.components.forEach((axis, index) => {
+      const agreement = axis.reduce((sum, value, position) => sum + value * flipped.components[index][position], 0);
+      assert.ok(agreement > 0.99);
+    });
+  });
+
+  it('scales positions so most memories fall within -1..1', async () => {
+    const embeddings = sampleEmbeddings();
+    const projection = await fitPCA(embeddings);
+    const radii = embeddings.map((embedding) => Math.hypot(...projectEmbedding(embedding, projection)));
+    const inside = radii.filter((radius) => radius <= 1.0001).length;
+    assert.ok(inside / radii.length >= 0.95);
+    assert.equal(projectEmbedding(embeddings[0].slice(0, 6), projection), null);
+    assert.equal(projectEmbedding(embeddings[0], null), null);
+  });
+
+  it('lets other work run while it fits', async () => {
+    let ticks = 0;
+    let fitting = true;
+    const tick = () => {
+      if (!fitting) return;
+      ticks += 1;
+      setImmediate(tick);
+    };
+    setImmediate(tick);
+    await fitPCA(sampleEmbeddings());
+    fitting = false;
+    assert.ok(ticks > 3, `${ticks} turns of the event loop`);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Set before lib/quota.js reads them
+process.env.AI_PROVIDER = 'local';
+process.env.QUOTA_EMBEDDING_RPM = '10';
+process.env.QUOTA_EMBEDDING_RPD = '1000';
+
+const QuotaCounter = require('../models/QuotaCounter');
+const ai = require('../providers');
+const quota = require('../lib/quota');
+
+// In-memory stand-ins for the two counter writes reserve() makes, so no database is needed
+const counts = new Map();
+const original = {};
+
+async function reserveUntilDenied(priority) {
+  let granted = 0;
+  for (;;) {
+    const result = await quota.reserve('embedding', priority);
+    if (!result.granted) return { granted, denied: result };
+    granted += 1;
+  }
+}
+
+describe('quota priority shares', () => {
+  before(() => {
+    original.metered = ai.metered;
+    original.findOneAndUpdate = QuotaCounter.findOneAndUpdate;
+    original.updateOne = QuotaCounter.updateOne;
+    ai.metered = true;
+    QuotaCounter.findOneAndUpdate = async ({ _id, count }) => {
+      const current = counts.get(_id) || 0;
+      if (current >= count.$lt) return null;
+      counts.set(_id, current + 1);
+      return { _id, count: current + 1 };
+    };
+    QuotaCounter.updateOne = async ({ _id }, { $inc }) => {
+      counts.set(_id, (counts.get(_id) || 0) + $inc.count);
+    };
+  });
+
+  after(() => {
+    ai.metered = original.metered;
+    QuotaCounter.findOneAndUpdate = original.findOneAndUpdate;
+    QuotaCounter.updateOne = original.updateOne;
+  });
+
+  beforeEach(() => counts.clear());
+
+  it('lets each priority fill only its share of the minute', async () => {
+    const expected = { live: 10, brief: 8, anonymous: 7, background: 5 };
+    for (const [priority, share] of Object.entries(quota.PRIORITY_SHARE)) {
+      counts.clear();
+      const { granted, denied } = await reserveUntilDenied(priority);
+      assert.equal(granted, expected[priority], priority);
+      assert.equal(granted, Math.floor(10 * share));
+      assert.ok(denied.retryAfterMs > 0 && denied.retryAfterMs <= 60 * 1000);
+    }
+  });
+
+  it('keeps headroom for live requests after the background share is spent', async () => {
+    assert.equal((await reserveUntilDenied('background')).granted, 5);
+    assert.equal((await reserveUntilDenied('anonymous')).granted, 2);
+    assert.equal((await reserveUntilDenied('live')).granted, 3);
+  });
+
+  it('gives back the minute slot when the day is full', async () => {
+    await quota.reserve('embedding', 'live');
+    const [minuteKey, dayKey] = [...counts.keys()];
+    counts.set(dayKey, 1000);
+    const result = await quota.reserve('embedding', 'live');
+    assert.equal(result.granted, false);
+    assert.equal(counts.get(minuteKey), 1);
+  });
+
+  it('rejects unknown priorities', async () => {
+    await assert.rejects(quota.reserve('embedding', 'urgent'), /Unknown quota tier\/priority/);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApi } = require('./helpers/api');
+
+describe('responses', { skip }, () => {
+  let api;
+  let curator;
+  let contributor;
+  let memoryId;
+
+  before(async () => {
+    api = await startApi();
+    curator = await api.signIn('curator');
+    contributor = await api.signIn('contributor');
+    const res = await api.request('POST', '/memories', {
+      token: curator,
+      body: { text: "My uncle filmed every birthday on a camera older than my mother." }
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    memoryId = res.body._id;
+  });
+
+  after(() => api?.close());
+
+  const submit = () => api.request('POST', '/responses', {
+    token: contributor,
+    body: { memoryId, url: 'https://example.com/films/birthday', type: 'film' }
+  });
+
+  it('accepts a URL again once its earlier submission was rejected', async () => {
+    const first = await submit();
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal((await submit()).status, 409);
+
+    const rejected = await api.request('POST', `/responses/${first.body._id}/reject`, { token: curator, body: { reason: 'wrong link' } });
+    assert.equal(rejected.status, 200);
+    const again = await submit();
+    assert.equal(again.status, 201, JSON.stringify(again.body));
+
+    // Both can't be live at once
+    const approved = await api.request('POST', `/responses/${first.body._id}/approve`, { token: curator });
+    assert.equal(approved.status, 409);
+  });
+});
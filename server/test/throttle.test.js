@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { throttle } = require('../lib/throttle');
+
+// Runs the middleware once and returns the response stub (statusCode stays 200 when it lets the request through)
+function call(middleware, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  middleware(req, res, () => {});
+  return res;
+}
+
+describe('throttle', () => {
+  it('gives signed-in accounts the larger budget by default', () => {
+    const limited = throttle({ name: 'default-test', windowMs: 60000, limit: 3, anonymousLimit: 1 });
+    assert.equal(call(limited, { ip: '10.0.0.1', user: { id: 'a' } }).headers['X-RateLimit-Limit'], '3');
+    assert.equal(call(limited, { ip: '10.0.0.1' }).headers['X-RateLimit-Limit'], '1');
+    assert.equal(call(limited, { ip: '10.0.0.1' }).statusCode, 429);
+  });
+
+  it('holds untrusted accounts to the anonymous budget', () => {
+    const limited = throttle({
+      name: 'trusted-test',
+      windowMs: 60000,
+      limit: 3,
+      anonymousLimit: 1,
+      trusted: (req) => req.user?.role === 'curator'
+    });
+    const contributor = { ip: '10.0.0.2', user: { id: 'b', role: 'contributor' } };
+    assert.equal(call(limited, contributor).statusCode, 200);
+    assert.equal(call(limited, contributor).statusCode, 429);
+    assert.equal(call(limited, { ip: '10.0.0.2', user: { id: 'c', role: 'curator' } }).headers['X-RateLimit-Limit'], '3');
+  });
+
+  it('counts per IP across accounts when byIp is set', () => {
+    const limited = throttle({ name: 'ip-test', windowMs: 60000, limit: 2, byIp: true });
+    assert.equal(call(limited, { ip: '10.0.0.3', user: { id: 'd' } }).statusCode, 200);
+    assert.equal(call(limited, { ip: '10.0.0.3', user: { id: 'e' } }).statusCode, 200);
+    assert.equal(call(limited, { ip: '10.0.0.3' }).statusCode, 429);
+    assert.equal(call(limited, { ip: '10.0.0.4' }).statusCode, 200);
+  });
+});
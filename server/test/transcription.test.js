@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApi } = require('./helpers/api');
+const jobQueue = require('../lib/jobQueue');
+const Family = require('../models/Family');
+const ClassificationEvent = require('../models/ClassificationEvent');
+
+// Smallest buffer that passes the WAV magic-byte check
+function wavFile() {
+  const buffer = Buffer.alloc(64);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(56, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+describe('voice drafts', { skip }, () => {
+  let api;
+  let contributor;
+
+  before(async () => {
+    api = await startApi();
+    contributor = await api.signIn('contributor');
+  });
+
+  after(() => api?.close());
+
+  it('classifies and embeds the reviewed text before the memory goes public', async () => {
+    const form = new FormData();
+    form.append('audio', wavFile(), 'note.wav');
+    const uploaded = await fetch(`${api.baseUrl}/voice-notes`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${contributor}` },
+      body: form
+    }).then((res) => res.json());
+
+    const draft = await api.request('POST', '/memories', { token: contributor, body: { voiceNoteId: uploaded.id } });
+    assert.equal(draft.status, 202, JSON.stringify(draft.body));
+    assert.equal(draft.body.status, 'draft');
+
+    await jobQueue.drain();
+    const [transcribed] = (await api.request('GET', '/memories/drafts', { token: contributor })).body;
+    assert.equal(transcribed.transcription.status, 'transcribed');
+    assert.equal((await api.request('GET', '/memories')).body.total, 0);
+
+    const text = "We cried at my grandmother's funeral and I still miss her laugh in the kitchen.";
+    const published = await api.request('PATCH', `/memories/${draft.body._id}/transcript`, {
+      token: contributor,
+      body: { text, publish: true }
+    });
+    assert.equal(published.status, 200, JSON.stringify(published.body));
+    assert.equal(published.body.status, 'approved');
+    assert.equal(published.body.transcription.status, 'reviewed');
+    assert.ok(!published.body.tags.some((tag) => /^(offline|auto-classified)$/i.test(tag)));
+    assert.ok(published.body.embedding.length > 3);
+
+    const family = await Family.findOne({ name: published.body.mood }).lean();
+    assert.equal(family.memberCount, 1);
+    assert.equal(family.centroid.length, published.body.embedding.length);
+
+    const event = await ClassificationEvent.findOne({ memory: draft.body._id }).lean();
+    assert.equal(event.source, 'transcript');
+    assert.equal(event.offlineMode, false);
+
+    const list = await api.request('GET', '/memories');
+    assert.equal(list.body.total, 1);
+    assert.equal(list.body.memories[0].mood, published.body.mood);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, startApi } = require('./helpers/api');
+
+// Smallest buffer that passes the WAV magic-byte check
+function wavFile() {
+  const buffer = Buffer.alloc(64);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(56, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+describe('anonymous voice notes', { skip }, () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api?.close());
+
+  async function upload() {
+    const form = new FormData();
+    form.append('audio', wavFile(), 'note.wav');
+    const res = await fetch(`${api.baseUrl}/voice-notes`, { method: 'POST', body: form });
+    assert.equal(res.status, 201);
+    return res.json();
+  }
+
+  const submit = (body) => api.request('POST', '/memories', {
+    body: { text: "I hummed this on the bus home the night the snow came early.", ...body }
+  });
+
+  it('can only be attached with the upload token it was issued', async () => {
+    const uploaded = await upload();
+    assert.ok(uploaded.uploadToken);
+
+    assert.equal((await submit({ voiceNoteId: uploaded.id })).status, 404);
+    assert.equal((await submit({ voiceNoteId: uploaded.id, voiceNoteToken: 'not-the-token' })).status, 404);
+    const other = await upload();
+    assert.equal((await submit({ voiceNoteId: uploaded.id, voiceNoteToken: other.uploadToken })).status, 404);
+
+    const saved = await submit({ voiceNoteId: uploaded.id, voiceNoteToken: uploaded.uploadToken });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.voiceNoteUrl, uploaded.url);
+  });
+
+  it('issues no token to signed-in uploaders', async () => {
+    const token = await api.signIn('contributor');
+    const form = new FormData();
+    form.append('audio', wavFile(), 'note.wav');
+    const res = await fetch(`${api.baseUrl}/voice-notes`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: form
+    });
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).uploadToken, undefined);
+  });
+
+  it('attaches a recording to only one of two simultaneous submissions', async () => {
+    const token = await api.signIn('contributor');
+    const form = new FormData();
+    form.append('audio', wavFile(), 'note.wav');
+    const uploaded = await (await fetch(`${api.baseUrl}/voice-notes`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: form
+    })).json();
+
+    const body = { text: "We sang in the car all the way to the coast.", voiceNoteId: uploaded.id };
+    const results = await Promise.all([
+      api.request('POST', '/memories', { token, body }),
+      api.request('POST', '/memories', { token, body })
+    ]);
+    assert.deepEqual(results.map((result) => result.status).sort(), [200, 409]);
+  });
+});
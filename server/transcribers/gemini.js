@@ -0,0 +1,33 @@
+// server/transcribers/gemini.js // Gemini speech-to-text: the recording is sent inline with a transcription prompt
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const TRANSCRIPTION_MODEL = process.env.GEMINI_TRANSCRIPTION_MODEL || process.env.GEMINI_MODEL || "gemini-flash-latest";
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const model = genAI.getGenerativeModel({ model: TRANSCRIPTION_MODEL });
+
+const TRANSCRIPTION_PROMPT = `Transcribe this voice recording of someone telling a personal memory.
+
+RULES:
+- Write down exactly what is said, in the language it is spoken
+- Keep the speaker's own words; only add punctuation and paragraph breaks
+- Leave out filler sounds (um, uh) and false starts
+- Don't add descriptions of sounds, speaker labels or commentary
+- If nothing intelligible is said, return NO_SPEECH
+
+Return ONLY the transcript text.`;
+
+async function transcribe(audio, { contentType }) {
+  const result = await model.generateContent([
+    { inlineData: { data: audio.toString('base64'), mimeType: contentType } },
+    { text: TRANSCRIPTION_PROMPT }
+  ]);
+  const text = result.response.text().trim();
+  return text === 'NO_SPEECH' ? '' : text;
+}
+
+module.exports = {
+  name: 'gemini',
+  metered: true, // Calls count against the shared Gemini generation quota
+  transcribe,
+};
@@ -0,0 +1,25 @@
+// server/transcribers/index.js // Picks the speech-to-text engine from TRANSCRIPTION_ENGINE (gemini | local)
+//
+// Every engine exposes the same interface:
+//   name, metered
+//   transcribe(audio, { contentType }) -> transcript text ('' when nothing intelligible was said)
+// Defaults to the same choice as AI_PROVIDER, so a local development setup stays fully offline.
+
+const ENGINES = {
+  gemini: () => require('./gemini'),
+  local: () => require('./local'),
+};
+
+function loadEngine(name) {
+  const key = String(name || 'gemini').trim().toLowerCase();
+  const load = ENGINES[key];
+  if (!load) {
+    throw new Error(`Unknown TRANSCRIPTION_ENGINE "${name}". Expected one of: ${Object.keys(ENGINES).join(', ')}`);
+  }
+  return load();
+}
+
+const engine = loadEngine(process.env.TRANSCRIPTION_ENGINE || process.env.AI_PROVIDER);
+console.log(`🎙️ Transcription engine: ${engine.name}`);
+
+module.exports = engine;
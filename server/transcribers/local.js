@@ -0,0 +1,24 @@
+// server/transcribers/local.js // Stand-in transcription engine for development: no speech recognition happens
+// The same recording always "says" the same sentence, so drafts, review and classification can be
+// exercised offline. Sentences are picked by a hash of the audio bytes.
+const crypto = require('crypto');
+
+const SAMPLE_TRANSCRIPTS = [
+  "I remember my grandmother's kitchen, the radio on and bread in the oven, and how warm it was when I came in from the snow.",
+  "We left the city on the night train and I watched the station lights disappear, not knowing when I would see home again.",
+  "My sister taught me a song on the piano the summer before she moved away. I still play it when I miss her.",
+  "After the exam I sat by the river for hours and felt, for the first time that year, that I could breathe.",
+  "The day my father died the house was so quiet. We sat at the table and nobody said anything at all.",
+  "I was afraid of the dark road home from school, so I sang to myself the whole way and laughed when I reached the porch.",
+];
+
+async function transcribe(audio) {
+  const digest = crypto.createHash('sha1').update(audio).digest();
+  return SAMPLE_TRANSCRIPTS[digest.readUInt32BE(0) % SAMPLE_TRANSCRIPTS.length];
+}
+
+module.exports = {
+  name: 'local',
+  metered: false, // Nothing leaves the process, so no quota applies
+  transcribe,
+};